@@ -0,0 +1,249 @@
+/**
+ * An aircraft profile, describing whatever aircraft the user is flying,
+ * so that applications can adapt to it. Profiles are plain objects:
+ *
+ *   {
+ *     aircraft,                     (the path to the aircraft.cfg)
+ *     title, atcModel, atcType,
+ *     engines: { count, type },     (with type being one of the ENGINE_TYPES)
+ *     gear: { retractable, type },  (with type being "wheels", "floats", "skids", or "skis")
+ *     flaps: { positions },         (the number of flap handle detents)
+ *     speeds: { vs0, vs1, vc },     (in knots)
+ *     overrides,                    (the merged per-aircraft overrides)
+ *   }
+ *
+ * Overrides are registered per aircraft, and can hold anything that an
+ * application needs to know about specific aircraft, but getVarName() and
+ * getEventName() know about { vars, events } overrides, for aircraft that
+ * use their own L:vars or custom events for things:
+ *
+ *   profile.addOverride(`A320neo`, {
+ *     vars: { "FLAPS HANDLE INDEX": `L:A32NX_FLAPS_HANDLE_INDEX` },
+ *     events: { AP_MASTER: `A32NX.FCU_AP_1_PUSH` },
+ *   });
+ */
+import { SystemEvents } from "../system-events/index.js";
+import { toRequest, codeSafe } from "../simvars/index.js";
+
+// See the ENGINE TYPE simvar.
+export const ENGINE_TYPES = [
+  `piston`,
+  `jet`,
+  `none`,
+  `helo turbine`,
+  `unsupported`,
+  `turboprop`,
+];
+
+// The simvars that a profile is built from, per profile field.
+const PROFILE_VARS = {
+  title: `TITLE`,
+  atcModel: `ATC MODEL`,
+  atcType: `ATC TYPE`,
+  engineCount: `NUMBER OF ENGINES`,
+  engineType: `ENGINE TYPE`,
+  retractable: `IS GEAR RETRACTABLE`,
+  floats: `IS GEAR FLOATS`,
+  skids: `IS GEAR SKIDS`,
+  skis: `IS GEAR SKIS`,
+  flapPositions: `FLAPS NUM HANDLE POSITIONS`,
+  vs0: { name: `DESIGN SPEED VS0`, units: `knots` },
+  vs1: { name: `DESIGN SPEED VS1`, units: `knots` },
+  vc: { name: `DESIGN SPEED VC`, units: `knots` },
+};
+
+const FIELDS = Object.keys(PROFILE_VARS);
+
+// Gear that isn't floats, skids, or skis, is wheels.
+const GEAR_TYPES = [`floats`, `skids`, `skis`];
+
+/**
+ * Turn the simvar values for an aircraft into a profile, without overrides.
+ *
+ * @param {*} aircraft the path to the aircraft.cfg
+ * @param {*} values an object of field/value pairs
+ * @returns
+ */
+function toProfile(aircraft, values) {
+  const { title, atcModel, atcType, engineCount, engineType } = values;
+  const { retractable, flapPositions, vs0, vs1, vc } = values;
+  const gearType = GEAR_TYPES.find((type) => values[type]) ?? `wheels`;
+  return {
+    aircraft,
+    title,
+    atcModel,
+    atcType,
+    engines: { count: engineCount, type: ENGINE_TYPES[engineType] },
+    gear: { retractable: !!retractable, type: gearType },
+    flaps: { positions: flapPositions },
+    speeds: { vs0, vs1, vc },
+    overrides: {},
+  };
+}
+
+/**
+ * Check whether an override's match applies to a profile. Strings
+ * match titles that contain them (ignoring case), regular expressions
+ * get tested against the title, and functions get called with the
+ * profile itself.
+ *
+ * @param {*} match a string, RegExp, or function
+ * @param {*} profile
+ * @returns
+ */
+function matches(match, profile) {
+  if (typeof match === `function`) return !!match(profile);
+  if (match instanceof RegExp) return match.test(profile.title);
+  return profile.title.toLowerCase().includes(match.toLowerCase());
+}
+
+/**
+ * Keeps an aircraft profile up to date, by rebuilding it whenever the
+ * user loads a different aircraft, or the API (re)connects, and tells
+ * listeners whenever it changes.
+ */
+export class AircraftProfile {
+  /**
+   * @param {*} api a connected MSFS_API instance
+   */
+  constructor(api) {
+    this.api = api;
+    this.profile = undefined;
+    this.overrides = [];
+    this.listeners = [];
+    this.refreshes = 0;
+  }
+
+  /**
+   * Start keeping the profile up to date. Since AIRCRAFT_LOADED
+   * listeners get the current aircraft right away, this also
+   * builds the first profile.
+   */
+  start() {
+    if (this.cleanup) return;
+    const { api } = this;
+    const refresh = (aircraft) =>
+      this.refresh(aircraft).catch((err) =>
+        console.warn(`Could not refresh the aircraft profile:`, err)
+      );
+    const offLoaded = api.on(SystemEvents.AIRCRAFT_LOADED, ({ filename }) =>
+      refresh(filename)
+    );
+    // A different aircraft may have been loaded while we were disconnected.
+    const offConnected = api.on(`connected`, () => refresh());
+    this.cleanup = () => {
+      offLoaded();
+      offConnected();
+    };
+  }
+
+  /**
+   * Stop keeping the profile up to date. The last profile stays available.
+   */
+  stop() {
+    this.cleanup?.();
+    this.cleanup = undefined;
+  }
+
+  /**
+   * Get notified whenever the profile changes, either because a different
+   * aircraft got loaded, or because an override was added.
+   *
+   * @param {*} handler function that gets called with the new profile
+   * @returns a corresponding arg-less `off()` function
+   */
+  onChange(handler) {
+    this.listeners.push(handler);
+    return () => {
+      const pos = this.listeners.indexOf(handler);
+      if (pos > -1) this.listeners.splice(pos, 1);
+    };
+  }
+
+  /**
+   * Rebuild the profile from the sim's current values.
+   *
+   * @param {*} aircraft (optional) the path to the aircraft.cfg, which gets looked up if not passed
+   * @returns a promise for the new profile
+   */
+  async refresh(aircraft) {
+    const { api } = this;
+    const refresh = ++this.refreshes;
+    aircraft ??= await api.getSystemState(`AircraftLoaded`);
+    const props = FIELDS.map((field) => PROFILE_VARS[field]);
+    const result = await api.get(...props);
+    // Ignore results that a later refresh already superseded.
+    if (refresh !== this.refreshes) return this.profile;
+    const values = {};
+    FIELDS.forEach((field, pos) => {
+      values[field] = result[codeSafe(toRequest(props[pos]).name)];
+    });
+    this.base = toProfile(aircraft, values);
+    return this.update();
+  }
+
+  /**
+   * Register overrides for aircraft that match. When more than one set
+   * of overrides matches, they get merged in the order they were added,
+   * with later overrides winning.
+   *
+   * @param {*} match a string (matching titles that contain it), a RegExp (tested against the title), or a function that gets called with the profile
+   * @param {*} overrides an object of overrides, e.g. { vars, events }
+   * @returns a corresponding arg-less function that removes the overrides again
+   */
+  addOverride(match, overrides) {
+    const entry = { match, overrides };
+    this.overrides.push(entry);
+    if (this.base) this.update();
+    return () => {
+      const pos = this.overrides.indexOf(entry);
+      if (pos === -1) return;
+      this.overrides.splice(pos, 1);
+      if (this.base) this.update();
+    };
+  }
+
+  /**
+   * Get the variable to use for something, given the current aircraft's
+   * "vars" overrides, falling back to the name itself.
+   *
+   * @param {*} name
+   * @returns
+   */
+  getVarName(name) {
+    return this.profile?.overrides.vars?.[name] ?? name;
+  }
+
+  /**
+   * Get the event to use for something, given the current aircraft's
+   * "events" overrides, falling back to the name itself.
+   *
+   * @param {*} name
+   * @returns
+   */
+  getEventName(name) {
+    return this.profile?.overrides.events?.[name] ?? name;
+  }
+
+  /**
+   * Apply the matching overrides to the current profile, and tell
+   * listeners about the result.
+   *
+   * @returns the updated profile
+   */
+  update() {
+    const { base } = this;
+    const overrides = {};
+    this.overrides
+      .filter(({ match }) => matches(match, base))
+      .forEach(({ overrides: o }) =>
+        Object.entries(o).forEach(([key, value]) => {
+          const isObject = typeof value === `object` && value !== null;
+          overrides[key] = isObject ? { ...overrides[key], ...value } : value;
+        })
+      );
+    const profile = (this.profile = { ...base, overrides });
+    this.listeners.forEach((handler) => handler(profile));
+    return profile;
+  }
+}
@@ -0,0 +1,145 @@
+/**
+ * Calculator code ("RPN") can only be executed inside MSFS, so
+ * executeCalculatorCode() relies on a companion WASM module, which
+ * it talks to through two client data areas that the module creates:
+ *
+ * - MSFS_API.CalculatorRequest, which we write { requestId, code } to, and
+ * - MSFS_API.CalculatorResponse, which the module writes { requestId, status, number, string } to
+ *
+ * with status being 0 if the code could be executed, in which case number
+ * and string hold the code's result, and non-zero if it could not, in
+ * which case string holds the reason why.
+ *
+ * This module is NOT part of this library: it has to be built with the
+ * MSFS SDK and installed in the sim's Community folder. A reference
+ * implementation can be found in calculator-module/calculator-module.cpp.
+ * Without it, every call will time out with a RequestTimeoutError.
+ *
+ * Because there is only one request area, requests are sent one at a
+ * time, with each next request only being sent once the previous one
+ * got its response, or failed.
+ */
+import { getLayout } from "./client-data.js";
+import { CalculatorCodeError, ConnectionLostError } from "./errors.js";
+
+export const CALCULATOR_REQUEST_AREA = `MSFS_API.CalculatorRequest`;
+export const CALCULATOR_RESPONSE_AREA = `MSFS_API.CalculatorResponse`;
+
+export const CalculatorRequestLayout = getLayout({
+  requestId: `Int32`,
+  code: `String256`,
+});
+
+export const CalculatorResponseLayout = getLayout({
+  requestId: `Int32`,
+  status: `Int32`,
+  number: `Float64`,
+  string: `String256`,
+});
+
+// Code gets sent as a zero-terminated String256.
+const MAX_CODE_LENGTH = 255;
+
+// Request ids are Int32s. Other clients may be using the same module,
+// so rather than starting at 1, we start at a random id, making it
+// unlikely that we pick up responses that were meant for them.
+const MAX_REQUEST_ID = 2 ** 31 - 1;
+const randomRequestId = () => 1 + Math.floor(Math.random() * MAX_REQUEST_ID);
+
+/**
+ * Sends calculator code to the companion module, and matches the
+ * module's responses to the requests that they are for.
+ */
+export class CalculatorBridge {
+  constructor(api) {
+    this.api = api;
+    this.pending = new Map();
+    // All requests go through the same client data area, so we only
+    // ever have one request in flight, and queue up everything else.
+    this.queue = [];
+    this.requestId = randomRequestId();
+    api.clientData.subscribe(
+      CALCULATOR_RESPONSE_AREA,
+      CalculatorResponseLayout,
+      (response) => this.handleResponse(response)
+    );
+  }
+
+  /**
+   * Have the companion module execute calculator code.
+   *
+   * @param {*} code the calculator code
+   * @returns a promise for a { number, string } object, which rejects with a CalculatorCodeError if the code could not be executed
+   * @throws a RangeError if the code is too long
+   */
+  execute(code) {
+    if (code.length > MAX_CODE_LENGTH) {
+      throw new RangeError(
+        `Calculator code can be at most ${MAX_CODE_LENGTH} characters, not ${code.length}.`
+      );
+    }
+    return new Promise((resolve, reject) => {
+      this.queue.push({ code, resolve, reject });
+      if (this.queue.length === 1) this.sendNext();
+    });
+  }
+
+  /**
+   * Send the request at the front of the queue, and move on to the
+   * next one once it has been settled, one way or another.
+   */
+  sendNext() {
+    const next = this.queue[0];
+    if (!next) return;
+
+    const { code, resolve, reject } = next;
+    const requestId = this.requestId;
+    this.requestId = (requestId % MAX_REQUEST_ID) + 1;
+
+    let untrack;
+    let settled = false;
+    const settle = (fn) => (value) => {
+      if (settled) return;
+      settled = true;
+      untrack?.();
+      this.pending.delete(requestId);
+      this.queue.shift();
+      fn(value);
+      this.sendNext();
+    };
+
+    if (!this.api.connected) {
+      return settle(reject)(new ConnectionLostError());
+    }
+
+    try {
+      const sent = this.api.clientData.write(
+        CALCULATOR_REQUEST_AREA,
+        CalculatorRequestLayout,
+        { requestId, code }
+      );
+      untrack = this.api.trackRequest(sent, settle(reject));
+    } catch (e) {
+      return settle(reject)(e);
+    }
+    this.pending.set(requestId, {
+      code,
+      resolve: settle(resolve),
+      reject: settle(reject),
+    });
+  }
+
+  /**
+   * Settle the promise for whichever request a response is for.
+   *
+   * @param {*} response a { requestId, status, number, string } object
+   */
+  handleResponse({ requestId, status, number, string }) {
+    const pending = this.pending.get(requestId);
+    if (!pending) return;
+    if (status !== 0) {
+      return pending.reject(new CalculatorCodeError(pending.code, string));
+    }
+    pending.resolve({ number, string });
+  }
+}
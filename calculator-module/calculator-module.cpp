@@ -0,0 +1,104 @@
+/**
+ * A reference implementation of the companion WASM module that
+ * executeCalculatorCode() needs. This is not built or shipped as part
+ * of msfs-simconnect-api-wrapper: to use it, build it as a WASM module
+ * with the MSFS SDK, and install the resulting package in your
+ * Community folder.
+ *
+ * The module creates two client data areas, with layouts that have to
+ * match the ones in calculator-bridge.js:
+ *
+ * - MSFS_API.CalculatorRequest: { requestId: Int32, code: String256 }
+ * - MSFS_API.CalculatorResponse: { requestId: Int32, status: Int32, number: Float64, string: String256 }
+ *
+ * and whenever a client writes a request, it runs the code using
+ * execute_calculator_code, and writes the result to the response area.
+ */
+#include <MSFS/Legacy/gauges.h>
+#include <MSFS/MSFS.h>
+#include <MSFS/MSFS_WindowsTypes.h>
+#include <SimConnect.h>
+#include <string.h>
+
+#pragma pack(push, 1)
+struct CalculatorRequest {
+  INT32 requestId;
+  char code[256];
+};
+
+struct CalculatorResponse {
+  INT32 requestId;
+  INT32 status;
+  FLOAT64 number;
+  char string[256];
+};
+#pragma pack(pop)
+
+enum ClientDataIds { REQUEST_AREA = 1, RESPONSE_AREA = 2 };
+enum DefinitionIds { REQUEST_DEFINITION = 1, RESPONSE_DEFINITION = 2 };
+enum RequestIds { REQUEST_SUBSCRIPTION = 1 };
+
+static HANDLE simConnect = 0;
+
+static void handleRequest(const CalculatorRequest *request) {
+  CalculatorResponse response = {};
+  response.requestId = request->requestId;
+
+  // Don't trust the client to have zero-terminated the code.
+  char code[256];
+  strncpy(code, request->code, sizeof(code) - 1);
+  code[sizeof(code) - 1] = 0;
+
+  FLOAT64 number = 0;
+  SINT32 integer = 0;
+  PCSTRINGZ string = nullptr;
+  if (execute_calculator_code(code, &number, &integer, &string)) {
+    response.number = number;
+    if (string) strncpy(response.string, string, sizeof(response.string) - 1);
+  } else {
+    response.status = 1;
+    strncpy(response.string, "Could not execute calculator code",
+            sizeof(response.string) - 1);
+  }
+
+  SimConnect_SetClientData(simConnect, RESPONSE_AREA, RESPONSE_DEFINITION,
+                           SIMCONNECT_CLIENT_DATA_SET_FLAG_DEFAULT, 0,
+                           sizeof(response), &response);
+}
+
+static void CALLBACK dispatch(SIMCONNECT_RECV *data, DWORD size, void *) {
+  if (data->dwID != SIMCONNECT_RECV_ID_CLIENT_DATA) return;
+  auto *clientData = static_cast<SIMCONNECT_RECV_CLIENT_DATA *>(data);
+  if (clientData->dwRequestID != REQUEST_SUBSCRIPTION) return;
+  handleRequest(reinterpret_cast<CalculatorRequest *>(&clientData->dwData));
+}
+
+static void createArea(const char *name, ClientDataIds area,
+                       DefinitionIds definition, DWORD size) {
+  SimConnect_MapClientDataNameToID(simConnect, name, area);
+  SimConnect_CreateClientData(simConnect, area, size,
+                              SIMCONNECT_CREATE_CLIENT_DATA_FLAG_DEFAULT);
+  SimConnect_AddToClientDataDefinition(simConnect, definition, 0, size);
+}
+
+extern "C" MSFS_CALLBACK void module_init(void) {
+  if (FAILED(SimConnect_Open(&simConnect, "MSFS_API calculator module",
+                             nullptr, 0, 0, 0))) {
+    return;
+  }
+  createArea("MSFS_API.CalculatorRequest", REQUEST_AREA, REQUEST_DEFINITION,
+             sizeof(CalculatorRequest));
+  createArea("MSFS_API.CalculatorResponse", RESPONSE_AREA,
+             RESPONSE_DEFINITION, sizeof(CalculatorResponse));
+  SimConnect_RequestClientData(simConnect, REQUEST_AREA, REQUEST_SUBSCRIPTION,
+                               REQUEST_DEFINITION,
+                               SIMCONNECT_CLIENT_DATA_PERIOD_ON_SET,
+                               SIMCONNECT_CLIENT_DATA_REQUEST_FLAG_DEFAULT);
+  SimConnect_CallDispatch(simConnect, dispatch, nullptr);
+}
+
+extern "C" MSFS_CALLBACK void module_deinit(void) {
+  if (!simConnect) return;
+  SimConnect_Close(simConnect);
+  simConnect = 0;
+}
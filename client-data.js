@@ -0,0 +1,336 @@
+/**
+ * SimConnect client data areas are named blocks of memory that SimConnect
+ * clients, including WASM modules running inside MSFS, use to share data.
+ * An area gets mapped to a client-chosen id, after which it can be created,
+ * written to, and read from using client data definitions.
+ *
+ * The layout of an area's data is described as an object of field/type
+ * pairs, in the order in which the fields appear in the area, with types
+ * being either data type names, or data types from simvars/simvar-utils.js:
+ *
+ *   { requestId: `Int32`, altitude: Float64, callsign: `String32` }
+ */
+import {
+  RawBuffer,
+  ClientDataPeriod,
+  ClientDataRequestFlag,
+} from "node-simconnect";
+import { dataType, SETTABLE } from "./simvars/simvar-utils.js";
+import { IdNamespaces } from "./id-allocator.js";
+
+const { REQUEST, CLIENT_DATA, CLIENT_DATA_DEFINITION } = IdNamespaces;
+
+// The periods that client data can be subscribed with, see SIMCONNECT_CLIENT_DATA_PERIOD.
+const PERIODS = [`ON_SET`, `VISUAL_FRAME`, `SECOND`];
+
+// See SIMCONNECT_CLIENTDATA_MAX_SIZE.
+export const MAX_CLIENT_DATA_SIZE = 8192;
+
+// Raw bytes get written using a single, unnamed, field.
+const rawLayout = (size) => ({
+  fields: [{ field: ``, def: { size }, offset: 0 }],
+  size,
+});
+
+/**
+ * Work out where each field in a layout lives. Client data areas are
+ * plain bytes, so every field needs a fixed size type, and every field
+ * can be written, regardless of whether its type is marked settable.
+ *
+ * @param {*} layout an object of field/type pairs
+ * @returns a { fields, size } object, with fields being a list of { field, def, offset } objects
+ * @throws if a field's type does not have a fixed size
+ */
+export function getLayout(layout) {
+  let size = 0;
+  const fields = Object.entries(layout).map(([field, type]) => {
+    const typeName = typeof type === `string` ? type : type?.typeName;
+    const def = typeName && dataType(typeName, SETTABLE);
+    if (!def?.size) {
+      throw new Error(
+        `Cannot use ${
+          typeName ?? type
+        } for client data field "${field}": client data needs fixed size types.`
+      );
+    }
+    const entry = { field, def, offset: size };
+    size += def.size;
+    return entry;
+  });
+  return { fields, size };
+}
+
+/**
+ * Read the values for a layout from client data.
+ *
+ * @param {*} layout a layout, as returned by getLayout()
+ * @param {*} data a RawBuffer
+ * @returns an object of field/value pairs
+ */
+export function readLayout({ fields }, data) {
+  const result = {};
+  fields.forEach(({ field, def }) => (result[field] = def.read(data)));
+  return result;
+}
+
+/**
+ * Turn an object of field/value pairs into client data.
+ *
+ * @param {*} layout a layout, as returned by getLayout()
+ * @param {*} values an object of field/value pairs
+ * @returns a node Buffer
+ * @throws if a field is missing from the values
+ */
+export function writeLayout({ fields, size }, values) {
+  const buffer = new RawBuffer(size);
+  fields.forEach(({ field, def }) => {
+    if (values[field] === undefined) {
+      throw new Error(`Missing a value for client data field "${field}".`);
+    }
+    def.write(buffer, values[field]);
+  });
+  return buffer.getBuffer();
+}
+
+/**
+ * Keeps track of the client data areas that an MSFS_API instance uses,
+ * and of its client data subscriptions, so that both can be restored
+ * after a reconnect.
+ */
+export class ClientDataAreas {
+  constructor(api) {
+    this.api = api;
+    this.areas = {};
+    this.subscriptions = new Set();
+  }
+
+  /**
+   * Find the entry for a client data area, mapping
+   * the area's name to an id if we haven't yet.
+   *
+   * @param {*} name the client data area name
+   * @param {*} sent (optional) a list that the mapping's [sendId, details] pair gets added to
+   * @returns a { name, id, size, layout } object, with size only set for areas that we created, and layout only set once we know the area's layout
+   */
+  getArea(name, sent = []) {
+    let area = this.areas[name];
+    if (!area) {
+      const id = this.api.nextId(CLIENT_DATA, `client data ${name}`);
+      area = this.areas[name] = { name, id };
+      const sendId = this.api.handle.mapClientDataNameToID(name, id);
+      sent.push([sendId, { clientData: name }]);
+    }
+    return area;
+  }
+
+  /**
+   * Create a client data area. Note that only one client can create any
+   * given area, and trying to create an area that some other client
+   * already created results in an ALREADY_CREATED exception.
+   *
+   * @param {*} name the client data area name
+   * @param {*} size the area's size in bytes
+   * @param {*} layout (optional) the area's layout, as returned by getLayout()
+   * @returns a promise that resolves once SimConnect has created the area, or rejects with a SimConnectException
+   */
+  create(name, size, layout) {
+    const sent = [];
+    const area = this.getArea(name, sent);
+    area.layout ??= layout;
+    if (area.size !== undefined) return Promise.resolve();
+    area.size = size;
+    const sendId = this.api.handle.createClientData(area.id, size, false);
+    sent.push([sendId, { clientData: name }]);
+    return this.api.confirmSent(sent).catch((err) => {
+      if (this.areas[name] === area) delete area.size;
+      throw err;
+    });
+  }
+
+  /**
+   * Add a client data definition for a layout.
+   *
+   * @param {*} DEF_ID the client data definition id
+   * @param {*} layout a layout, as returned by getLayout()
+   * @param {*} name the client data area name, for error reporting
+   * @returns a list of [sendId, details] pairs
+   */
+  addDefinitions(DEF_ID, { fields }, name) {
+    const { handle } = this.api;
+    return fields.map(({ def, offset }, pos) => [
+      handle.addToClientDataDefinition(DEF_ID, offset, def.size, 0, pos),
+      { clientData: name },
+    ]);
+  }
+
+  /**
+   * Write values to a client data area, without waiting for SimConnect.
+   * Values can also be written as raw bytes, in which case no layout is
+   * needed, and if no layout is passed for an object of values, the layout
+   * that the area was created or subscribed to with gets used.
+   *
+   * @param {*} name the client data area name
+   * @param {*} layout a layout, as returned by getLayout(), or undefined
+   * @param {*} values an object of field/value pairs, or a node Buffer
+   * @returns a list of the [sendId, details] pairs for the packets that got sent
+   * @throws if there is no layout for the values, or a field is missing from the values
+   */
+  write(name, layout, values) {
+    let bytes = values;
+    if (Buffer.isBuffer(values)) {
+      layout = rawLayout(values.length);
+    } else {
+      layout ??= this.areas[name]?.layout;
+      if (!layout) {
+        throw new Error(`Cannot set client data "${name}": no layout known.`);
+      }
+      bytes = writeLayout(layout, values);
+    }
+    const { handle } = this.api;
+    const sent = [];
+    const area = this.getArea(name, sent);
+    const DEF_ID = this.api.nextId(CLIENT_DATA_DEFINITION, `set ${name}`);
+    sent.push(...this.addDefinitions(DEF_ID, layout, name));
+    sent.push([
+      handle.setClientData(area.id, DEF_ID, 0, 0, layout.size, bytes),
+      { clientData: name },
+    ]);
+    // SimConnect handles packets in order, so we can clean up right away.
+    handle.clearClientDataDefinition(DEF_ID);
+    this.api.releaseId(CLIENT_DATA_DEFINITION, DEF_ID);
+    return sent;
+  }
+
+  /**
+   * Write values to a client data area.
+   *
+   * @param {*} name the client data area name
+   * @param {*} layout a layout, as returned by getLayout(), or undefined, see write()
+   * @param {*} values an object of field/value pairs, or a node Buffer
+   * @returns a promise that resolves once SimConnect has set the data, or rejects with a SimConnectException
+   * @throws if there is no layout for the values, or a field is missing from the values
+   */
+  set(name, layout, values) {
+    return this.api.confirmSent(this.write(name, layout, values));
+  }
+
+  /**
+   * Get notified of the data in a client data area. The options
+   * object takes the following form:
+   *
+   * {
+   *   period: "ON_SET", "VISUAL_FRAME", or "SECOND", defaults to "ON_SET"
+   *   changedOnly: only send data if it changed since the last update, defaults to false
+   * }
+   *
+   * @param {*} name the client data area name
+   * @param {*} layout a layout, as returned by getLayout()
+   * @param {*} options (optional) subscription options
+   * @param {*} handler function that gets called with an object of field/value pairs
+   * @returns a corresponding arg-less unsubscribe function
+   * @throws
+   */
+  subscribe(name, layout, options = {}, handler) {
+    if (typeof options === `function`) {
+      handler = options;
+      options = {};
+    }
+    const { period = `ON_SET` } = options;
+    if (!PERIODS.includes(period)) {
+      throw new Error(`Cannot subscribe: "${period}" is not a valid period.`);
+    }
+    const subscription = { name, layout, options, handler };
+    this.startSubscription(subscription);
+    this.subscriptions.add(subscription);
+    return () => {
+      if (!this.subscriptions.delete(subscription)) return;
+      subscription.stop();
+    };
+  }
+
+  /**
+   * Register a client data subscription with SimConnect. This is also
+   * used to restore subscriptions after a reconnect, in which case the
+   * subscription keeps its original ids.
+   *
+   * @param {*} subscription a { name, layout, options, handler } object
+   */
+  startSubscription(subscription) {
+    const { api } = this;
+    const { handle } = api;
+    const { name, layout, options, handler } = subscription;
+    const { period = `ON_SET`, changedOnly = false } = options;
+    const area = this.getArea(name);
+    area.layout ??= layout;
+    const purpose = `subscribe ${name}`;
+    const DEF_ID = (subscription.DEF_ID ??= api.nextId(
+      CLIENT_DATA_DEFINITION,
+      purpose
+    ));
+    const REQUEST_ID = (subscription.REQUEST_ID ??= api.nextId(
+      REQUEST,
+      purpose
+    ));
+    this.addDefinitions(DEF_ID, layout, name);
+
+    const handleClientData = ({ requestID, data }) => {
+      if (requestID !== REQUEST_ID) return;
+      handler(readLayout(layout, data));
+    };
+
+    handle.on("clientData", handleClientData);
+    handle.requestClientData(
+      area.id,
+      REQUEST_ID,
+      DEF_ID,
+      ClientDataPeriod[period],
+      changedOnly
+        ? ClientDataRequestFlag.CLIENT_DATA_REQUEST_FLAG_CHANGED
+        : ClientDataRequestFlag.CLIENT_DATA_REQUEST_FLAG_DEFAULT
+    );
+
+    subscription.stop = () => {
+      handle.off("clientData", handleClientData);
+      if (api.connected && handle === api.handle) {
+        handle.requestClientData(
+          area.id,
+          REQUEST_ID,
+          DEF_ID,
+          ClientDataPeriod.NEVER,
+          0
+        );
+        handle.clearClientDataDefinition(DEF_ID);
+      }
+      api.releaseId(CLIENT_DATA_DEFINITION, DEF_ID);
+      api.releaseId(REQUEST, REQUEST_ID);
+    };
+  }
+
+  /**
+   * Re-map, and re-create, our client data areas, and restart our
+   * client data subscriptions, on the API's current connection.
+   */
+  restore() {
+    const { handle } = this.api;
+    Object.values(this.areas).forEach(({ name, id, size }) => {
+      handle.mapClientDataNameToID(name, id);
+      if (size !== undefined) handle.createClientData(id, size, false);
+    });
+    this.subscriptions.forEach((subscription) =>
+      this.startSubscription(subscription)
+    );
+  }
+
+  /**
+   * Stop all client data subscriptions, and forget about all
+   * client data areas, releasing the ids they were using.
+   */
+  clear() {
+    this.subscriptions.forEach((subscription) => subscription.stop());
+    this.subscriptions.clear();
+    Object.values(this.areas).forEach(({ id }) =>
+      this.api.releaseId(CLIENT_DATA, id)
+    );
+    this.areas = {};
+  }
+}
@@ -0,0 +1,216 @@
+import { SIMCONNECT_EXCEPTION } from "./exceptions.js";
+import { didYouMean } from "./suggestions.js";
+
+export const MSFS_NOT_CONNECTED = `Not connected to MSFS`;
+
+/**
+ * Thrown when calling API functions that need a connection
+ * to MSFS before a connection has been established.
+ */
+export class NotConnectedError extends Error {
+  constructor() {
+    super(MSFS_NOT_CONNECTED);
+    this.name = `NotConnectedError`;
+  }
+}
+
+/**
+ * Thrown (or used to reject pending requests) when the connection
+ * to MSFS gets closed while we're still waiting for a response.
+ */
+export class ConnectionLostError extends Error {
+  constructor() {
+    super(`Connection to MSFS lost`);
+    this.name = `ConnectionLostError`;
+  }
+}
+
+/**
+ * Used to reject requests that SimConnect did not respond to in time.
+ *
+ * - timeout: the timeout, in seconds
+ * - simvar: the SimVar(s) involved, if any
+ * - event: the event involved, if any
+ * - clientData: the client data area involved, if any
+ * - simObject: the sim object (title or id) involved, if any
+ */
+export class RequestTimeoutError extends Error {
+  constructor(timeout, details = {}) {
+    const { simvar, event, clientData, simObject } = details;
+    const target = simvar
+      ? ` for SimVar "${simvar}"`
+      : event
+      ? ` for event "${event}"`
+      : clientData
+      ? ` for client data area "${clientData}"`
+      : simObject !== undefined
+      ? ` for sim object "${simObject}"`
+      : ``;
+    super(`No response from MSFS within ${timeout} seconds${target}`);
+    this.name = `RequestTimeoutError`;
+    this.timeout = timeout;
+    this.simvar = simvar;
+    this.event = event;
+    this.clientData = clientData;
+    this.simObject = simObject;
+  }
+}
+
+/**
+ * Thrown when trying to get or set a SimVar that is not in the catalog.
+ *
+ * - simvar: the unknown SimVar name
+ * - suggestions: a (possibly empty) list of similarly named SimVars
+ */
+export class UnknownSimVarError extends Error {
+  constructor(simvar, action = `get`, suggestions = []) {
+    super(
+      `Cannot ${action} SimVar: "${simvar}" unknown.${didYouMean(suggestions)}`
+    );
+    this.name = `UnknownSimVarError`;
+    this.simvar = simvar;
+    this.suggestions = suggestions;
+  }
+}
+
+/**
+ * Thrown when trying to trigger a SimEvent that is not in the catalog.
+ *
+ * - event: the unknown SimEvent name
+ * - suggestions: a (possibly empty) list of similarly named SimEvents
+ */
+export class UnknownSimEventError extends Error {
+  constructor(event, suggestions = []) {
+    super(
+      `Cannot trigger SimEvent: "${event}" unknown.${didYouMean(suggestions)}`
+    );
+    this.name = `UnknownSimEventError`;
+    this.event = event;
+    this.suggestions = suggestions;
+  }
+}
+
+/**
+ * Thrown when trying to get, set, or subscribe to an input event that
+ * the current aircraft does not have.
+ *
+ * - inputEvent: the unknown input event name
+ * - suggestions: a (possibly empty) list of similarly named input events
+ */
+export class UnknownInputEventError extends Error {
+  constructor(inputEvent, suggestions = []) {
+    const hint = didYouMean(suggestions);
+    super(
+      `Cannot find input event: "${inputEvent}" unknown for the current aircraft.${hint}`
+    );
+    this.name = `UnknownInputEventError`;
+    this.inputEvent = inputEvent;
+    this.suggestions = suggestions;
+  }
+}
+
+/**
+ * Thrown when trying to trigger a SimEvent with a value that is
+ * outside of the range that the event's parameter allows.
+ *
+ * - event: the SimEvent name
+ * - value: the value it was triggered with
+ * - param: the event's { desc, min, max } parameter definition
+ */
+export class InvalidEventValueError extends Error {
+  constructor(event, value, param) {
+    const { desc, min, max } = param;
+    const range = [min ?? `-Infinity`, max ?? `Infinity`].join(` to `);
+    super(
+      `Cannot trigger SimEvent "${event}" with value ${value}: expected ${desc} (${range}).`
+    );
+    this.name = `InvalidEventValueError`;
+    this.event = event;
+    this.value = value;
+    this.param = param;
+  }
+}
+
+/**
+ * Thrown when trying to set a SimVar that the catalog marks as read-only.
+ *
+ * - simvar: the SimVar name
+ */
+export class NotSettableError extends Error {
+  constructor(simvar) {
+    super(`SimVar "${simvar}" is not settable`);
+    this.name = `NotSettableError`;
+    this.simvar = simvar;
+  }
+}
+
+/**
+ * An exception that SimConnect sent in response to one of our requests,
+ * with the SimVar or event that the request was for, where known.
+ *
+ * - code: the numerical SimConnect exception code
+ * - exception: the exception name, e.g. SIMCONNECT_EXCEPTION_DATA_ERROR
+ * - sendId: the send id of the packet that caused the exception
+ * - index: the index of the packet parameter that caused the exception
+ * - simvar: the SimVar(s) involved, if any
+ * - event: the event involved, if any
+ * - clientData: the client data area involved, if any
+ * - simObject: the sim object (title or id) involved, if any
+ */
+export class SimConnectException extends Error {
+  constructor(code, details = {}) {
+    const { sendId, index, simvar, event, clientData, simObject } = details;
+    const exception = SIMCONNECT_EXCEPTION[code] ?? `UNKNOWN_EXCEPTION_${code}`;
+    const target = simvar
+      ? ` for SimVar "${simvar}"`
+      : event
+      ? ` for event "${event}"`
+      : clientData
+      ? ` for client data area "${clientData}"`
+      : simObject !== undefined
+      ? ` for sim object "${simObject}"`
+      : ``;
+    super(`${exception}${target} (parameter ${index}, send id ${sendId})`);
+    this.name = `SimConnectException`;
+    this.code = code;
+    this.exception = exception;
+    this.sendId = sendId;
+    this.index = index;
+    this.simvar = simvar;
+    this.event = event;
+    this.clientData = clientData;
+    this.simObject = simObject;
+  }
+}
+
+/**
+ * Used to reject calculator code that the companion WASM
+ * module for executeCalculatorCode() could not execute.
+ *
+ * - code: the calculator code
+ * - reason: the reason the module gave for not executing it
+ */
+export class CalculatorCodeError extends Error {
+  constructor(code, reason) {
+    super(`Could not execute calculator code "${code}": ${reason}`);
+    this.name = `CalculatorCodeError`;
+    this.code = code;
+    this.reason = reason;
+  }
+}
+
+/**
+ * Thrown when every id in one of the id allocator's namespaces is in use,
+ * which almost always means that ids are not getting released.
+ *
+ * - namespace: the namespace that ran out of ids
+ * - size: the number of ids in that namespace
+ */
+export class IdExhaustedError extends Error {
+  constructor(namespace, size) {
+    super(`All ${size} ${namespace} ids are in use`);
+    this.name = `IdExhaustedError`;
+    this.namespace = namespace;
+    this.size = size;
+  }
+}
@@ -0,0 +1,113 @@
+/**
+ * Facility data encoding for the SimConnect stand-in. Airports are scripted
+ * using the same airport object shape that `get("AIRPORT:ICAO")` returns,
+ * and are encoded using whichever fields the client added to its facility
+ * definition with `addToFacilityDefinition`.
+ */
+import {
+  RUNWAY_SURFACES,
+  RUNWAY_NUMBER,
+  RUNWAY_DESIGNATOR,
+  ILS_TYPES,
+} from "../special/constants.js";
+
+const FEET_PER_METERS = 3.28084;
+const radians = (deg) => (deg / 180) * Math.PI;
+const indexOf = (list, value) => Math.max(0, list.indexOf(value));
+const ilsType = (type) =>
+  parseFloat(Object.keys(ILS_TYPES).find((k) => ILS_TYPES[k] === type) ?? 0);
+
+// facility data types, as reported in RecvFacilityData.type
+export const FACILITY_TYPE = {
+  AIRPORT: 0,
+  RUNWAY: 1,
+};
+
+const float64 = (b, v) => b.writeFloat64(v ?? 0);
+const float32 = (b, v) => b.writeFloat32(v ?? 0);
+const int32 = (b, v) => b.writeInt32(v ?? 0);
+const string = (size) => (b, v) => b.writeString(v ?? ``, size);
+
+const AIRPORT_FIELDS = {
+  LATITUDE: [float64, (a) => a.latitude],
+  LONGITUDE: [float64, (a) => a.longitude],
+  ALTITUDE: [float64, (a) => a.altitude / FEET_PER_METERS],
+  MAGVAR: [float32, (a) => a.declination],
+  NAME: [string(32), (a) => a.name],
+  NAME64: [string(64), (a) => a.name64 ?? a.name],
+  REGION: [string(8), (a) => a.region],
+  N_RUNWAYS: [int32, (a) => a.runways?.length ?? 0],
+};
+
+const approach = (r, i) => r.approach?.[i] ?? {};
+
+const RUNWAY_FIELDS = {
+  LATITUDE: [float64, (r) => r.latitude],
+  LONGITUDE: [float64, (r) => r.longitude],
+  ALTITUDE: [float64, (r) => r.altitude / FEET_PER_METERS],
+  HEADING: [float32, (r) => r.heading],
+  LENGTH: [float32, (r) => r.length],
+  WIDTH: [float32, (r) => r.width],
+  PATTERN_ALTITUDE: [float32, (r) => r.patternAltitude],
+  SLOPE: [float32, (r) => radians(r.slope ?? 0)],
+  TRUE_SLOPE: [float32, (r) => radians(r.slopeTrue ?? 0)],
+  SURFACE: [int32, (r) => indexOf(RUNWAY_SURFACES, r.surface)],
+  PRIMARY_NUMBER: [
+    int32,
+    (r) => indexOf(RUNWAY_NUMBER, approach(r, 0).marking),
+  ],
+  PRIMARY_DESIGNATOR: [
+    int32,
+    (r) => indexOf(RUNWAY_DESIGNATOR, approach(r, 0).designation),
+  ],
+  PRIMARY_ILS_TYPE: [int32, (r) => ilsType(approach(r, 0).ILS?.type)],
+  PRIMARY_ILS_ICAO: [string(8), (r) => approach(r, 0).ILS?.icao],
+  PRIMARY_ILS_REGION: [string(8), (r) => approach(r, 0).ILS?.region],
+  SECONDARY_NUMBER: [
+    int32,
+    (r) => indexOf(RUNWAY_NUMBER, approach(r, 1).marking),
+  ],
+  SECONDARY_DESIGNATOR: [
+    int32,
+    (r) => indexOf(RUNWAY_DESIGNATOR, approach(r, 1).designation),
+  ],
+  SECONDARY_ILS_TYPE: [int32, (r) => ilsType(approach(r, 1).ILS?.type)],
+  SECONDARY_ILS_ICAO: [string(8), (r) => approach(r, 1).ILS?.icao],
+  SECONDARY_ILS_REGION: [string(8), (r) => approach(r, 1).ILS?.region],
+};
+
+/**
+ * Split a list of facility definition field names into the per-type
+ * field lists, based on the "OPEN ..." and "CLOSE ..." markers.
+ *
+ * @param {*} fieldNames
+ * @returns { AIRPORT: [...], RUNWAY: [...] }
+ */
+export function getFacilityLayout(fieldNames) {
+  const layout = { AIRPORT: [], RUNWAY: [] };
+  const stack = [];
+  fieldNames.forEach((name) => {
+    if (name.startsWith(`OPEN `)) return stack.push(name.substring(5));
+    if (name.startsWith(`CLOSE `)) return stack.pop();
+    layout[stack.at(-1)]?.push(name);
+  });
+  return layout;
+}
+
+/**
+ * Write an airport or runway record, in definition order.
+ *
+ * @param {*} buffer a RawBuffer
+ * @param {*} type either `AIRPORT` or `RUNWAY`
+ * @param {*} fieldNames the fields in the client's facility definition
+ * @param {*} record the scripted airport or runway object
+ */
+export function writeFacilityRecord(buffer, type, fieldNames, record) {
+  const fields = type === `AIRPORT` ? AIRPORT_FIELDS : RUNWAY_FIELDS;
+  fieldNames.forEach((name) => {
+    const field = fields[name];
+    if (!field) throw new Error(`Unsupported facility field ${type}.${name}`);
+    const [write, get] = field;
+    write(buffer, get(record));
+  });
+}
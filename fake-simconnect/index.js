@@ -0,0 +1,1395 @@
+/**
+ * A stand-in for MSFS's SimConnect server, speaking the same TCP protocol
+ * that node-simconnect's `open()` uses, so that code using the MSFS_API
+ * can be run (and tested) without MSFS. Point the API at it using the
+ * regular `host` and `port` connection options:
+ *
+ *   const sim = new FakeSimConnect({ simvars: { "PLANE ALTITUDE": 1500 } });
+ *   const port = await sim.listen();
+ *   api.connect({ host: `127.0.0.1`, port, ... });
+ *
+ * The constructor takes an options object of the following form:
+ *
+ * {
+ *   simvars: an object of simvar name/value pairs, with struct values as objects.
+ *   events: an object of event name/handler pairs, with handlers called as (value, sim, values) when that event gets triggered.
+ *   airports: an array of airport objects, using the same shape as `get("AIRPORT:ICAO")` returns.
+ *   systemState: an object of system state name/value pairs, e.g. { Sim: 1, AircraftLoaded: "..." }.
+ *   inputEvents: an object of input event name/value pairs, with values being numbers or strings.
+ *   objects: an array of { type, simvars } objects for AI or multiplayer objects, see addObject().
+ *   titles: an array of the container titles that clients can spawn objects with. If not set, any title can be spawned.
+ *   calculator: a function that gets called as (code, sim) to execute calculator code, standing in for the companion WASM module that executeCalculatorCode() needs. It should return a number or a string, and throw if the code can't be executed.
+ *   frameRate: the number of "sim frames" per second, defaults to 30.
+ * }
+ *
+ * The user's aircraft is sim object 1, and other sim objects get ids from 2 up.
+ * Simvar values are scripted in the units that the SimVars catalog uses, and
+ * numeric values are converted to whatever units a client asks for, as long
+ * as the units are known to simvars/units.js. Simvars that are
+ * neither scripted nor part of the SimVars catalog are rejected with a
+ * NAME_UNRECOGNIZED exception, and setting a simvar that the catalog marks
+ * as not settable is rejected with a DATA_ERROR exception.
+ */
+import net from "node:net";
+import { EventEmitter } from "node:events";
+import {
+  RawBuffer,
+  SimConnectPeriod,
+  DataRequestFlag,
+  DataSetFlag,
+  EventFlag,
+  ClientDataPeriod,
+  ClientDataRequestFlag,
+  SimConnectConstants,
+  SimObjectType,
+  InitPosition,
+} from "node-simconnect";
+import { SimVars } from "../simvars/index.js";
+import { readLayout, writeLayout } from "../client-data.js";
+import {
+  CALCULATOR_REQUEST_AREA,
+  CALCULATOR_RESPONSE_AREA,
+  CalculatorRequestLayout,
+  CalculatorResponseLayout,
+} from "../calculator-bridge.js";
+import {
+  PACKET,
+  RECV,
+  EXCEPTION,
+  UNKNOWN_GROUP,
+  buildMessage,
+  parsePackets,
+  defaultValue,
+  readValue,
+  writeValue,
+} from "./protocol.js";
+import { canConvert, convert } from "../simvars/units.js";
+import { getDistanceBetweenPoints } from "../special/utils.js";
+import {
+  FACILITY_TYPE,
+  getFacilityLayout,
+  writeFacilityRecord,
+} from "./facilities.js";
+
+const AIRPORT_LIST_PAGE_SIZE = 250;
+
+// The user's aircraft is a sim object like any other, with its own id,
+// but clients can also refer to it using SimConnect's OBJECT_ID_USER.
+const USER_OBJECT_ID = 1;
+const USER_OBJECT_TYPE = `AIRCRAFT`;
+
+const EARTH_RADIUS_IN_METERS = 6371000;
+
+// System events that are sent with a filename, or with an object's id and type,
+// rather than as a plain event, see SIMCONNECT_RECV_EVENT_FILENAME and
+// SIMCONNECT_RECV_EVENT_OBJECT_ADDREMOVE.
+const FILENAME_EVENTS = [
+  `aircraftloaded`,
+  `flightloaded`,
+  `flightsaved`,
+  `flightplanactivated`,
+];
+const OBJECT_EVENTS = [`objectadded`, `objectremoved`];
+
+// SimConnect's notification group priorities, see SIMCONNECT_GROUP_PRIORITY.
+const PRIORITY_HIGHEST = 1;
+const PRIORITY_DEFAULT = 2000000000;
+
+// The system states that SimConnect can be asked for, with numerical
+// states sent as integer (and float), and text states sent as strings.
+const DEFAULT_SYSTEM_STATE = {
+  AircraftLoaded: ``,
+  DialogMode: 0,
+  FlightLoaded: ``,
+  FlightPlan: ``,
+  Sim: 1,
+};
+
+// Client data definitions use either a size in bytes,
+// or a negative SIMCONNECT_CLIENTDATATYPE value.
+const CLIENT_DATA_TYPE_SIZES = {
+  [-1]: 1,
+  [-2]: 2,
+  [-3]: 4,
+  [-4]: 8,
+  [-5]: 4,
+  [-6]: 8,
+};
+
+// Input event values are either doubles (type 0) or strings (type 1).
+const inputEventType = (value) => (typeof value === `string` ? 1 : 0);
+
+/**
+ * MSFS identifies input events by a 64 bit hash, which we fake
+ * using a 32 bit FNV-1a hash of the input event's name.
+ *
+ * @param {*} name
+ * @returns
+ */
+function hashInputEvent(name) {
+  let hash = 0x811c9dc5;
+  for (const c of name) {
+    hash = Math.imul(hash ^ c.charCodeAt(0), 0x01000193) >>> 0;
+  }
+  return hash;
+}
+
+/**
+ * Write an input event value, preceded by its type.
+ *
+ * @param {*} b a RawBuffer
+ * @param {*} value a number or a string
+ */
+function writeInputEventValue(b, value) {
+  const type = inputEventType(value);
+  b.writeInt32(type);
+  if (type === 1) b.writeString256(value);
+  else b.writeFloat64(value);
+}
+
+// Namespaced variables (L:, A:, etc.) keep their underscores.
+const isNamespaced = (name) => /^[A-Z]:/.test(name);
+const normalize = (name) =>
+  isNamespaced(name) ? name : name.replaceAll(`_`, ` `).toUpperCase();
+
+/**
+ * Scripted values are in the catalog's units, so just like MSFS, we convert
+ * numeric values to (and from) the units that a client's data definition uses.
+ *
+ * @param {*} datum a data definition entry
+ * @param {*} value
+ * @param {*} toClient true when sending a value, false when receiving one
+ * @returns
+ */
+function convertUnits(datum, value, toClient) {
+  const { units } = SimVars[normalize(datum.name)] ?? {};
+  if (typeof value !== `number` || !canConvert(units, datum.units)) {
+    return value;
+  }
+  return toClient
+    ? convert(value, units, datum.units)
+    : convert(value, datum.units, units);
+}
+
+/**
+ * The stand-in server itself. See the top of this file for its options.
+ */
+export class FakeSimConnect extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.frameRate = options.frameRate ?? 30;
+    this.simvars = new Map();
+    Object.entries(options.simvars ?? {}).forEach(([name, value]) =>
+      this.setSimVar(name, value)
+    );
+    if (!this.simvars.has(`IS USER SIM`)) this.setSimVar(`IS USER SIM`, 1);
+    this.objects = new Map();
+    this.nextObjectId = USER_OBJECT_ID + 1;
+    options.objects?.forEach((object) => this.addObject(object));
+    this.titles = options.titles;
+    this.eventHandlers = { ...options.events };
+    this.airports = options.airports ?? [];
+    this.systemState = { ...DEFAULT_SYSTEM_STATE, ...options.systemState };
+    this.inputEvents = new Map(Object.entries(options.inputEvents ?? {}));
+    this.clientData = new Map();
+    this.clients = new Set();
+    if (options.calculator) this.emulateCalculator(options.calculator);
+  }
+
+  /**
+   * Start accepting connections.
+   *
+   * @param {*} port the port to listen on, defaults to 0 (meaning "any free port")
+   * @param {*} host the host to listen on, defaults to 127.0.0.1
+   * @returns the port that the stand-in is listening on
+   */
+  listen(port = 0, host = `127.0.0.1`) {
+    this.server = net.createServer((socket) => {
+      const client = new FakeClient(this, socket);
+      this.clients.add(client);
+      socket.on(`close`, () => {
+        client.cleanup();
+        this.clients.delete(client);
+      });
+    });
+    return new Promise((resolve, reject) => {
+      this.server.once(`error`, reject);
+      this.server.listen(port, host, () => resolve(this.server.address().port));
+    });
+  }
+
+  /**
+   * Stop the stand-in, closing all client connections.
+   */
+  close() {
+    this.clients.forEach((client) => client.socket.destroy());
+    return new Promise((resolve) => {
+      if (!this.server) return resolve();
+      this.server.close(() => resolve());
+    });
+  }
+
+  /**
+   * Drop client connections, as if MSFS closed them, while still
+   * accepting new connections, e.g. for testing reconnect logic.
+   *
+   * @param {*} appName (optional) only drop clients that opened their connection using this name
+   */
+  disconnectClients(appName) {
+    this.clients.forEach((client) => {
+      if (appName === undefined || client.appName === appName) {
+        client.socket.destroy();
+      }
+    });
+  }
+
+  /**
+   * Stop (or resume) handling client packets, as if MSFS hung, e.g. for
+   * testing request timeouts. Packets that arrive while a client is
+   * unresponsive get dropped, rather than handled later.
+   *
+   * @param {*} unresponsive whether to ignore client packets
+   * @param {*} appName (optional) only affect clients that opened their connection using this name
+   */
+  setUnresponsive(unresponsive, appName) {
+    this.clients.forEach((client) => {
+      if (appName === undefined || client.appName === appName) {
+        client.unresponsive = unresponsive;
+      }
+    });
+  }
+
+  /**
+   * Find the simvars for a sim object.
+   *
+   * @param {*} objectId (optional) the sim object's id, defaults to the user's aircraft
+   * @returns a Map of simvar name/value pairs, or undefined if there is no such object
+   */
+  getObjectSimVars(objectId = USER_OBJECT_ID) {
+    if (
+      objectId === USER_OBJECT_ID ||
+      objectId === SimConnectConstants.OBJECT_ID_USER
+    ) {
+      return this.simvars;
+    }
+    return this.objects.get(objectId)?.simvars;
+  }
+
+  /**
+   * Script a simvar value.
+   *
+   * @param {*} name
+   * @param {*} value
+   * @param {*} objectId (optional) the sim object to set the value for, defaults to the user's aircraft
+   * @throws if there is no such sim object
+   */
+  setSimVar(name, value, objectId) {
+    const simvars = this.getObjectSimVars(objectId);
+    if (!simvars) throw new Error(`There is no sim object ${objectId}.`);
+    simvars.set(normalize(name), value);
+  }
+
+  /**
+   * Get a simvar's value, falling back to its non-indexed
+   * value (if there is one) for indexed simvars.
+   *
+   * @param {*} name
+   * @param {*} objectId (optional) the sim object to get the value for, defaults to the user's aircraft
+   * @returns
+   */
+  getSimVar(name, objectId) {
+    const simvars = this.getObjectSimVars(objectId);
+    if (!simvars) return;
+    name = normalize(name);
+    if (simvars.has(name)) return simvars.get(name);
+    if (name.includes(`:`) && !isNamespaced(name)) {
+      return simvars.get(name.replace(/:.*/, ``));
+    }
+  }
+
+  /**
+   * Add an AI or multiplayer object to the "sim", notifying
+   * clients that subscribed to the ObjectAdded system event.
+   *
+   * @param {*} object (optional) a { type, simvars } object, with type being one of "AIRCRAFT" (the default), "HELICOPTER", "BOAT", or "GROUND"
+   * @returns the new object's id
+   */
+  addObject({ type = `AIRCRAFT`, simvars = {} } = {}) {
+    const objectId = this.nextObjectId++;
+    this.objects.set(objectId, { type, simvars: new Map() });
+    this.setSimVar(`IS USER SIM`, 0, objectId);
+    Object.entries(simvars).forEach(([name, value]) =>
+      this.setSimVar(name, value, objectId)
+    );
+    this.sendSystemEvent(`ObjectAdded`, { objectId, type });
+    return objectId;
+  }
+
+  /**
+   * Remove an AI or multiplayer object from the "sim", notifying
+   * clients that subscribed to the ObjectRemoved system event.
+   *
+   * @param {*} objectId
+   * @returns false if there was no such object, otherwise true
+   */
+  removeObject(objectId) {
+    const object = this.objects.get(objectId);
+    if (!object) return false;
+    this.objects.delete(objectId);
+    this.sendSystemEvent(`ObjectRemoved`, { objectId, type: object.type });
+    return true;
+  }
+
+  /**
+   * Get an AI or multiplayer object, including the flight
+   * plan that a client gave it, if any.
+   *
+   * @param {*} objectId
+   * @returns a { type, simvars, flightPlan } object, or undefined if there is no such object
+   */
+  getObject(objectId) {
+    return this.objects.get(objectId);
+  }
+
+  /**
+   * Check whether clients can spawn objects with a given container title.
+   *
+   * @param {*} title
+   * @returns
+   */
+  canSpawn(title) {
+    return !this.titles || this.titles.includes(title);
+  }
+
+  /**
+   * Find the sim objects of a given type within a radius of the user's
+   * aircraft, which, just like in MSFS, includes the user's aircraft.
+   *
+   * @param {*} radius the radius in meters, with 0 meaning "only the user's aircraft"
+   * @param {*} type a SimObjectType value
+   * @returns a list of object ids
+   */
+  findObjects(radius, type) {
+    if (radius === 0 || type === SimObjectType.USER) return [USER_OBJECT_ID];
+    const position = (simvars) => [
+      simvars.get(`PLANE LATITUDE`) ?? 0,
+      simvars.get(`PLANE LONGITUDE`) ?? 0,
+    ];
+    const [lat, long] = position(this.simvars);
+    const objects = [
+      [USER_OBJECT_ID, { type: USER_OBJECT_TYPE, simvars: this.simvars }],
+      ...this.objects,
+    ];
+    return objects
+      .filter(([, object]) => {
+        if (type !== SimObjectType.ALL && SimObjectType[object.type] !== type) {
+          return false;
+        }
+        const [objectLat, objectLong] = position(object.simvars);
+        const distance = getDistanceBetweenPoints(
+          lat,
+          long,
+          objectLat,
+          objectLong,
+          EARTH_RADIUS_IN_METERS
+        );
+        return distance <= radius;
+      })
+      .map(([objectId]) => objectId);
+  }
+
+  /**
+   * Check whether a simvar is known, either because it was scripted,
+   * because it's a namespaced variable, or because it's in the catalog.
+   *
+   * @param {*} name
+   * @returns
+   */
+  knows(name) {
+    name = normalize(name);
+    return (
+      isNamespaced(name) ||
+      this.getSimVar(name) !== undefined ||
+      SimVars[name] !== undefined
+    );
+  }
+
+  /**
+   * Check whether a simvar may be set. Scripted simvars that are
+   * not in the catalog are always settable.
+   *
+   * @param {*} name
+   * @returns
+   */
+  isSettable(name) {
+    const def = SimVars[normalize(name)];
+    return def ? def.settable : true;
+  }
+
+  /**
+   * Script the response to a sim event.
+   *
+   * @param {*} eventName
+   * @param {*} handler function that gets called as (value, sim, values)
+   */
+  onEvent(eventName, handler) {
+    this.eventHandlers[eventName] = handler;
+  }
+
+  /**
+   * Handle a sim event, either triggered by a client or by calling this function directly.
+   * Just like in MSFS, notification groups get to see the event in priority order, starting
+   * at the priority that the event was transmitted with, and if a group masks the event, lower
+   * priority groups and the sim itself never see it.
+   *
+   * Events can be triggered with a single value, or an array of up to five values, in which
+   * case notification groups only get to see the first value, just like in MSFS.
+   *
+   * @param {*} eventName
+   * @param {*} value (optional) the event's value, or an array of values
+   * @param {*} priority (optional) the priority the event was transmitted with, defaults to the highest priority
+   */
+  triggerEvent(eventName, value = 0, priority = PRIORITY_HIGHEST) {
+    const values = [].concat(value);
+    [value] = values;
+    const listeners = [...this.clients]
+      .flatMap((client) => client.getListeners(eventName))
+      .filter((listener) => listener.priority >= priority)
+      .sort((a, b) => a.priority - b.priority);
+    for (const { client, groupId, clientEventId, maskable } of listeners) {
+      client.notifyEvent(groupId, clientEventId, value);
+      if (maskable) return;
+    }
+    this.eventHandlers[eventName]?.(value, this, values);
+    this.emit(`event`, { name: eventName, value, values });
+  }
+
+  /**
+   * Send a system event to every client that subscribed to it.
+   *
+   * @param {*} eventName the SimConnect event name, e.g. `Paused`
+   * @param {*} data (optional) the event's data value, which is a { filename, flags? } object for events that come with a filename, and an { objectId, type } object for ObjectAdded and ObjectRemoved
+   */
+  sendSystemEvent(eventName, data = 0) {
+    this.clients.forEach((client) => client.sendSystemEvent(eventName, data));
+  }
+
+  /**
+   * Notify subscribed clients that airports came into range.
+   *
+   * @param {*} airports an array of airport objects
+   */
+  airportsInRange(airports) {
+    this.clients.forEach((client) => client.sendAirportsInRange(airports));
+  }
+
+  /**
+   * Notify subscribed clients that airports went out of range.
+   *
+   * @param {*} airports an array of airport objects
+   */
+  airportsOutOfRange(airports) {
+    this.clients.forEach((client) => client.sendAirportsOutOfRange(airports));
+  }
+
+  /**
+   * Script an input event's value, notifying clients that subscribed to it.
+   * Values set by clients using setInputEvent() also end up here.
+   *
+   * @param {*} name
+   * @param {*} value a number or a string
+   */
+  setInputEvent(name, value) {
+    this.inputEvents.set(name, value);
+    this.clients.forEach((client) => client.sendInputEvent(name, value));
+  }
+
+  /**
+   * Get an input event's value.
+   *
+   * @param {*} name
+   * @returns
+   */
+  getInputEvent(name) {
+    return this.inputEvents.get(name);
+  }
+
+  /**
+   * Find the input event that a client refers to by its hash.
+   *
+   * @param {*} hash the input event hash, as a bytebuffer Long
+   * @returns the input event name, or undefined if there is no such input event
+   */
+  findInputEvent(hash) {
+    const number = hash.toNumber();
+    return [...this.inputEvents.keys()].find(
+      (name) => hashInputEvent(name) === number
+    );
+  }
+
+  /**
+   * Create a client data area, as if some in-sim client created it.
+   *
+   * @param {*} name
+   * @param {*} size the area's size in bytes
+   * @returns false if the area already exists, otherwise true
+   */
+  createClientData(name, size) {
+    if (this.clientData.has(name)) return false;
+    this.clientData.set(name, Buffer.alloc(size));
+    return true;
+  }
+
+  /**
+   * Write to a client data area, notifying clients that asked to be told
+   * whenever the area gets set. Data set by clients also ends up here.
+   *
+   * @param {*} name
+   * @param {*} bytes a node Buffer
+   * @param {*} offset (optional) where in the area to write the bytes, defaults to 0
+   * @throws if the area does not exist
+   */
+  setClientData(name, bytes, offset = 0) {
+    const area = this.clientData.get(name);
+    if (!area) throw new Error(`Client data area "${name}" does not exist.`);
+    bytes.copy(area, offset);
+    this.clients.forEach((client) => client.sendClientDataOnSet(name));
+  }
+
+  /**
+   * Get the contents of a client data area.
+   *
+   * @param {*} name
+   * @returns a node Buffer, or undefined if the area does not exist
+   */
+  getClientData(name) {
+    return this.clientData.get(name);
+  }
+
+  /**
+   * Stand in for the companion WASM module that executeCalculatorCode()
+   * needs, by creating its client data areas, and answering its requests.
+   * Like the real module, this only looks at the request area once per
+   * frame, so a request that gets overwritten in the same frame is lost.
+   *
+   * @param {*} calculate function that gets called as (code, sim)
+   */
+  emulateCalculator(calculate) {
+    const request = CalculatorRequestLayout;
+    const response = CalculatorResponseLayout;
+    this.createClientData(CALCULATOR_REQUEST_AREA, request.size);
+    this.createClientData(CALCULATOR_RESPONSE_AREA, response.size);
+    let frame;
+    this.on(`clientData`, ({ name }) => {
+      if (name !== CALCULATOR_REQUEST_AREA || frame) return;
+      frame = setTimeout(() => {
+        frame = undefined;
+        const bytes = this.getClientData(CALCULATOR_REQUEST_AREA);
+        const { requestId, code } = readLayout(request, new RawBuffer(bytes));
+        const result = { requestId, status: 0, number: 0, string: `` };
+        try {
+          const value = calculate(code, this);
+          if (typeof value === `string`) result.string = value;
+          else result.number = value ?? 0;
+        } catch (e) {
+          result.status = 1;
+          result.string = e.message;
+        }
+        this.setClientData(
+          CALCULATOR_RESPONSE_AREA,
+          writeLayout(response, result)
+        );
+      }, 1000 / this.frameRate);
+    });
+  }
+}
+
+/**
+ * The per-connection state for a single SimConnect client.
+ */
+class FakeClient {
+  constructor(sim, socket) {
+    this.sim = sim;
+    this.socket = socket;
+    this.protocol = 0;
+    this.pending = Buffer.alloc(0);
+    this.unresponsive = false;
+    this.clientEvents = {};
+    this.notificationGroups = {};
+    this.systemEvents = {};
+    this.definitions = {};
+    this.requests = {};
+    this.facilityDefinitions = {};
+    this.facilitySubscription = undefined;
+    this.inputEventSubscriptions = new Set();
+    this.clientDataIds = {};
+    this.clientDataDefinitions = {};
+    this.clientDataRequests = {};
+    socket.on(`data`, (bytes) => this.receive(bytes));
+    socket.on(`error`, () => socket.destroy());
+  }
+
+  cleanup() {
+    Object.values(this.requests).forEach(({ timer }) => clearInterval(timer));
+    this.requests = {};
+    Object.values(this.clientDataRequests).forEach(({ timer }) =>
+      clearInterval(timer)
+    );
+    this.clientDataRequests = {};
+  }
+
+  receive(bytes) {
+    const { packets, rest } = parsePackets(
+      Buffer.concat([this.pending, bytes])
+    );
+    this.pending = rest;
+    if (this.unresponsive) return;
+    packets.forEach((packet) => {
+      try {
+        this.handlePacket(packet);
+      } catch (e) {
+        console.error(`stand-in could not handle packet ${packet.type}:`, e);
+      }
+    });
+  }
+
+  send(recvId, writeBody) {
+    if (this.socket.destroyed) return;
+    this.socket.write(buildMessage(this.protocol, recvId, writeBody));
+  }
+
+  sendException(exception, sendId, index = 0) {
+    this.send(RECV.EXCEPTION, (b) => {
+      b.writeInt32(exception);
+      b.writeInt32(sendId);
+      b.writeInt32(index);
+    });
+  }
+
+  handlePacket({ type, sendId, protocol, data }) {
+    switch (type) {
+      case PACKET.OPEN:
+        this.protocol = protocol;
+        this.appName = data.readString256();
+        return this.send(RECV.OPEN, (b) => {
+          b.writeString256(`SimConnect stand-in`);
+          [0, 0, 0, 0, 11, 0, 62651, 3, 0, 0].forEach((v) => b.writeInt32(v));
+        });
+
+      case PACKET.MAP_CLIENT_EVENT_TO_SIM_EVENT: {
+        const clientEventId = data.readInt32();
+        this.clientEvents[clientEventId] = data.readString256();
+        return;
+      }
+
+      case PACKET.TRANSMIT_CLIENT_EVENT: {
+        const objectId = data.readInt32();
+        const clientEventId = data.readInt32();
+        const value = data.readInt32();
+        const groupId = data.readInt32() >>> 0;
+        const flags = data.readInt32();
+        const eventName = this.clientEvents[clientEventId];
+        if (eventName === undefined) {
+          return this.sendException(EXCEPTION.UNRECOGNIZED_ID, sendId, 2);
+        }
+        // We only support transmitting events with a priority, rather than a group.
+        const priority =
+          flags & EventFlag.EVENT_FLAG_GROUPID_IS_PRIORITY
+            ? groupId
+            : PRIORITY_HIGHEST;
+        return this.sim.triggerEvent(eventName, value, priority);
+      }
+
+      case PACKET.TRANSMIT_CLIENT_EVENT_EX1: {
+        data.readInt32(); // object id
+        const clientEventId = data.readInt32();
+        const groupId = data.readInt32() >>> 0;
+        const flags = data.readInt32();
+        const values = [0, 1, 2, 3, 4].map(() => data.readInt32());
+        const eventName = this.clientEvents[clientEventId];
+        if (eventName === undefined) {
+          return this.sendException(EXCEPTION.UNRECOGNIZED_ID, sendId, 2);
+        }
+        const priority =
+          flags & EventFlag.EVENT_FLAG_GROUPID_IS_PRIORITY
+            ? groupId
+            : PRIORITY_HIGHEST;
+        return this.sim.triggerEvent(eventName, values, priority);
+      }
+
+      case PACKET.ADD_CLIENT_EVENT_TO_NOTIFICATION_GROUP: {
+        const groupId = data.readInt32();
+        const clientEventId = data.readInt32();
+        const maskable = data.readInt32() !== 0;
+        this.getNotificationGroup(groupId).events.set(clientEventId, maskable);
+        return;
+      }
+
+      case PACKET.REMOVE_CLIENT_EVENT: {
+        const groupId = data.readInt32();
+        const clientEventId = data.readInt32();
+        this.notificationGroups[groupId]?.events.delete(clientEventId);
+        return;
+      }
+
+      case PACKET.SET_NOTIFICATION_GROUP_PRIORITY: {
+        const groupId = data.readInt32();
+        this.getNotificationGroup(groupId).priority = data.readInt32() >>> 0;
+        return;
+      }
+
+      case PACKET.CLEAR_NOTIFICATION_GROUP:
+        delete this.notificationGroups[data.readInt32()];
+        return;
+
+      case PACKET.ADD_TO_DATA_DEFINITION: {
+        const defId = data.readInt32();
+        const name = data.readString256();
+        const units = data.readString256();
+        const dataType = data.readInt32();
+        data.readFloat32(); // epsilon
+        const datumId = data.readInt32();
+        if (!this.sim.knows(name)) {
+          return this.sendException(EXCEPTION.NAME_UNRECOGNIZED, sendId, 2);
+        }
+        const definition = (this.definitions[defId] ??= []);
+        definition.push({ name, units, dataType, datumId });
+        return;
+      }
+
+      case PACKET.CLEAR_DATA_DEFINITION:
+        delete this.definitions[data.readInt32()];
+        return;
+
+      case PACKET.REQUEST_DATA_ON_SIM_OBJECT:
+        return this.requestData(sendId, {
+          requestId: data.readInt32(),
+          defId: data.readInt32(),
+          objectId: data.readInt32(),
+          period: data.readInt32(),
+          flags: data.readInt32(),
+          origin: data.readInt32(),
+          interval: data.readInt32(),
+          limit: data.readInt32(),
+        });
+
+      case PACKET.REQUEST_DATA_ON_SIM_OBJECT_TYPE: {
+        const requestId = data.readInt32();
+        const defId = data.readInt32();
+        const radius = data.readInt32();
+        const objectIds = this.sim.findObjects(radius, data.readInt32());
+        if (!this.definitions[defId]) {
+          return this.sendException(EXCEPTION.UNRECOGNIZED_ID, sendId, 2);
+        }
+        // Entries are numbered from 1, with an empty result using 0 out of 0.
+        if (!objectIds.length) {
+          return this.send(RECV.SIMOBJECT_DATA_BYTYPE, (b) =>
+            [requestId, 0, defId, 0, 0, 0, 0].forEach((v) => b.writeInt32(v))
+          );
+        }
+        const outOf = objectIds.length;
+        objectIds.forEach((objectId, i) =>
+          this.sendData(
+            { requestId, defId, objectId, flags: 0, entryNumber: i + 1, outOf },
+            RECV.SIMOBJECT_DATA_BYTYPE
+          )
+        );
+        return;
+      }
+
+      case PACKET.SET_DATA_ON_SIM_OBJECT:
+        return this.setData(sendId, data);
+
+      case PACKET.SUBSCRIBE_TO_SYSTEM_EVENT: {
+        const clientEventId = data.readInt32();
+        this.systemEvents[clientEventId] = data.readString256();
+        return;
+      }
+
+      case PACKET.UNSUBSCRIBE_FROM_SYSTEM_EVENT:
+        delete this.systemEvents[data.readInt32()];
+        return;
+
+      case PACKET.AI_CREATE_PARKED_ATC_AIRCRAFT: {
+        const title = data.readString256();
+        const tailNumber = data.readString(12);
+        const icao = data.readString(5);
+        const requestId = data.readInt32();
+        const airport = this.sim.airports.find((a) => a.icao === icao);
+        if (!airport) {
+          return this.sendException(EXCEPTION.CREATE_OBJECT_FAILED, sendId, 3);
+        }
+        const { latitude, longitude, altitude } = airport;
+        const position = { latitude, longitude, altitude, onGround: true };
+        return this.createObject(sendId, requestId, {
+          title,
+          tailNumber,
+          position,
+        });
+      }
+
+      case PACKET.AI_CREATE_NON_ATC_AIRCRAFT: {
+        const title = data.readString256();
+        const tailNumber = data.readString(12);
+        const position = new InitPosition();
+        position.readFrom(data);
+        const requestId = data.readInt32();
+        return this.createObject(sendId, requestId, {
+          title,
+          tailNumber,
+          position,
+        });
+      }
+
+      case PACKET.AI_CREATE_SIMULATED_OBJECT: {
+        const title = data.readString256();
+        const position = new InitPosition();
+        position.readFrom(data);
+        const requestId = data.readInt32();
+        return this.createObject(sendId, requestId, {
+          type: `GROUND`,
+          title,
+          position,
+        });
+      }
+
+      case PACKET.AI_REMOVE_OBJECT: {
+        const objectId = data.readInt32();
+        if (!this.sim.removeObject(objectId)) {
+          this.sendException(EXCEPTION.UNRECOGNIZED_ID, sendId, 1);
+        }
+        return;
+      }
+
+      case PACKET.AI_SET_AIRCRAFT_FLIGHT_PLAN: {
+        const object = this.sim.getObject(data.readInt32());
+        if (!object) {
+          return this.sendException(EXCEPTION.UNRECOGNIZED_ID, sendId, 1);
+        }
+        object.flightPlan = data.readString(260);
+        return;
+      }
+
+      case PACKET.REQUEST_SYSTEM_STATE: {
+        const requestId = data.readInt32();
+        const value = this.sim.systemState[data.readString256()];
+        if (value === undefined) {
+          return this.sendException(EXCEPTION.NAME_UNRECOGNIZED, sendId, 2);
+        }
+        const number = typeof value === `number` ? value : 0;
+        return this.send(RECV.SYSTEM_STATE, (b) => {
+          b.writeInt32(requestId);
+          b.writeInt32(number);
+          b.writeFloat32(number);
+          b.writeString(typeof value === `string` ? value : ``, 260);
+        });
+      }
+
+      case PACKET.MAP_CLIENT_DATA_NAME_TO_ID: {
+        const name = data.readString256();
+        this.clientDataIds[data.readInt32()] = name;
+        return;
+      }
+
+      case PACKET.CREATE_CLIENT_DATA: {
+        const name = this.clientDataIds[data.readInt32()];
+        const size = data.readInt32();
+        if (name === undefined) {
+          return this.sendException(EXCEPTION.UNRECOGNIZED_ID, sendId, 1);
+        }
+        if (!this.sim.createClientData(name, size)) {
+          return this.sendException(EXCEPTION.ALREADY_CREATED, sendId, 1);
+        }
+        return;
+      }
+
+      case PACKET.ADD_TO_CLIENT_DATA_DEFINITION: {
+        const defId = data.readInt32();
+        const offset = data.readInt32();
+        const sizeOrType = data.readInt32();
+        const definition = (this.clientDataDefinitions[defId] ??= []);
+        definition.push({
+          offset,
+          size: CLIENT_DATA_TYPE_SIZES[sizeOrType] ?? sizeOrType,
+        });
+        return;
+      }
+
+      case PACKET.CLEAR_CLIENT_DATA_DEFINITION:
+        delete this.clientDataDefinitions[data.readInt32()];
+        return;
+
+      case PACKET.REQUEST_CLIENT_DATA:
+        return this.requestClientData(sendId, {
+          clientDataId: data.readInt32(),
+          requestId: data.readInt32(),
+          defId: data.readInt32(),
+          period: data.readInt32(),
+          flags: data.readInt32(),
+          origin: data.readInt32(),
+          interval: data.readInt32(),
+          limit: data.readInt32(),
+        });
+
+      case PACKET.SET_CLIENT_DATA:
+        return this.setClientData(sendId, data);
+
+      case PACKET.ENUMERATE_INPUT_EVENTS: {
+        const requestId = data.readInt32();
+        const inputEvents = [...this.sim.inputEvents];
+        return this.send(RECV.ENUMERATE_INPUT_EVENTS, (b) => {
+          [requestId, inputEvents.length, 0, 1].forEach((v) => b.writeInt32(v));
+          inputEvents.forEach(([name, value]) => {
+            b.writeString64(name);
+            b.writeUint64(hashInputEvent(name));
+            b.writeInt32(inputEventType(value));
+          });
+        });
+      }
+
+      case PACKET.GET_INPUT_EVENT: {
+        const requestId = data.readInt32();
+        const name = this.sim.findInputEvent(data.readUint64());
+        if (name === undefined) {
+          return this.sendException(
+            EXCEPTION.GET_INPUT_EVENT_FAILED,
+            sendId,
+            2
+          );
+        }
+        return this.send(RECV.GET_INPUT_EVENT, (b) => {
+          b.writeInt32(requestId);
+          writeInputEventValue(b, this.sim.getInputEvent(name));
+        });
+      }
+
+      case PACKET.SET_INPUT_EVENT: {
+        const name = this.sim.findInputEvent(data.readUint64());
+        const size = data.readInt32();
+        if (name === undefined) {
+          return this.sendException(
+            EXCEPTION.SET_INPUT_EVENT_FAILED,
+            sendId,
+            1
+          );
+        }
+        const value =
+          inputEventType(this.sim.getInputEvent(name)) === 1
+            ? data.readBytes(size).toString(`utf-8`).replace(/\0.*$/, ``)
+            : data.readFloat64();
+        this.sim.setInputEvent(name, value);
+        this.sim.emit(`inputEvent`, { name, value });
+        return;
+      }
+
+      case PACKET.SUBSCRIBE_INPUT_EVENT: {
+        const name = this.sim.findInputEvent(data.readUint64());
+        if (name !== undefined) this.inputEventSubscriptions.add(name);
+        return;
+      }
+
+      case PACKET.UNSUBSCRIBE_INPUT_EVENT:
+        this.inputEventSubscriptions.delete(
+          this.sim.findInputEvent(data.readUint64())
+        );
+        return;
+
+      case PACKET.REQUEST_FACILITIES_LIST: {
+        const listType = data.readInt32();
+        const requestId = data.readInt32();
+        // We only have airports (list type 0)
+        const airports = listType === 0 ? this.sim.airports : [];
+        return this.sendAirportList(requestId, airports);
+      }
+
+      case PACKET.ADD_TO_FACILITY_DEFINITION: {
+        const defId = data.readInt32();
+        const fields = (this.facilityDefinitions[defId] ??= []);
+        fields.push(data.readString256());
+        return;
+      }
+
+      case PACKET.REQUEST_FACILITY_DATA:
+        return this.sendFacilityData(
+          data.readInt32(),
+          data.readInt32(),
+          data.readString(16)
+        );
+
+      case PACKET.SUBSCRIBE_TO_FACILITIES_EX1:
+        data.readInt32(); // list type
+        this.facilitySubscription = {
+          inRange: data.readInt32(),
+          outOfRange: data.readInt32(),
+        };
+        return;
+    }
+  }
+
+  /**
+   * Send data for a data definition, either once, or periodically.
+   *
+   * @param {*} sendId
+   * @param {*} request
+   */
+  requestData(sendId, request) {
+    const { requestId, defId, objectId, period, interval } = request;
+    clearInterval(this.requests[requestId]?.timer);
+    delete this.requests[requestId];
+    if (period === SimConnectPeriod.NEVER) return;
+    if (!this.definitions[defId]) {
+      return this.sendException(EXCEPTION.UNRECOGNIZED_ID, sendId, 2);
+    }
+    if (!this.sim.getObjectSimVars(objectId)) {
+      return this.sendException(EXCEPTION.UNRECOGNIZED_ID, sendId, 3);
+    }
+    if (period === SimConnectPeriod.ONCE) {
+      return this.sendData(request);
+    }
+    const periodLength =
+      period === SimConnectPeriod.SECOND ? 1000 : 1000 / this.sim.frameRate;
+    request.lastSent = [];
+    request.timer = setInterval(
+      () => this.sendData(request),
+      periodLength * (interval + 1)
+    );
+    this.requests[requestId] = request;
+    this.sendData(request);
+  }
+
+  /**
+   * Spawn an object on behalf of this client, and tell the client
+   * which id it got, or that it could not be created.
+   *
+   * @param {*} sendId
+   * @param {*} requestId
+   * @param {*} object a { type, title, tailNumber, position } object, with the position in degrees, feet, and knots
+   */
+  createObject(sendId, requestId, object) {
+    const { type = `AIRCRAFT`, title, tailNumber = ``, position } = object;
+    if (!this.sim.canSpawn(title)) {
+      return this.sendException(EXCEPTION.CREATE_OBJECT_FAILED, sendId, 1);
+    }
+    const { latitude, longitude, altitude, heading = 0 } = position;
+    const { onGround, airspeed = 0 } = position;
+    const radians = (deg) => convert(deg, `degrees`, `radians`);
+    const objectId = this.sim.addObject({
+      type,
+      simvars: {
+        TITLE: title,
+        "ATC ID": tailNumber,
+        "PLANE LATITUDE": radians(latitude),
+        "PLANE LONGITUDE": radians(longitude),
+        "PLANE ALTITUDE": altitude,
+        "PLANE HEADING DEGREES TRUE": radians(heading),
+        "SIM ON GROUND": onGround ? 1 : 0,
+        "GROUND VELOCITY": Math.max(0, airspeed),
+      },
+    });
+    this.send(RECV.ASSIGNED_OBJECT_ID, (b) => {
+      b.writeInt32(requestId);
+      b.writeInt32(objectId);
+    });
+  }
+
+  /**
+   * Send the data for a data definition, for the sim object that was asked for.
+   *
+   * @param {*} request
+   * @param {*} recvId (optional) the message type to send the data as, defaults to RECV.SIMOBJECT_DATA
+   */
+  sendData(request, recvId = RECV.SIMOBJECT_DATA) {
+    const { requestId, defId, objectId, flags } = request;
+    const { entryNumber = 1, outOf = 1 } = request;
+    const definition = this.definitions[defId];
+    if (!definition) return;
+    // Objects can disappear while clients are still subscribed to them.
+    if (!this.sim.getObjectSimVars(objectId)) return;
+    const changedOnly = flags & DataRequestFlag.DATA_REQUEST_FLAG_CHANGED;
+    const tagged = flags & DataRequestFlag.DATA_REQUEST_FLAG_TAGGED;
+
+    // Find out which values need to be sent.
+    const entries = definition.map((datum, pos) => {
+      const { name, dataType } = datum;
+      const value =
+        this.sim.getSimVar(name, objectId) ?? defaultValue(dataType);
+      const serialized = JSON.stringify(value);
+      const changed = request.lastSent?.[pos] !== serialized;
+      if (request.lastSent) request.lastSent[pos] = serialized;
+      return { datum, value, changed };
+    });
+    if (changedOnly && !entries.some((e) => e.changed)) return;
+    const toSend =
+      tagged && changedOnly ? entries.filter((e) => e.changed) : entries;
+
+    this.send(recvId, (b) => {
+      const header = [requestId, objectId, defId, flags, entryNumber, outOf];
+      [...header, toSend.length].forEach((v) => b.writeInt32(v));
+      toSend.forEach(({ datum, value }) => {
+        if (tagged) b.writeInt32(datum.datumId);
+        writeValue(b, datum.dataType, convertUnits(datum, value, true));
+      });
+    });
+  }
+
+  /**
+   * Update simvars based on client data.
+   *
+   * @param {*} sendId
+   * @param {*} data
+   */
+  setData(sendId, data) {
+    const defId = data.readInt32();
+    const objectId = data.readInt32();
+    const flags = data.readInt32();
+    data.readInt32(); // array count
+    const size = data.readInt32();
+    const definition = this.definitions[defId];
+    if (!definition) {
+      return this.sendException(EXCEPTION.UNRECOGNIZED_ID, sendId, 1);
+    }
+    if (!this.sim.getObjectSimVars(objectId)) {
+      return this.sendException(EXCEPTION.UNRECOGNIZED_ID, sendId, 2);
+    }
+
+    const updates = [];
+    if (flags & DataSetFlag.TAGGED) {
+      const end = data.getOffset() + size;
+      while (data.getOffset() < end) {
+        const datumId = data.readInt32();
+        const datum = definition.find((d) => d.datumId === datumId);
+        if (!datum) break;
+        updates.push([datum, readValue(data, datum.dataType)]);
+      }
+    } else {
+      definition.forEach((datum) =>
+        updates.push([datum, readValue(data, datum.dataType)])
+      );
+    }
+
+    if (updates.some(([{ name }]) => !this.sim.isSettable(name))) {
+      return this.sendException(EXCEPTION.DATA_ERROR, sendId, 1);
+    }
+    updates.forEach(([datum, value]) => {
+      const { name } = datum;
+      value = convertUnits(datum, value, false);
+      this.sim.setSimVar(name, value, objectId);
+      this.sim.emit(`set`, { name, value, objectId });
+    });
+  }
+
+  /**
+   * Send the data in a client data area, either once, whenever
+   * the area gets set, or periodically.
+   *
+   * @param {*} sendId
+   * @param {*} request
+   */
+  requestClientData(sendId, request) {
+    const { requestId, clientDataId, defId, period, interval } = request;
+    clearInterval(this.clientDataRequests[requestId]?.timer);
+    delete this.clientDataRequests[requestId];
+    if (period === ClientDataPeriod.NEVER) return;
+    request.name = this.clientDataIds[clientDataId];
+    if (request.name === undefined) {
+      return this.sendException(EXCEPTION.UNRECOGNIZED_ID, sendId, 1);
+    }
+    if (!this.clientDataDefinitions[defId]) {
+      return this.sendException(EXCEPTION.UNRECOGNIZED_ID, sendId, 3);
+    }
+    if (period === ClientDataPeriod.ONCE) {
+      return this.sendClientData(request);
+    }
+    this.clientDataRequests[requestId] = request;
+    if (period === ClientDataPeriod.ON_SET) return;
+    const periodLength =
+      period === ClientDataPeriod.SECOND ? 1000 : 1000 / this.sim.frameRate;
+    request.timer = setInterval(
+      () => this.sendClientData(request),
+      periodLength * (interval + 1)
+    );
+    this.sendClientData(request);
+  }
+
+  sendClientData(request) {
+    const { requestId, defId, flags, name } = request;
+    const area = this.sim.getClientData(name);
+    const definition = this.clientDataDefinitions[defId];
+    if (!area || !definition) return;
+    const bytes = Buffer.concat(
+      definition.map(({ offset, size }) => area.subarray(offset, offset + size))
+    );
+    if (flags & ClientDataRequestFlag.CLIENT_DATA_REQUEST_FLAG_CHANGED) {
+      if (request.lastSent?.equals(bytes)) return;
+      request.lastSent = bytes;
+    }
+    this.send(RECV.CLIENT_DATA, (b) => {
+      [requestId, 0, defId, flags, 1, 1, definition.length].forEach((v) =>
+        b.writeInt32(v)
+      );
+      b.write(bytes);
+    });
+  }
+
+  sendClientDataOnSet(name) {
+    Object.values(this.clientDataRequests).forEach((request) => {
+      if (request.name !== name) return;
+      if (request.period !== ClientDataPeriod.ON_SET) return;
+      this.sendClientData(request);
+    });
+  }
+
+  /**
+   * Update a client data area based on client data.
+   *
+   * @param {*} sendId
+   * @param {*} data
+   */
+  setClientData(sendId, data) {
+    const name = this.clientDataIds[data.readInt32()];
+    const definition = this.clientDataDefinitions[data.readInt32()];
+    data.readInt32(); // reserved
+    data.readInt32(); // array count
+    data.readInt32(); // unit size
+    const area = this.sim.getClientData(name);
+    if (!area) {
+      return this.sendException(EXCEPTION.UNRECOGNIZED_ID, sendId, 1);
+    }
+    if (!definition) {
+      return this.sendException(EXCEPTION.UNRECOGNIZED_ID, sendId, 2);
+    }
+    const bytes = Buffer.from(area);
+    definition.forEach(({ offset, size }) =>
+      data.readBytes(size).copy(bytes, offset)
+    );
+    this.sim.setClientData(name, bytes);
+    this.sim.emit(`clientData`, { name, bytes });
+  }
+
+  getNotificationGroup(groupId) {
+    return (this.notificationGroups[groupId] ??= {
+      priority: PRIORITY_DEFAULT,
+      events: new Map(),
+    });
+  }
+
+  /**
+   * Find all notification groups that this client has
+   * added a client event for a specific sim event to.
+   *
+   * @param {*} eventName
+   * @returns a list of { client, groupId, clientEventId, priority, maskable } objects
+   */
+  getListeners(eventName) {
+    const listeners = [];
+    Object.entries(this.notificationGroups).forEach(([groupId, group]) => {
+      group.events.forEach((maskable, clientEventId) => {
+        if (this.clientEvents[clientEventId] !== eventName) return;
+        listeners.push({
+          client: this,
+          groupId: parseFloat(groupId),
+          clientEventId,
+          priority: group.priority,
+          maskable,
+        });
+      });
+    });
+    return listeners;
+  }
+
+  notifyEvent(groupId, clientEventId, value) {
+    this.send(RECV.EVENT, (b) => {
+      b.writeInt32(groupId);
+      b.writeInt32(clientEventId);
+      b.writeInt32(value);
+    });
+  }
+
+  sendSystemEvent(eventName, value) {
+    const name = eventName.toLowerCase();
+    Object.entries(this.systemEvents).forEach(([clientEventId, subscribed]) => {
+      if (subscribed.toLowerCase() !== name) return;
+      const header = (b, data) => {
+        b.writeInt32(UNKNOWN_GROUP);
+        b.writeInt32(parseFloat(clientEventId));
+        b.writeInt32(data);
+      };
+      if (FILENAME_EVENTS.includes(name)) {
+        const { filename, flags = 0 } = value;
+        return this.send(RECV.EVENT_FILENAME, (b) => {
+          header(b, 0);
+          b.writeString(filename, 260);
+          b.writeInt32(flags);
+        });
+      }
+      if (OBJECT_EVENTS.includes(name)) {
+        const { objectId, type } = value;
+        return this.send(RECV.EVENT_OBJECT_ADDREMOVE, (b) => {
+          header(b, objectId);
+          b.writeInt32(SimObjectType[type]);
+        });
+      }
+      this.send(RECV.EVENT, (b) => header(b, value));
+    });
+  }
+
+  sendInputEvent(name, value) {
+    if (!this.inputEventSubscriptions.has(name)) return;
+    this.send(RECV.SUBSCRIBE_INPUT_EVENT, (b) => {
+      b.writeUint64(hashInputEvent(name));
+      writeInputEventValue(b, value);
+    });
+  }
+
+  sendAirportList(requestId, airports) {
+    const pageCount = Math.max(
+      1,
+      Math.ceil(airports.length / AIRPORT_LIST_PAGE_SIZE)
+    );
+    for (let page = 0; page < pageCount; page++) {
+      const start = page * AIRPORT_LIST_PAGE_SIZE;
+      const list = airports.slice(start, start + AIRPORT_LIST_PAGE_SIZE);
+      this.send(RECV.AIRPORT_LIST, (b) => {
+        [requestId, list.length, page, pageCount].forEach((v) =>
+          b.writeInt32(v)
+        );
+        list.forEach(({ icao, latitude, longitude, altitude }) => {
+          b.writeString(icao, 9);
+          b.writeFloat64(latitude);
+          b.writeFloat64(longitude);
+          b.writeFloat64(altitude);
+        });
+      });
+    }
+  }
+
+  sendAirportsInRange(airports) {
+    if (!this.facilitySubscription) return;
+    this.sendAirportList(this.facilitySubscription.inRange, airports);
+  }
+
+  sendAirportsOutOfRange(airports) {
+    if (!this.facilitySubscription) return;
+    this.sendAirportList(this.facilitySubscription.outOfRange, airports);
+  }
+
+  sendFacilityData(defId, requestId, icao) {
+    const layout = getFacilityLayout(this.facilityDefinitions[defId] ?? []);
+    const airport = this.sim.airports.find((a) => a.icao === icao);
+    const sendRecord = (type, record, index = 0, listSize = 0) =>
+      this.send(RECV.FACILITY_DATA, (b) => {
+        [requestId, 0, 0, FACILITY_TYPE[type], listSize ? 1 : 0, index]
+          .concat(listSize)
+          .forEach((v) => b.writeInt32(v));
+        writeFacilityRecord(b, type, layout[type], record);
+      });
+    if (airport) {
+      sendRecord(`AIRPORT`, airport);
+      if (layout.RUNWAY.length) {
+        const { runways = [] } = airport;
+        runways.forEach((r, i) => sendRecord(`RUNWAY`, r, i, runways.length));
+      }
+    }
+    this.send(RECV.FACILITY_DATA_END, (b) => b.writeInt32(requestId));
+  }
+}
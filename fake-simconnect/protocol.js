@@ -0,0 +1,226 @@
+/**
+ * Low level helpers for speaking the SimConnect wire protocol from the
+ * server side, mirroring what node-simconnect does on the client side.
+ *
+ * Client packets have a 16 byte header (size, protocol, packet type, send id),
+ * server packets have a 12 byte header (size, protocol, recv id).
+ */
+import { RawBuffer, SimConnectDataType } from "node-simconnect";
+
+// The client-to-server packet types that the stand-in knows how to handle.
+export const PACKET = {
+  OPEN: 0x01,
+  MAP_CLIENT_EVENT_TO_SIM_EVENT: 0x04,
+  TRANSMIT_CLIENT_EVENT: 0x05,
+  ADD_CLIENT_EVENT_TO_NOTIFICATION_GROUP: 0x07,
+  REMOVE_CLIENT_EVENT: 0x08,
+  SET_NOTIFICATION_GROUP_PRIORITY: 0x09,
+  CLEAR_NOTIFICATION_GROUP: 0x0a,
+  ADD_TO_DATA_DEFINITION: 0x0c,
+  CLEAR_DATA_DEFINITION: 0x0d,
+  REQUEST_DATA_ON_SIM_OBJECT: 0x0e,
+  REQUEST_DATA_ON_SIM_OBJECT_TYPE: 0x0f,
+  SET_DATA_ON_SIM_OBJECT: 0x10,
+  SUBSCRIBE_TO_SYSTEM_EVENT: 0x17,
+  UNSUBSCRIBE_FROM_SYSTEM_EVENT: 0x18,
+  AI_CREATE_PARKED_ATC_AIRCRAFT: 0x27,
+  AI_CREATE_NON_ATC_AIRCRAFT: 0x29,
+  AI_CREATE_SIMULATED_OBJECT: 0x2a,
+  AI_REMOVE_OBJECT: 0x2c,
+  AI_SET_AIRCRAFT_FLIGHT_PLAN: 0x2d,
+  REQUEST_SYSTEM_STATE: 0x35,
+  MAP_CLIENT_DATA_NAME_TO_ID: 0x37,
+  CREATE_CLIENT_DATA: 0x38,
+  ADD_TO_CLIENT_DATA_DEFINITION: 0x39,
+  CLEAR_CLIENT_DATA_DEFINITION: 0x3a,
+  REQUEST_CLIENT_DATA: 0x3b,
+  SET_CLIENT_DATA: 0x3c,
+  REQUEST_FACILITIES_LIST: 0x43,
+  TRANSMIT_CLIENT_EVENT_EX1: 0x44,
+  ADD_TO_FACILITY_DEFINITION: 0x45,
+  REQUEST_FACILITY_DATA: 0x46,
+  SUBSCRIBE_TO_FACILITIES_EX1: 0x47,
+  ENUMERATE_INPUT_EVENTS: 0x4f,
+  GET_INPUT_EVENT: 0x50,
+  SET_INPUT_EVENT: 0x51,
+  SUBSCRIBE_INPUT_EVENT: 0x52,
+  UNSUBSCRIBE_INPUT_EVENT: 0x53,
+};
+
+// The server-to-client message types that the stand-in can send.
+export const RECV = {
+  EXCEPTION: 1,
+  OPEN: 2,
+  EVENT: 4,
+  EVENT_OBJECT_ADDREMOVE: 5,
+  EVENT_FILENAME: 6,
+  SIMOBJECT_DATA: 8,
+  SIMOBJECT_DATA_BYTYPE: 9,
+  ASSIGNED_OBJECT_ID: 12,
+  SYSTEM_STATE: 15,
+  CLIENT_DATA: 16,
+  AIRPORT_LIST: 18,
+  FACILITY_DATA: 28,
+  FACILITY_DATA_END: 29,
+  ENUMERATE_INPUT_EVENTS: 34,
+  GET_INPUT_EVENT: 35,
+  SUBSCRIBE_INPUT_EVENT: 36,
+};
+
+// Indices into the SIMCONNECT_EXCEPTION list in exceptions.js
+export const EXCEPTION = {
+  UNRECOGNIZED_ID: 3,
+  NAME_UNRECOGNIZED: 7,
+  DATA_ERROR: 20,
+  CREATE_OBJECT_FAILED: 22,
+  ALREADY_CREATED: 32,
+  GET_INPUT_EVENT_FAILED: 42,
+  SET_INPUT_EVENT_FAILED: 43,
+};
+
+export const UNKNOWN_GROUP = -1;
+
+const HEADER_SIZE = 12;
+
+/**
+ * Build a server-to-client message.
+ *
+ * @param {*} protocol the protocol version the client opened with
+ * @param {*} recvId one of the RECV values
+ * @param {*} writeBody function that writes the message body to a RawBuffer
+ * @returns a node Buffer that can be written to the client socket
+ */
+export function buildMessage(protocol, recvId, writeBody) {
+  const body = new RawBuffer(256);
+  writeBody(body);
+  const bytes = body.getBuffer();
+  const message = Buffer.alloc(HEADER_SIZE + bytes.length);
+  message.writeInt32LE(message.length, 0);
+  message.writeInt32LE(protocol, 4);
+  message.writeInt32LE(recvId, 8);
+  bytes.copy(message, HEADER_SIZE);
+  return message;
+}
+
+/**
+ * Split a stream of bytes into client packets. Returns the list of
+ * complete packets, as well as any leftover bytes that should be
+ * prepended to the next chunk of data.
+ *
+ * @param {*} bytes a node Buffer
+ * @returns {packets, rest}
+ */
+export function parsePackets(bytes) {
+  const packets = [];
+  let offset = 0;
+  while (bytes.length - offset >= 4) {
+    const size = bytes.readInt32LE(offset);
+    if (bytes.length - offset < size) break;
+    packets.push({
+      protocol: bytes.readInt32LE(offset + 4),
+      type: bytes.readUInt32LE(offset + 8) & 0x0fffffff,
+      sendId: bytes.readInt32LE(offset + 12),
+      data: new RawBuffer(bytes.subarray(offset + 16, offset + size)),
+    });
+    offset += size;
+  }
+  return { packets, rest: bytes.subarray(offset) };
+}
+
+const STRING_SIZES = {
+  [SimConnectDataType.STRING8]: 8,
+  [SimConnectDataType.STRING32]: 32,
+  [SimConnectDataType.STRING64]: 64,
+  [SimConnectDataType.STRING128]: 128,
+  [SimConnectDataType.STRING256]: 256,
+  [SimConnectDataType.STRING260]: 260,
+};
+
+const STRUCT_FIELDS = {
+  [SimConnectDataType.LATLONALT]: [`latitude`, `longitude`, `altitude`],
+  [SimConnectDataType.XYZ]: [`x`, `y`, `z`],
+};
+
+/**
+ * The value a simvar has when nothing has been scripted for it.
+ *
+ * @param {*} dataType a SimConnectDataType value
+ * @returns
+ */
+export function defaultValue(dataType) {
+  if (STRING_SIZES[dataType] || dataType === SimConnectDataType.STRINGV) {
+    return ``;
+  }
+  const fields = STRUCT_FIELDS[dataType];
+  if (fields) {
+    return Object.fromEntries(fields.map((field) => [field, 0]));
+  }
+  return 0;
+}
+
+/**
+ * Write a value to a RawBuffer, using the layout SimConnect uses for the given data type.
+ *
+ * @param {*} buffer a RawBuffer
+ * @param {*} dataType a SimConnectDataType value
+ * @param {*} value
+ */
+export function writeValue(buffer, dataType, value) {
+  if (value === true) value = 1;
+  if (value === false) value = 0;
+  switch (dataType) {
+    case SimConnectDataType.INT32:
+      return buffer.writeInt32(value);
+    case SimConnectDataType.INT64:
+      return buffer.writeInt64(value);
+    case SimConnectDataType.FLOAT32:
+      return buffer.writeFloat32(value);
+    case SimConnectDataType.FLOAT64:
+      return buffer.writeFloat64(value);
+    case SimConnectDataType.STRINGV:
+      return buffer.writeString(`${value}\0`);
+  }
+  const size = STRING_SIZES[dataType];
+  if (size) return buffer.writeString(`${value}`, size);
+  const fields = STRUCT_FIELDS[dataType];
+  if (fields) {
+    // "pitch, bank, heading" values are sent as XYZ structs, so
+    // we fall back to field order if the names don't match.
+    const values = Object.values(value);
+    return fields.forEach((field, i) =>
+      buffer.writeFloat64(value[field] ?? values[i] ?? 0)
+    );
+  }
+  throw new Error(`Unsupported data type ${dataType}`);
+}
+
+/**
+ * Read a value from a RawBuffer, using the layout SimConnect uses for the given data type.
+ *
+ * @param {*} buffer a RawBuffer
+ * @param {*} dataType a SimConnectDataType value
+ * @returns
+ */
+export function readValue(buffer, dataType) {
+  switch (dataType) {
+    case SimConnectDataType.INT32:
+      return buffer.readInt32();
+    case SimConnectDataType.INT64:
+      return buffer.readInt64();
+    case SimConnectDataType.FLOAT32:
+      return buffer.readFloat32();
+    case SimConnectDataType.FLOAT64:
+      return buffer.readFloat64();
+    case SimConnectDataType.STRINGV:
+      return buffer.readStringV();
+  }
+  const size = STRING_SIZES[dataType];
+  if (size) return buffer.readString(size);
+  const fields = STRUCT_FIELDS[dataType];
+  if (fields) {
+    const result = {};
+    fields.forEach((field) => (result[field] = buffer.readFloat64()));
+    return result;
+  }
+  throw new Error(`Unsupported data type ${dataType}`);
+}
@@ -0,0 +1,109 @@
+/**
+ * SimConnect uses client-chosen numerical ids for data definitions, data
+ * requests, client events, notification groups, facility definitions, and
+ * client data areas and their definitions.
+ * Each of these is its own id space, so the allocator keeps a separate
+ * counter per namespace, and remembers what each active id is used for.
+ */
+import { IdExhaustedError } from "./errors.js";
+
+export const IdNamespaces = {
+  DEFINITION: `definition`,
+  REQUEST: `request`,
+  EVENT: `event`,
+  GROUP: `group`,
+  FACILITY: `facility`,
+  CLIENT_DATA: `client data`,
+  CLIENT_DATA_DEFINITION: `client data definition`,
+};
+
+// SimConnect ids are DWORDs, but node-simconnect writes them as signed ints.
+const DEFAULT_SIZE = 2 ** 31 - 1;
+
+/**
+ * Hands out ids per namespace, starting at 1 and wrapping around
+ * once the namespace's size is reached, skipping ids still in use.
+ */
+export class IdAllocator {
+  /**
+   * @param {*} sizes (optional) an object of namespace/size pairs, for limiting how many ids a namespace has
+   */
+  constructor(sizes = {}) {
+    this.namespaces = {};
+    Object.values(IdNamespaces).forEach((namespace) => {
+      this.namespaces[namespace] = {
+        size: sizes[namespace] ?? DEFAULT_SIZE,
+        next: 1,
+        active: new Map(),
+      };
+    });
+  }
+
+  /**
+   * Get the bookkeeping for a namespace.
+   *
+   * @param {*} namespace
+   * @returns
+   * @throws if the namespace does not exist
+   */
+  getNamespace(namespace) {
+    const entry = this.namespaces[namespace];
+    if (!entry) throw new Error(`Unknown id namespace "${namespace}".`);
+    return entry;
+  }
+
+  /**
+   * Allocate an id.
+   *
+   * @param {*} namespace one of the IdNamespaces values
+   * @param {*} purpose (optional) a description of what this id is used for
+   * @returns a numerical id that is not in use in this namespace
+   * @throws an IdExhaustedError if all ids in the namespace are in use
+   */
+  next(namespace, purpose = `unspecified`) {
+    const entry = this.getNamespace(namespace);
+    const { size, active } = entry;
+    if (active.size >= size) throw new IdExhaustedError(namespace, size);
+    let id = entry.next;
+    while (active.has(id)) id = (id % size) + 1;
+    entry.next = (id % size) + 1;
+    active.set(id, purpose);
+    return id;
+  }
+
+  /**
+   * Release an id, so that it can be handed out again.
+   *
+   * @param {*} namespace
+   * @param {*} id
+   */
+  release(namespace, id) {
+    this.getNamespace(namespace).active.delete(id);
+  }
+
+  /**
+   * Find out what an id is being used for.
+   *
+   * @param {*} namespace
+   * @param {*} id
+   * @returns the id's purpose, or undefined if the id is not in use
+   */
+  describe(namespace, id) {
+    return this.getNamespace(namespace).active.get(id);
+  }
+
+  /**
+   * List all ids that are in use.
+   *
+   * @returns an object with a list of { id, purpose } objects, ordered by id, for each namespace
+   */
+  list() {
+    const result = {};
+    Object.entries(this.namespaces).forEach(([namespace, { active }]) => {
+      result[namespace] = [...active]
+        .sort(([a], [b]) => a - b)
+        .map(([id, purpose]) => ({ id, purpose }));
+    });
+    return result;
+  }
+}
@@ -2,48 +2,254 @@ import {
   RawBuffer,
   SimConnectPeriod,
   SimConnectConstants,
+  DataRequestFlag,
+  InitPosition,
   open,
   Protocol,
 } from "node-simconnect";
 
 // imports used by the API
-import { SimVars } from "./simvars/index.js";
-import { SystemEvents as SysEvents } from "./system-events/index.js";
+import {
+  SimVars,
+  suggestSimVars,
+  isNamespacedVar,
+  defineNamespacedVar,
+  toRequest,
+  parseGetArgs,
+  codeSafe,
+} from "./simvars/index.js";
+import { UnitProfiles, withUnits } from "./simvars/units.js";
+import {
+  SystemEvents as SysEvents,
+  decodeSystemEvent,
+  findSystemEvent,
+} from "./system-events/index.js";
+import {
+  SimEvents,
+  findSimEvent,
+  validateSimEvent,
+  toSimEventName,
+} from "./simevents/index.js";
 
 // Special import for working with airport data
 import { AirportEvents, getAirportHandler } from "./special/airports.js";
 import { SIMCONNECT_EXCEPTION } from "./exceptions.js";
+import { IdAllocator, IdNamespaces } from "./id-allocator.js";
+import { suggestNames } from "./suggestions.js";
+import {
+  ClientDataAreas,
+  getLayout,
+  MAX_CLIENT_DATA_SIZE,
+} from "./client-data.js";
+import { CalculatorBridge } from "./calculator-bridge.js";
+import {
+  NotConnectedError,
+  ConnectionLostError,
+  UnknownSimVarError,
+  UnknownSimEventError,
+  UnknownInputEventError,
+  SimConnectException,
+  RequestTimeoutError,
+} from "./errors.js";
+
+export {
+  MSFS_NOT_CONNECTED,
+  NotConnectedError,
+  ConnectionLostError,
+  UnknownSimVarError,
+  NotSettableError,
+  UnknownSimEventError,
+  UnknownInputEventError,
+  InvalidEventValueError,
+  SimConnectException,
+  RequestTimeoutError,
+  CalculatorCodeError,
+  IdExhaustedError,
+} from "./errors.js";
+
+export { IdNamespaces } from "./id-allocator.js";
+
+const { DEFINITION, REQUEST, EVENT, GROUP } = IdNamespaces;
+
+// See SIMCONNECT_GROUP_PRIORITY in the SimConnect documentation.
+export const NotificationPriority = {
+  HIGHEST: 1,
+  HIGHEST_MASKABLE: 10000000,
+  STANDARD: 1900000000,
+  DEFAULT: 2000000000,
+  LOWEST: 4000000000,
+};
+
+// Mapped sim events that we listen for go in one of two notification groups:
+// one for just getting notified, and one for masking events, so that lower
+// priority groups, and the sim itself, never see them.
+const NOTIFICATION_GROUPS = {
+  notify: { priority: NotificationPriority.HIGHEST, maskable: false },
+  mask: { priority: NotificationPriority.HIGHEST_MASKABLE, maskable: true },
+};
+
+// Intercepted events that get passed on are transmitted with a priority just
+// below that of the masking group, so that we don't intercept them again.
+const FORWARD_PRIORITY = NotificationPriority.HIGHEST_MASKABLE + 1;
+
+// Event values are sent as DWORDs, so floats get rounded, and
+// negative numbers are sent as their two's complement.
+const MAX_EVENT_VALUES = 5;
+const encodeEventValue = (value) => Math.round(value) | 0;
+
+// Input events have either numerical or string values, see SIMCONNECT_INPUT_EVENT_TYPE.
+const INPUT_EVENT_TYPES = [`number`, `string`];
 
 export const SystemEvents = Object.assign({}, SysEvents, AirportEvents);
-export const MSFS_NOT_CONNECTED = `Not connected to MSFS`;
-const codeSafe = (string) => string.replaceAll(` `, `_`);
+
+export { SimEvents } from "./simevents/index.js";
+
+export const ConnectionState = {
+  DISCONNECTED: `disconnected`,
+  CONNECTING: `connecting`,
+  CONNECTED: `connected`,
+  RECONNECTING: `reconnecting`,
+  CLOSED: `closed`,
+};
+
+// The connection lifecycle events that can be listened to using on().
+const LIFECYCLE_EVENTS = [`connected`, `disconnected`, `reconnecting`];
+
+// Spawn positions use degrees and feet, and speeds use knots, see
+// SIMCONNECT_DATA_INITPOSITION. Headings, pitch, and bank are optional.
+const toInitPosition = (position, onGround = false, speed = 0) => {
+  const { latitude, longitude, altitude = 0 } = position ?? {};
+  const { heading = 0, pitch = 0, bank = 0 } = position ?? {};
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+    throw new Error(`Cannot spawn an object without a latitude and longitude.`);
+  }
+  return Object.assign(new InitPosition(), {
+    latitude,
+    longitude,
+    altitude,
+    heading,
+    pitch,
+    bank,
+    onGround,
+    airspeed: Math.round(speed),
+  });
+};
+
+// The system states that getSystemState() can request, and whether
+// their values are file paths (strings) or on/off values (booleans).
+const SYSTEM_STATES = {
+  AircraftLoaded: `string`,
+  FlightLoaded: `string`,
+  FlightPlan: `string`,
+  DialogMode: `boolean`,
+  Sim: `boolean`,
+};
+
+// Flight plan paths are sent as zero-terminated String260s.
+const MAX_FLIGHT_PLAN_PATH_LENGTH = 259;
 
 /**
  * API:
  *
+ * - connect(opts?)
+ * - disconnect()
  * - on(evtName, handler), returns a corresponding arg-less `off()` function.
  * - off(evtName, handler)
+ * - intercept(evtName, handler), returns a corresponding arg-less `off()` function.
  * - get(...propNames)
  * - set(propName, value)
+ * - setMany({ propName: value, ... })
+ * - setUnitProfile(profile)
+ * - getActiveIds()
+ * - subscribe(propNames, options?, handler), returns a corresponding arg-less `unsubscribe()` function.
+ * - listInputEvents()
+ * - getInputEvent(name)
+ * - setInputEvent(name, value)
+ * - subscribeInputEvent(name, handler), resolves to a corresponding arg-less `unsubscribe()` function.
+ * - createClientData(name, size)
+ * - setClientData(name, data)
+ * - subscribeClientData(name, layout, options?, handler), returns a corresponding arg-less `unsubscribe()` function.
+ * - executeCalculatorCode(code)
+ * - getSystemState(stateName)
+ * - spawnAircraft({ title?, tailNumber?, position, onGround?, speed? })
+ * - spawnParkedAircraft(icao, { title?, tailNumber? }?)
+ * - spawnSimObject(title, position)
+ * - removeObject(objectId)
+ * - setObjectFlightPlan(objectId, planPath)
  */
 export class MSFS_API {
   constructor(appName = "MSFS API") {
     this.appName = appName;
+    this.state = ConnectionState.DISCONNECTED;
 
     // set up a listener list for simconnect event handling:
     this.eventListeners = {};
 
-    // set up an event/data/request id counter:
-    this.id = 1;
-    this.reserved = new Set();
+    // set up a list of sim events that we mapped to client events,
+    // and the notification groups we use to listen for them:
+    this.clientEvents = {};
+    this.notificationGroupIDs = {};
+
+    // set up a cache of the current aircraft's input events, and a list of
+    // the input events that we're subscribed to, by name:
+    this.inputEvents = undefined;
+    this.inputEventListeners = {};
+
+    // set up a listener list for connection lifecycle events:
+    this.lifecycleListeners = {};
+    LIFECYCLE_EVENTS.forEach((name) => (this.lifecycleListeners[name] = []));
+
+    // set up an id allocator for definitions, requests, events, etc:
+    this.ids = new IdAllocator();
+
+    // set up lists of active simvar subscriptions and schedules:
+    this.subscriptions = new Set();
+    this.schedules = new Set();
+
+    // set up a list of functions that get to see every system event, e.g. for recording:
+    this.systemEventTaps = new Set();
+
+    // simvars use their catalog units unless a unit profile is set:
+    this.unitProfile = undefined;
+
+    // set up a list of sent packets that SimConnect may still respond to with an exception:
+    this.pendingSends = new Map();
+
+    // set up the client data areas that we use, and the calculator code
+    // bridge that uses them, which is only set up once it's needed:
+    this.clientData = new ClientDataAreas(this);
+    this.calculator = undefined;
+  }
+
+  /**
+   * Whether we currently have a connection to MSFS.
+   */
+  get connected() {
+    return this.state === ConnectionState.CONNECTED;
   }
 
   async connect(opts = {}) {
     opts.autoReconnect ??= false;
     opts.retries ??= 0;
     opts.retryInterval ??= 2;
+    opts.requestTimeout ??= 10;
     opts.onConnect ??= () => {};
     opts.onRetry ??= () => {};
+    this.requestTimeout = opts.requestTimeout;
+    // keep a copy around, with the original number of retries, for reconnecting.
+    this.connectOptions = { ...opts };
+    this.state = ConnectionState.CONNECTING;
+    return this.openConnection(opts);
+  }
+
+  /**
+   * Try to open a connection to MSFS, retrying if necessary, and then
+   * restore any event listeners, subscriptions, and schedules that were
+   * registered on a previous connection.
+   *
+   * @param {*} opts the (defaulted) connect() options
+   */
+  async openConnection(opts) {
     const { host, port } = opts;
     try {
       const remote = (this.remote = host
@@ -51,40 +257,296 @@ export class MSFS_API {
         : undefined);
       const { handle } = await open(this.appName, Protocol.KittyHawk, remote);
       if (!handle) throw new Error(`No connection handle to MSFS`);
+      if (this.state === ConnectionState.CLOSED) return handle.close();
       this.handle = handle;
-      this.connected = true;
+      this.state = ConnectionState.CONNECTED;
       handle.on("event", (event) => this.handleSystemEvent(event));
-      handle.on("close", () => opts.autoReconnect && this.connect(opts));
-      handle.on("exception", (e) =>
-        opts.onException?.(SIMCONNECT_EXCEPTION[e.exception])
-      );
+      // Some system events come with more than a single data value.
+      handle.on("eventFilename", (event) => this.handleSystemEvent(event));
+      handle.on("eventAddRemove", (event) => this.handleSystemEvent(event));
+      handle.on("subscribeInputEvent", (event) => this.handleInputEvent(event));
+      handle.on("close", () => this.handleClose(handle));
+      // socket errors are always followed by a close event, which we handle above.
+      handle.on("error", () => {});
+      handle.on("exception", (e) => {
+        this.handleException(e);
+        opts.onException?.(SIMCONNECT_EXCEPTION[e.exception]);
+      });
+      this.restore();
       // special non-simconnect handling
       this.specialGetHandlers = [await getAirportHandler(this, handle)];
       // Signal that we're done
+      this.emitLifecycleEvent(`connected`, handle);
       opts.onConnect(handle);
     } catch (err) {
+      if (this.state === ConnectionState.CLOSED) return;
       if (opts.retries) {
         opts.retries--;
         opts.onRetry(opts.retries, opts.retryInterval);
-        setTimeout(() => this.connect(opts), 1000 * opts.retryInterval);
-      } else throw new Error(`No connection to MSFS`);
+        setTimeout(() => this.openConnection(opts), 1000 * opts.retryInterval);
+      } else {
+        this.state = ConnectionState.DISCONNECTED;
+        this.emitLifecycleEvent(`disconnected`);
+        // There is no caller to throw to when reconnecting.
+        if (opts.reconnecting) return;
+        throw new Error(`No connection to MSFS`);
+      }
     }
   }
 
-  nextId() {
-    if (this.id > 900) {
-      this.id = 0;
-    }
-    let id = this.id++;
-    while (this.reserved.has(id)) {
-      id = this.id++;
+  /**
+   * Handle the connection to MSFS getting closed, by rejecting everything
+   * that was still waiting for a response, and then reconnecting if the
+   * `autoReconnect` option was set.
+   *
+   * @param {*} handle the handle for the connection that got closed
+   */
+  handleClose(handle) {
+    if (handle !== this.handle) return;
+    if (this.state !== ConnectionState.CONNECTED) return;
+    this.state = ConnectionState.DISCONNECTED;
+    this.rejectPending(new ConnectionLostError());
+    this.emitLifecycleEvent(`disconnected`);
+
+    const opts = { ...this.connectOptions, reconnecting: true };
+    if (!opts.autoReconnect) return;
+    this.state = ConnectionState.RECONNECTING;
+    this.emitLifecycleEvent(`reconnecting`);
+    setTimeout(() => this.openConnection(opts), 1000 * opts.retryInterval);
+  }
+
+  /**
+   * Re-register all event listeners, subscriptions, and schedules with
+   * the current connection. Note that these keep the ids they were given
+   * on the original connection, as ids are only unique per connection.
+   */
+  restore() {
+    const { handle, eventListeners, clientEvents } = this;
+    new Set(Object.values(eventListeners)).forEach(({ eventID, eventName }) =>
+      handle.subscribeToSystemEvent(eventID, eventName)
+    );
+    new Set(Object.values(clientEvents)).forEach((entry) => {
+      entry.confirmed = false;
+      entry.sendId = handle.mapClientEventToSimEvent(
+        entry.eventID,
+        entry.eventName
+      );
+      if (entry.group) this.addToNotificationGroup(entry);
+    });
+    this.subscriptions.forEach((subscription) =>
+      this.startSubscription(subscription)
+    );
+    this.schedules.forEach((schedule) => schedule.restart());
+    this.clientData.restore();
+    // Input event hashes are not guaranteed to survive a reconnect, so
+    // we look them up again, which happens asynchronously.
+    this.inputEvents = undefined;
+    Object.values(this.inputEventListeners).forEach((entry) => {
+      entry.ready = this.startInputEventListener(entry).catch((err) =>
+        console.warn(`Could not resubscribe to input event:`, err)
+      );
+    });
+  }
+
+  /**
+   * Close the connection to MSFS, without reconnecting. This removes all
+   * event listeners, subscriptions, and schedules, and rejects everything
+   * that is still waiting for a response with a ConnectionLostError.
+   * Lifecycle listeners are kept, so that connect() can be called again.
+   */
+  disconnect() {
+    if (!this.handle || this.state === ConnectionState.CLOSED) return;
+    const wasConnected = this.connected;
+    this.state = ConnectionState.CLOSED;
+    this.rejectPending(new ConnectionLostError());
+    this.schedules.forEach((schedule) => schedule.stop());
+    this.schedules.clear();
+    this.subscriptions.forEach((subscription) => subscription.stop());
+    this.subscriptions.clear();
+    new Set(Object.values(this.eventListeners)).forEach(({ eventID }) =>
+      this.releaseId(EVENT, eventID)
+    );
+    this.eventListeners = {};
+    new Set(Object.values(this.clientEvents)).forEach(({ eventID }) =>
+      this.releaseId(EVENT, eventID)
+    );
+    this.clientEvents = {};
+    Object.values(this.notificationGroupIDs).forEach((groupID) =>
+      this.releaseId(GROUP, groupID)
+    );
+    this.notificationGroupIDs = {};
+    this.inputEvents = undefined;
+    this.inputEventListeners = {};
+    this.clientData.clear();
+    this.calculator = undefined;
+    this.specialGetHandlers?.forEach((handler) => handler.release?.());
+    this.handle.close();
+    if (wasConnected) this.emitLifecycleEvent(`disconnected`);
+  }
+
+  /**
+   * Call all listeners for a connection lifecycle event.
+   *
+   * @param {*} eventName one of "connected", "disconnected", or "reconnecting"
+   * @param  {...any} args
+   */
+  emitLifecycleEvent(eventName, ...args) {
+    this.lifecycleListeners[eventName].forEach((handler) => handler(...args));
+  }
+
+  /**
+   * Allocate an id for use with SimConnect.
+   *
+   * @param {*} namespace one of the IdNamespaces values
+   * @param {*} purpose a description of what the id is used for, see getActiveIds()
+   * @returns
+   * @throws an IdExhaustedError if all ids in the namespace are in use
+   */
+  nextId(namespace, purpose) {
+    return this.ids.next(namespace, purpose);
+  }
+
+  /**
+   * Release an id that was allocated with nextId().
+   *
+   * @param {*} namespace
+   * @param {*} id
+   */
+  releaseId(namespace, id) {
+    this.ids.release(namespace, id);
+  }
+
+  /**
+   * List every id that is currently in use, and what it is used for,
+   * which can be useful when tracking down leaking ids.
+   *
+   * @returns an object with a list of { id, purpose } objects per id namespace
+   */
+  getActiveIds() {
+    return this.ids.list();
+  }
+
+  /**
+   * Set the unit profile that get(), set(), and subscribe() should use
+   * for simvars that are not requested with explicit units. This can be
+   * the name of a built-in profile ("metric", "imperial", or "aviation"),
+   * a custom profile object mapping catalog units to preferred units,
+   * e.g. { feet: "meters" }, or undefined to go back to catalog units.
+   *
+   * @param {*} profile
+   * @throws
+   */
+  setUnitProfile(profile) {
+    if (typeof profile === `string`) {
+      const name = profile;
+      profile = UnitProfiles[name];
+      if (!profile) throw new Error(`Unknown unit profile "${name}".`);
     }
-    this.reserved.add(id);
-    return id;
+    this.unitProfile = profile;
+  }
+
+  /**
+   * Find the simvar definitions for a list of simvar requests,
+   * adjusted for any requested units and the current unit profile.
+   * Namespaced variables, e.g. L:vars, get a definition built on the
+   * fly, and since they have no catalog units, the profile doesn't
+   * apply to them.
+   *
+   * @param {*} requests a list of { name, units } objects
+   * @returns
+   */
+  getDefinitions(requests) {
+    return requests.map(({ name, units }) =>
+      isNamespacedVar(name)
+        ? defineNamespacedVar(name, units)
+        : withUnits(SimVars[name], units, this.unitProfile)
+    );
   }
 
-  releaseId(id) {
-    this.reserved.delete(id);
+  /**
+   * Reject the promise for whichever request caused this exception, if any.
+   *
+   * @param {*} e a SimConnect exception
+   */
+  handleException(e) {
+    const { exception, sendId, index } = e;
+    const pending = this.pendingSends.get(sendId);
+    if (!pending) return;
+    pending.reject(
+      new SimConnectException(exception, { ...pending.details, sendId, index })
+    );
+  }
+
+  /**
+   * Reject everything that is still waiting for SimConnect to respond.
+   *
+   * @param {*} err the error to reject with
+   */
+  rejectPending(err) {
+    const pending = [...this.pendingSends.values()];
+    new Set(pending.map(({ reject }) => reject)).forEach((reject) =>
+      reject(err)
+    );
+  }
+
+  /**
+   * Keep track of a request that is waiting for SimConnect to respond, so
+   * that it gets rejected if SimConnect sends an exception for any of its
+   * packets, if the connection gets closed, or if SimConnect doesn't
+   * respond in time.
+   *
+   * @param {*} sent a list of [sendId, details] pairs, with details being a { simvar } or { event } object
+   * @param {*} reject function that gets called with the error
+   * @param {*} timeout (optional) the number of seconds to wait, defaults to the `requestTimeout` connection option, with 0 meaning "forever"
+   * @returns a function that stops tracking the request
+   */
+  trackRequest(sent, reject, timeout = this.requestTimeout) {
+    const { pendingSends } = this;
+    sent.forEach(([sendId, details]) =>
+      pendingSends.set(sendId, { details, reject })
+    );
+    const timer =
+      timeout &&
+      setTimeout(() => {
+        const [, details] = sent.at(-1) ?? [];
+        reject(new RequestTimeoutError(timeout, details));
+      }, timeout * 1000);
+    return () => {
+      clearTimeout(timer);
+      sent.forEach(([sendId]) => pendingSends.delete(sendId));
+    };
+  }
+
+  /**
+   * SimConnect does not acknowledge packets, it only sends exceptions for
+   * packets that it could not handle. However, it handles packets in order,
+   * so once it answers a request that we send after the packets we care
+   * about, we know that none of those caused an exception.
+   *
+   * @param {*} sent a list of [sendId, details] pairs, with details being a { simvar } or { event } object
+   * @returns a promise that resolves once SimConnect has handled all packets, or rejects with a SimConnectException
+   */
+  confirmSent(sent) {
+    const { handle } = this;
+    const REQUEST_ID = this.nextId(REQUEST, `confirm sent packets`);
+    return new Promise((resolve, reject) => {
+      const done = () => {
+        untrack();
+        handle.off("systemState", handleSystemState);
+        this.releaseId(REQUEST, REQUEST_ID);
+      };
+      const handleSystemState = ({ requestID }) => {
+        if (requestID !== REQUEST_ID) return;
+        done();
+        resolve();
+      };
+      const untrack = this.trackRequest(sent, (err) => {
+        done();
+        reject(err);
+      });
+      handle.on("systemState", handleSystemState);
+      handle.requestSystemState(REQUEST_ID, `Sim`);
+    });
   }
 
   // We want to make sure we only ever register for an event once
@@ -93,7 +555,7 @@ export class MSFS_API {
   addEventListener(eventName, eventHandler) {
     const { eventListeners: e } = this;
     if (!e[eventName]) {
-      const eventID = this.nextId();
+      const eventID = this.nextId(EVENT, `system event ${eventName}`);
       this.handle.subscribeToSystemEvent(eventID, eventName);
       e[eventName] = {
         eventID,
@@ -102,6 +564,8 @@ export class MSFS_API {
         handlers: [eventHandler],
       };
       e[eventID] = e[eventName];
+      const { state } = findSystemEvent(eventName) ?? {};
+      if (state) this.sendCurrentState(e[eventName], state);
     }
 
     // do we need to send the most recently known value?
@@ -112,16 +576,40 @@ export class MSFS_API {
     }
   }
 
+  /**
+   * Some system events only fire when something changes, but have a system
+   * state that holds the filename that they would report. We look that up
+   * when the event gets its first listener, and pass it on to the event's
+   * handlers as if the event had fired, unless it actually fired first.
+   *
+   * @param {*} entry a system event entry, see addEventListener()
+   * @param {*} stateName the system state name, e.g. `AircraftLoaded`
+   */
+  sendCurrentState(entry, stateName) {
+    this.getSystemState(stateName)
+      .then((fileName) => {
+        if (entry.data !== undefined) return;
+        const data = decodeSystemEvent(entry.eventName, { fileName, flags: 0 });
+        entry.data = data;
+        entry.handlers.forEach((handle) => handle(data));
+      })
+      .catch((err) =>
+        console.warn(`Could not get the current ${stateName} state:`, err)
+      );
+  }
+
   removeEventListener(eventName, eventHandler) {
     const { eventListeners: e } = this;
     const obj = e[eventName];
+    if (!obj) return;
     const pos = obj.handlers.findIndex((h) => h === eventHandler);
     if (pos > -1) obj.handlers.splice(pos, 1);
   }
 
   handleSystemEvent(event) {
-    const { clientEventId: eventID, data } = event;
-    const entry = this.eventListeners[eventID];
+    const { clientEventId: eventID } = event;
+    const systemEvent = this.eventListeners[eventID];
+    const entry = systemEvent ?? this.clientEvents[eventID];
 
     if (!entry) {
       return console.error(
@@ -129,8 +617,61 @@ export class MSFS_API {
       );
     }
 
+    const data = systemEvent
+      ? decodeSystemEvent(entry.eventName, event)
+      : event.data;
     entry.data = data;
     entry.handlers.forEach((handle) => handle(data));
+    this.systemEventTaps.forEach((tap) => tap(entry.eventName, data));
+  }
+
+  /**
+   * Add a listener for a sim event, e.g. AP_MASTER, which gets called
+   * whenever that event fires, whether it was triggered by the user, by
+   * another add-on, or by us. If the mask option is set, the sim itself
+   * (and any add-on listening with a lower priority) won't see the event.
+   *
+   * @param {*} eventName the sim event name
+   * @param {*} eventHandler function that gets called with the event's value
+   * @param {*} options { mask }
+   */
+  addSimEventListener(eventName, eventHandler, options) {
+    const entry = this.mapClientEvent(eventName);
+    entry.handlers.push(eventHandler);
+    if (options.mask) entry.masks.add(eventHandler);
+    this.updateNotificationGroup(entry);
+  }
+
+  /**
+   * Remove a sim event listener, moving the event to a different
+   * notification group (or out of them entirely) if needed.
+   *
+   * @param {*} entry a client event entry, see mapClientEvent()
+   * @param {*} eventHandler
+   */
+  removeSimEventListener(entry, eventHandler) {
+    const pos = entry.handlers.findIndex((h) => h === eventHandler);
+    if (pos > -1) entry.handlers.splice(pos, 1);
+    entry.masks.delete(eventHandler);
+    this.updateNotificationGroup(entry);
+  }
+
+  /**
+   * Figure out whether an on() event definition is for a sim event,
+   * rather than a system event. Names are checked against the system
+   * events first, so that e.g. "Pause" is not mistaken for a sim event.
+   *
+   * @param {*} eventDefinition
+   * @returns the (normalized) sim event name, or undefined for system events
+   */
+  getSimEventName(eventDefinition) {
+    if (typeof eventDefinition === `string`) {
+      if (findSystemEvent(eventDefinition)) return;
+      findSimEvent(eventDefinition);
+      return toSimEventName(eventDefinition);
+    }
+    const { name } = eventDefinition;
+    if (SimEvents[name] === eventDefinition) return name;
   }
 
   /**
@@ -138,18 +679,42 @@ export class MSFS_API {
    * as the corresponding `off()` function, without needing to
    * pass any arguments in.
    *
-   * @param {*} eventDefinition from SystemEvents
+   * Connection lifecycle events ("connected", "disconnected", and
+   * "reconnecting") can be listened to by name, also before connecting.
+   *
+   * System events can be listened to either by their SimConnect name, e.g.
+   * "Pause", or by passing in their SystemEvents definition, and the same
+   * goes for sim events, using their SimEvents definition. Event names are
+   * case-insensitive. For sim events, the options object can be used
+   * to mask the event, by passing { mask: true }, in which case the sim
+   * won't act on the event for as long as the listener is registered.
+   *
+   * @param {*} eventDefinition from SystemEvents or SimEvents, or a lifecycle, system, or sim event name
    * @param {*} eventHandler function that gets called when the event triggers
+   * @param {*} options (optional) { mask }, for sim events only
    * @returns
+   * @throws
    */
-  on(eventDefinition, eventHandler) {
-    if (!this.connected) throw new Error(MSFS_NOT_CONNECTED);
+  on(eventDefinition, eventHandler, options = {}) {
+    if (LIFECYCLE_EVENTS.includes(eventDefinition)) {
+      this.lifecycleListeners[eventDefinition].push(eventHandler);
+      return () => this.off(eventDefinition, eventHandler);
+    }
+    if (!this.connected) throw new NotConnectedError();
     if (!eventDefinition) {
       console.error(`on() called without an event definition`);
       console.trace();
       return;
     }
-    const { name: eventName } = eventDefinition;
+    const simEventName = this.getSimEventName(eventDefinition);
+    if (simEventName) {
+      this.addSimEventListener(simEventName, eventHandler, options);
+      return () => this.off(simEventName, eventHandler);
+    }
+    const { name: eventName } =
+      typeof eventDefinition === `string`
+        ? findSystemEvent(eventDefinition)
+        : eventDefinition;
     this.addEventListener(eventName, eventHandler);
     return () => this.off(eventName, eventHandler);
   }
@@ -161,30 +726,217 @@ export class MSFS_API {
    * @param {*} eventHandler the event handler that should no longer trigger for this event
    */
   off(eventName, eventHandler) {
-    this.removeEventListener(eventName, eventHandler);
+    const lifecycle = this.lifecycleListeners[eventName];
+    if (lifecycle) {
+      const pos = lifecycle.indexOf(eventHandler);
+      if (pos > -1) lifecycle.splice(pos, 1);
+      return;
+    }
+    // Sim event off() functions may get called more than once, in
+    // which case the handler will already have been removed.
+    const entry = this.clientEvents[toSimEventName(eventName)];
+    if (entry) {
+      if (!entry.handlers.includes(eventHandler)) return;
+      return this.removeSimEventListener(entry, eventHandler);
+    }
+    const systemEvent = findSystemEvent(eventName);
+    this.removeEventListener(systemEvent?.name ?? eventName, eventHandler);
   }
 
   /**
+   * Trigger a sim event, with up to five values. The event name and values
+   * get checked against the SimEvents catalog first, except for custom
+   * events, i.e. events with a period in their name, or "#" followed by a
+   * number, whose values only need to be numbers. Events that MSFS knows
+   * about but that aren't in the catalog can be sent by prefixing their
+   * name with "K:", which also makes them count as custom events.
    *
    * @param {*} triggerName
-   * @param {*} value
+   * @param  {...any} values (optional) the event's values, defaulting to a single 0
+   * @returns a promise that resolves once SimConnect has handled the event, or rejects with a SimConnectException, or with whatever error sending the event failed with
+   * @throws an UnknownSimEventError, an InvalidEventValueError, or a RangeError for more than five values
+   */
+  trigger(triggerName, ...values) {
+    if (!this.connected) throw new NotConnectedError();
+    if (!values.length) values = [0];
+    validateSimEvent(triggerName, values);
+    return this.transmitEvent(
+      toSimEventName(triggerName),
+      values,
+      NotificationPriority.HIGHEST
+    );
+  }
+
+  /**
+   * Intercept a sim event, e.g. AP_MASTER or AXIS_ELEVATOR_SET, so that
+   * the handler gets to see it before the sim does. The sim won't act on
+   * intercepted events at all, unless the handler passes the event on by
+   * calling the forward function it gets called with, optionally with
+   * different values. The handler can also use trigger() to send different
+   * events instead, but note that triggering an intercepted event with
+   * trigger() will simply get it intercepted again.
+   *
+   * @param {*} eventDefinition a sim event name, or its SimEvents definition
+   * @param {*} eventHandler function that gets called as (value, forward)
+   * @returns a corresponding arg-less `off()` function
+   * @throws an UnknownSimEventError if the event definition isn't a sim event
+   */
+  intercept(eventDefinition, eventHandler) {
+    if (!this.connected) throw new NotConnectedError();
+    const eventName = this.getSimEventName(eventDefinition);
+    if (!eventName) throw new UnknownSimEventError(eventDefinition.name, []);
+    // Values get validated against the name as it was passed in, so
+    // that events with a "K:" prefix are treated as custom events.
+    const triggerName = eventDefinition.name ?? eventDefinition;
+    const forward = (values) => {
+      validateSimEvent(triggerName, values);
+      return this.transmitEvent(eventName, values, FORWARD_PRIORITY);
+    };
+    const interceptor = (value) =>
+      eventHandler(value, (...values) =>
+        forward(values.length ? values : [value])
+      );
+    this.addSimEventListener(eventName, interceptor, { mask: true });
+    return () => this.off(eventName, interceptor);
+  }
+
+  /**
+   * Transmit a (validated) sim event at a specific priority, so that only
+   * notification groups with that priority or lower get to see it.
+   *
+   * @param {*} eventName the sim event name
+   * @param {*} values an array of up to five values
+   * @param {*} priority the notification priority to transmit the event with
+   * @returns a promise that resolves once SimConnect has handled the event, or rejects with a SimConnectException, or with whatever error sending the event failed with
+   * @throws a RangeError for more than five values
    */
-  trigger(triggerName, value = 0) {
-    if (!this.connected) throw new Error(MSFS_NOT_CONNECTED);
+  transmitEvent(eventName, values, priority) {
+    if (values.length > MAX_EVENT_VALUES) {
+      throw new RangeError(
+        `SimEvent "${eventName}" can take at most ${MAX_EVENT_VALUES} values, not ${values.length}`
+      );
+    }
     const { handle } = this;
-    const eventID = this.nextId();
-    handle.mapClientEventToSimEvent(eventID, triggerName);
+    const entry = this.mapClientEvent(eventName);
+    const { eventID } = entry;
+    const details = { event: eventName };
+    // If the mapping hasn't been confirmed yet, make sure that any
+    // exception for it gets reported as an error for this trigger.
+    const sent = entry.confirmed ? [] : [[entry.sendId, details]];
     try {
-      handle.transmitClientEvent(
+      const sendId = handle.transmitClientEventEx(
         SimConnectConstants.OBJECT_ID_USER,
         eventID,
-        value,
-        1, // highest priority
-        16 // group id is priority
+        priority,
+        16, // group id is priority
+        ...values.map(encodeEventValue)
       );
+      sent.push([sendId, details]);
     } catch (e) {
-      console.warn(e);
+      return Promise.reject(e);
+    }
+    return this.confirmSent(sent).then(
+      () => {
+        entry.confirmed = true;
+      },
+      (err) => {
+        if (err.sendId === entry.sendId) this.unmapClientEvent(entry);
+        throw err;
+      }
+    );
+  }
+
+  /**
+   * Get the client event for a sim event, mapping the sim event to a new
+   * client event if we haven't done so already. Mappings are reused for
+   * every trigger() call and sim event listener, and get restored when
+   * reconnecting.
+   *
+   * @param {*} eventName the sim event name, e.g. "AP_MASTER"
+   * @returns the client event's { eventID, eventName, handlers, ... } entry
+   */
+  mapClientEvent(eventName) {
+    const { handle, clientEvents: e } = this;
+    eventName = toSimEventName(eventName);
+    let entry = e[eventName];
+    if (!entry) {
+      const eventID = this.nextId(EVENT, `sim event ${eventName}`);
+      entry = {
+        eventID,
+        eventName,
+        sendId: handle.mapClientEventToSimEvent(eventID, eventName),
+        confirmed: false,
+        group: undefined,
+        data: undefined,
+        handlers: [],
+        masks: new Set(),
+      };
+      e[eventName] = e[eventID] = entry;
+    }
+    return entry;
+  }
+
+  /**
+   * Remove a client event mapping, e.g. because SimConnect
+   * did not recognize the sim event it was mapped to.
+   *
+   * @param {*} entry a client event entry, see mapClientEvent()
+   */
+  unmapClientEvent(entry) {
+    const { eventID, eventName } = entry;
+    if (this.clientEvents[eventName] !== entry) return;
+    if (entry.group && this.connected) {
+      this.handle.removeClientEvent(
+        this.notificationGroupIDs[entry.group],
+        eventID
+      );
     }
+    delete this.clientEvents[eventName];
+    delete this.clientEvents[eventID];
+    this.releaseId(EVENT, eventID);
+  }
+
+  /**
+   * Make sure that a client event is in the right notification group for
+   * its listeners: events with masking listeners go in the masking group,
+   * events with only regular listeners go in the notification group, and
+   * events without any listeners don't need to be in a group at all.
+   *
+   * @param {*} entry a client event entry, see mapClientEvent()
+   */
+  updateNotificationGroup(entry) {
+    const { handle, notificationGroupIDs } = this;
+    const group = entry.masks.size
+      ? `mask`
+      : entry.handlers.length
+      ? `notify`
+      : undefined;
+    if (group === entry.group) return;
+    if (entry.group) {
+      handle.removeClientEvent(
+        notificationGroupIDs[entry.group],
+        entry.eventID
+      );
+    }
+    entry.group = group;
+    if (group) this.addToNotificationGroup(entry);
+  }
+
+  /**
+   * Add a client event to the notification group it should be in, so that
+   * SimConnect sends us an event whenever the sim event it's mapped to fires.
+   *
+   * @param {*} entry a client event entry, see mapClientEvent()
+   */
+  addToNotificationGroup({ eventID, group }) {
+    const { handle, notificationGroupIDs } = this;
+    const { priority, maskable } = NOTIFICATION_GROUPS[group];
+    const groupID = (notificationGroupIDs[group] ??= this.nextId(
+      GROUP,
+      `${group} sim events`
+    ));
+    handle.addClientEventToNotificationGroup(groupID, eventID, maskable);
+    handle.setNotificationGroupPriority(groupID, priority);
   }
 
   /**
@@ -195,21 +947,23 @@ export class MSFS_API {
    */
   addDataDefinitions(DATA_ID, propNames, defs) {
     const { handle } = this;
-    propNames.forEach((propName, pos) => {
+    return propNames.map((propName, pos) => {
       const def = defs[pos];
       if (def === undefined) {
         handle.clearDataDefinition(DATA_ID);
-        this.releaseId(DATA_ID);
-        throw new Error(`Cannot get SimVar: "${propName}" unknown.`);
+        this.releaseId(DEFINITION, DATA_ID);
+        throw new UnknownSimVarError(propName, `get`, suggestSimVars(propName));
       }
-      handle.addToDataDefinition(
+      // We use the position as datum id, so that tagged data can be mapped back to its propName
+      const sendId = handle.addToDataDefinition(
         DATA_ID,
         propName,
         def.units,
         def.data_type,
         0.0,
-        SimConnectConstants.UNUSED
+        pos
       );
+      return [sendId, { simvar: propName }];
     });
   }
 
@@ -219,48 +973,82 @@ export class MSFS_API {
    * @param {*} REQUEST_ID
    * @param {*} propNames
    * @param {*} defs
+   * @param {*} sent
+   * @param {*} objectId (optional) the sim object to get the values for, defaults to the user's aircraft
+   * @param {*} timeout (optional) the number of seconds to wait for SimConnect, see trackRequest()
    * @returns
    */
-  generateGetPromise(DATA_ID, REQUEST_ID, propNames, defs) {
+  generateGetPromise(
+    DATA_ID,
+    REQUEST_ID,
+    propNames,
+    defs,
+    sent,
+    objectId = SimConnectConstants.OBJECT_ID_USER,
+    timeout
+  ) {
     const { handle } = this;
-    return new Promise((resolve, _reject) => {
+    return new Promise((resolve, reject) => {
+      const done = () => {
+        untrack();
+        handle.off("simObjectData", handleDataRequest);
+        if (this.connected) handle.clearDataDefinition(DATA_ID);
+        this.releaseId(DEFINITION, DATA_ID);
+        this.releaseId(REQUEST, REQUEST_ID);
+      };
       const handleDataRequest = ({ requestID, data }) => {
         if (requestID === REQUEST_ID) {
-          handle.off("simObjectData", handleDataRequest);
-          handle.clearDataDefinition(DATA_ID);
+          done();
           const result = {};
           propNames.forEach((propName, pos) => {
             result[codeSafe(propName)] = defs[pos].read(data);
           });
           resolve(result);
-          this.releaseId(DATA_ID);
         }
       };
       handle.on("simObjectData", handleDataRequest);
-      handle.requestDataOnSimObject(
+      const sendId = handle.requestDataOnSimObject(
         REQUEST_ID,
         DATA_ID,
-        SimConnectConstants.OBJECT_ID_USER,
+        objectId,
         SimConnectPeriod.ONCE,
         ...[0, 0, 0, 0]
       );
+      sent = [...sent, [sendId, { simvar: propNames.join(`, `) }]];
+      const untrack = this.trackRequest(
+        sent,
+        (err) => {
+          done();
+          reject(err);
+        },
+        timeout
+      );
     });
   }
 
   /**
-   * Get one or more simconnect variable values.
+   * Get one or more simconnect variable values. Variables can be passed
+   * by name, or as { name, units } objects to get them in specific units,
+   * or by name followed by a { units } object. Values are for the user's
+   * aircraft, unless the last argument is an options object with an
+   * objectId, e.g. for AI traffic. That options object can also have a
+   * timeout, in seconds, to use instead of the `requestTimeout`
+   * connection option:
+   *
+   *   api.get(`L:MY_VAR`, { units: `percent` });
+   *   api.get(`ATC_ID`, `PLANE_ALTITUDE`, { objectId: 12, timeout: 1 });
    *
    * @param  {...any} propNames
    * @returns
    */
   get(...propNames) {
-    if (!this.connected) throw new Error(MSFS_NOT_CONNECTED);
+    if (!this.connected) throw new NotConnectedError();
 
-    const DATA_ID = this.nextId();
-    const REQUEST_ID = DATA_ID;
-    propNames = propNames.map((s) => s.replaceAll(`_`, ` `));
+    const { requests, options } = parseGetArgs(propNames);
+    const { objectId, timeout } = options;
+    propNames = requests.map(({ name }) => name);
     // see if this is a special, non-simconnect variable:
-    if (propNames.length === 1) {
+    if (propNames.length === 1 && objectId === undefined) {
       const [propName] = propNames;
       for (const get of this.specialGetHandlers) {
         if (get.supports(propName)) {
@@ -269,62 +1057,768 @@ export class MSFS_API {
       }
     }
     // if not, regular lookup.
-    const defs = propNames.map((propName) => SimVars[propName]);
-    this.addDataDefinitions(DATA_ID, propNames, defs);
-    return this.generateGetPromise(DATA_ID, REQUEST_ID, propNames, defs);
+    const defs = this.getDefinitions(requests);
+    const purpose = `get ${propNames.join(`, `)}`;
+    const DATA_ID = this.nextId(DEFINITION, purpose);
+    const sent = this.addDataDefinitions(DATA_ID, propNames, defs);
+    const REQUEST_ID = this.nextId(REQUEST, purpose);
+    return this.generateGetPromise(
+      DATA_ID,
+      REQUEST_ID,
+      propNames,
+      defs,
+      sent,
+      objectId,
+      timeout
+    );
   }
 
   /**
-   * Set a simconnect variable.
+   * Set a simconnect variable. The variable can be passed by name, or
+   * as a { name, units } object to set it using specific units.
    *
    * @param  {...any} propNames
-   * @returns
+   * @returns a promise that resolves once SimConnect has set the value, or rejects with a SimConnectException
    * @throws
    */
   set(propName, value) {
-    if (!this.connected) throw new Error(MSFS_NOT_CONNECTED);
+    if (!this.connected) throw new NotConnectedError();
+    return this.setValues([toRequest(propName)], [value]);
+  }
+
+  /**
+   * Set multiple simconnect variables at once, using a single data
+   * definition, so that all values get applied in the same sim frame:
+   *
+   *   api.setMany({ PLANE_LATITUDE: lat, PLANE_LONGITUDE: long, PLANE_ALTITUDE: alt });
+   *
+   * If any of the variables is unknown or not settable, nothing gets set.
+   *
+   * @param {*} values an object of simvar name/value pairs
+   * @returns a promise that resolves once SimConnect has set the values, or rejects with a SimConnectException
+   * @throws
+   */
+  setMany(values) {
+    if (!this.connected) throw new NotConnectedError();
+    const requests = Object.keys(values).map(toRequest);
+    return this.setValues(requests, Object.values(values));
+  }
+
+  /**
+   * Set one or more simvars, using a single data definition.
+   *
+   * @param {*} requests a list of { name, units } objects
+   * @param {*} values the corresponding list of values
+   * @returns a promise that resolves once SimConnect has set the values
+   * @throws
+   */
+  setValues(requests, values) {
+    if (!requests.length) return Promise.resolve();
     const { handle } = this;
-    propName = propName.replaceAll(`_`, ` `);
-    if (value == parseFloat(value)) {
-      // Extremely intentionally use coercion to see if we're dealing with a number-as-string
-      value = parseFloat(value);
+    const propNames = requests.map(({ name }) => name);
+    const defs = this.getDefinitions(requests);
+    values = values.map((value) => {
+      if (value == parseFloat(value)) {
+        // Extremely intentionally use coercion to see if we're dealing with a number-as-string
+        value = parseFloat(value);
+      }
+      return value;
+    });
+
+    // Make sure we can write every value before we send anything to SimConnect.
+    const bufferLength = defs.reduce((total, def, pos) => {
+      if (def === undefined) {
+        const propName = propNames[pos];
+        throw new UnknownSimVarError(propName, `set`, suggestSimVars(propName));
+      }
+      return total + (def.size ?? `${values[pos]}`.length + 1);
+    }, 0);
+    const buffer = new RawBuffer(bufferLength);
+    defs.forEach((def, pos) => def.write(buffer, values[pos]));
+
+    const DATA_ID = this.nextId(DEFINITION, `set ${propNames.join(`, `)}`);
+    const sent = propNames.map((propName, pos) => [
+      handle.addToDataDefinition(
+        DATA_ID,
+        propName,
+        defs[pos].units,
+        defs[pos].data_type
+      ),
+      { simvar: propName },
+    ]);
+    const payload = { buffer, arrayCount: 0, tagged: false };
+    sent.push([
+      handle.setDataOnSimObject(
+        DATA_ID,
+        SimConnectConstants.OBJECT_ID_USER,
+        payload
+      ),
+      { simvar: propNames.join(`, `) },
+    ]);
+    return this.confirmSent(sent).finally(() => {
+      if (this.connected) handle.clearDataDefinition(DATA_ID);
+      this.releaseId(DEFINITION, DATA_ID);
+    });
+  }
+
+  /**
+   * List the input events ("B:" events) that the current aircraft has.
+   * These are how modern aircraft expose knobs and switches that have no
+   * legacy sim event. The list also gets cached, so that input events can
+   * be looked up by name.
+   *
+   * @returns a promise for a list of { name, type } objects, with type being "number" or "string"
+   */
+  listInputEvents() {
+    if (!this.connected) throw new NotConnectedError();
+    const { handle } = this;
+    const REQUEST_ID = this.nextId(REQUEST, `list input events`);
+    return new Promise((resolve, reject) => {
+      const descriptors = [];
+      const done = () => {
+        untrack();
+        handle.off("inputEventsList", handleList);
+        this.releaseId(REQUEST, REQUEST_ID);
+      };
+      // Long lists get sent in several parts.
+      const handleList = (list) => {
+        const { requestID, inputEventDescriptors, entryNumber, outOf } = list;
+        if (requestID !== REQUEST_ID) return;
+        descriptors.push(...inputEventDescriptors);
+        if (entryNumber < outOf - 1) return;
+        done();
+        this.inputEvents = new Map(descriptors.map((d) => [d.name, d]));
+        resolve(
+          descriptors.map(({ name, type }) => ({
+            name,
+            type: INPUT_EVENT_TYPES[type],
+          }))
+        );
+      };
+      handle.on("inputEventsList", handleList);
+      const sendId = handle.enumerateInputEvents(REQUEST_ID);
+      const untrack = this.trackRequest([[sendId, {}]], (err) => {
+        done();
+        reject(err);
+      });
+    });
+  }
+
+  /**
+   * Look up an input event by name, (re)listing the current aircraft's
+   * input events if we don't know about it yet, e.g. because the user
+   * switched aircraft.
+   *
+   * @param {*} name the input event name
+   * @returns a promise for the input event's { name, inputEventIdHash, type } descriptor
+   */
+  async findInputEvent(name) {
+    if (!this.inputEvents?.has(name)) await this.listInputEvents();
+    const descriptor = this.inputEvents.get(name);
+    if (!descriptor) {
+      const names = [...this.inputEvents.keys()];
+      throw new UnknownInputEventError(name, suggestNames(name, names));
     }
-    const DATA_ID = this.nextId();
-    const def = SimVars[propName];
-    if (def === undefined) {
-      this.releaseId(DATA_ID);
-      throw new Error(`Cannot set SimVar: "${propName}" unknown.`);
+    return descriptor;
+  }
+
+  /**
+   * Get the current value of one of the aircraft's input events.
+   *
+   * @param {*} name the input event name
+   * @returns a promise for the input event's value, which is either a number or a string
+   * @throws
+   */
+  getInputEvent(name) {
+    if (!this.connected) throw new NotConnectedError();
+    return this.findInputEvent(name).then(({ inputEventIdHash }) => {
+      const { handle } = this;
+      const REQUEST_ID = this.nextId(REQUEST, `get input event ${name}`);
+      return new Promise((resolve, reject) => {
+        const done = () => {
+          untrack();
+          handle.off("getInputEvent", handleValue);
+          this.releaseId(REQUEST, REQUEST_ID);
+        };
+        const handleValue = ({ requestID, value }) => {
+          if (requestID !== REQUEST_ID) return;
+          done();
+          resolve(value);
+        };
+        handle.on("getInputEvent", handleValue);
+        const sendId = handle.getInputEvent(REQUEST_ID, inputEventIdHash);
+        const untrack = this.trackRequest(
+          [[sendId, { event: name }]],
+          (err) => {
+            done();
+            reject(err);
+          }
+        );
+      });
+    });
+  }
+
+  /**
+   * Set one of the aircraft's input events, e.g. to turn a knob.
+   *
+   * @param {*} name the input event name
+   * @param {*} value a number or a string, depending on the input event's type
+   * @returns a promise that resolves once SimConnect has set the value, or rejects with a SimConnectException
+   * @throws
+   */
+  setInputEvent(name, value) {
+    if (!this.connected) throw new NotConnectedError();
+    return this.findInputEvent(name).then(({ inputEventIdHash, type }) => {
+      const expected = INPUT_EVENT_TYPES[type];
+      if (
+        typeof value !== expected ||
+        (expected === `number` && !Number.isFinite(value))
+      ) {
+        throw new TypeError(
+          `Cannot set input event "${name}" to ${value}: expected a ${expected}.`
+        );
+      }
+      const sendId = this.handle.setInputEvent(inputEventIdHash, value);
+      return this.confirmSent([[sendId, { event: name }]]);
+    });
+  }
+
+  /**
+   * Get notified whenever one of the aircraft's input events changes value.
+   * Since input events first need to be looked up, this returns a promise
+   * for the corresponding unsubscribe function, rather than the function
+   * itself, which rejects with an UnknownInputEventError if the aircraft
+   * doesn't have the input event.
+   *
+   * @param {*} name the input event name
+   * @param {*} handler function that gets called with the input event's new value
+   * @returns a promise for a corresponding arg-less unsubscribe function
+   * @throws
+   */
+  subscribeInputEvent(name, handler) {
+    if (!this.connected) throw new NotConnectedError();
+    const listeners = this.inputEventListeners;
+    let entry = listeners[name];
+    if (!entry) {
+      entry = listeners[name] = { name, handlers: [] };
+      entry.ready = this.startInputEventListener(entry);
     }
-    const bufferLength = 100; // TODO: we probably want to allocate only as much buffer as we actually need
-    const buffer = def.write(new RawBuffer(bufferLength), value);
-    const payload = { buffer, arrayCount: 0, tagged: false };
-    handle.addToDataDefinition(DATA_ID, propName, def.units, def.data_type);
-    handle.setDataOnSimObject(
-      DATA_ID,
-      SimConnectConstants.OBJECT_ID_USER,
-      payload
+    return entry.ready.then(
+      () => {
+        entry.handlers.push(handler);
+        return () => this.unsubscribeInputEvent(entry, handler);
+      },
+      (err) => {
+        if (listeners[name] === entry) delete listeners[name];
+        throw err;
+      }
     );
-    // cleanup, with *plenty* of time for SimConnect to resolve the data object before clearing it out.
-    setTimeout(() => {
-      this.releaseId(DATA_ID);
-      handle.clearDataDefinition(DATA_ID);
-    }, 500);
   }
 
   /**
+   * Ask SimConnect to tell us whenever an input event changes value. This
+   * is also used to restore input event subscriptions after a reconnect.
+   *
+   * @param {*} entry an input event listener entry, see subscribeInputEvent()
+   * @returns a promise that resolves once SimConnect has handled the subscription
+   */
+  startInputEventListener(entry) {
+    const { name } = entry;
+    return this.findInputEvent(name).then(({ inputEventIdHash }) => {
+      entry.hash = inputEventIdHash;
+      const sendId = this.handle.subscribeInputEvent(inputEventIdHash);
+      return this.confirmSent([[sendId, { event: name }]]);
+    });
+  }
+
+  /**
+   * Remove an input event handler, unsubscribing from
+   * the input event if this was its last handler.
    *
+   * @param {*} entry an input event listener entry, see subscribeInputEvent()
    * @param {*} handler
-   * @param {*} interval
-   * @param  {...any} propNames
+   */
+  unsubscribeInputEvent(entry, handler) {
+    const pos = entry.handlers.indexOf(handler);
+    if (pos === -1) return;
+    entry.handlers.splice(pos, 1);
+    if (entry.handlers.length) return;
+    if (this.inputEventListeners[entry.name] !== entry) return;
+    delete this.inputEventListeners[entry.name];
+    if (this.connected) this.handle.unsubscribeInputEvent(entry.hash);
+  }
+
+  /**
+   * Pass an input event's new value on to its handlers.
+   *
+   * @param {*} event a { inputEventIdHash, value } object
+   */
+  handleInputEvent({ inputEventIdHash, value }) {
+    const hash = String(inputEventIdHash);
+    Object.values(this.inputEventListeners).forEach((entry) => {
+      if (String(entry.hash) !== hash) return;
+      entry.handlers.forEach((handler) => handler(value));
+    });
+  }
+
+  /**
+   * Create a client data area, for sharing data with other SimConnect
+   * clients, such as in-sim add-ons. Areas can be sized in bytes, or
+   * using a layout, see client-data.js, in which case that layout also
+   * gets used for setClientData() calls that pass an object of values:
+   *
+   *   await api.createClientData(`MyAddon.State`, { mode: `Int32`, altitude: Float64 });
+   *
+   * Note that only one client can create any given area, and trying to create
+   * an area that some other client created rejects with a SimConnectException.
+   *
+   * @param {*} name the client data area name
+   * @param {*} size the area's size in bytes, or a layout
+   * @returns a promise that resolves once SimConnect has created the area, or rejects with a SimConnectException
+   * @throws
+   */
+  createClientData(name, size) {
+    if (!this.connected) throw new NotConnectedError();
+    let layout;
+    if (typeof size === `object`) {
+      layout = getLayout(size);
+      size = layout.size;
+    }
+    if (!Number.isInteger(size) || size < 1 || size > MAX_CLIENT_DATA_SIZE) {
+      throw new RangeError(
+        `Client data areas must be 1 to ${MAX_CLIENT_DATA_SIZE} bytes, not ${size}.`
+      );
+    }
+    return this.clientData.create(name, size, layout);
+  }
+
+  /**
+   * Write to a client data area, either as raw bytes, or as an object of
+   * values, using the layout that the area was created or subscribed to
+   * with, or the layout that gets passed in.
+   *
+   * @param {*} name the client data area name
+   * @param {*} data a node Buffer, or an object of field/value pairs
+   * @param {*} layout (optional) the layout to use for an object of values
+   * @returns a promise that resolves once SimConnect has set the data, or rejects with a SimConnectException
+   * @throws
+   */
+  setClientData(name, data, layout) {
+    if (!this.connected) throw new NotConnectedError();
+    if (layout) layout = getLayout(layout);
+    return this.clientData.set(name, layout, data);
+  }
+
+  /**
+   * Get notified of the data in a client data area, using a layout to turn
+   * that data into an object of values, see client-data.js. The options
+   * object takes the following form:
+   *
+   * {
+   *   period: "ON_SET", "VISUAL_FRAME", or "SECOND", defaults to "ON_SET"
+   *   changedOnly: only send data if it changed since the last update, defaults to false
+   * }
+   *
+   * @param {*} name the client data area name
+   * @param {*} layout an object of field/type pairs
+   * @param {*} options (optional) subscription options
+   * @param {*} handler function that gets called with an object of field/value pairs
+   * @returns a corresponding arg-less unsubscribe function
+   * @throws
+   */
+  subscribeClientData(name, layout, options = {}, handler) {
+    if (!this.connected) throw new NotConnectedError();
+    return this.clientData.subscribe(name, getLayout(layout), options, handler);
+  }
+
+  /**
+   * Execute calculator code ("RPN"), e.g. to read or set variables that
+   * SimConnect has no access to, or to trigger H: events. This needs a
+   * companion WASM module that is not part of this library to be installed,
+   * see calculator-bridge.js, and rejects with a RequestTimeoutError if it
+   * isn't running. Calls that overlap get sent one at a time.
+   *
+   *   const { number } = await api.executeCalculatorCode(`(A:PLANE ALTITUDE, feet)`);
+   *
+   * @param {*} code the calculator code
+   * @returns a promise for the code's { number, string } result, which rejects with a CalculatorCodeError if the code could not be executed
+   * @throws
+   */
+  executeCalculatorCode(code) {
+    if (!this.connected) throw new NotConnectedError();
+    this.calculator ??= new CalculatorBridge(this);
+    return this.calculator.execute(code);
+  }
+
+  /**
+   * Ask SimConnect for one of its system states:
+   *
+   * - "AircraftLoaded": the path to the loaded aircraft's aircraft.cfg
+   * - "FlightLoaded": the path to the loaded .FLT file
+   * - "FlightPlan": the path to the active flight plan, or an empty string
+   * - "DialogMode": whether the sim is showing a dialog
+   * - "Sim": whether the user is flying, rather than in the menus
+   *
+   * @param {*} stateName one of the state names listed above
+   * @returns a promise for the state's value, as a string for paths, and a boolean otherwise
+   * @throws if the state name is not one of the state names listed above
+   */
+  getSystemState(stateName) {
+    if (!this.connected) throw new NotConnectedError();
+    const type = SYSTEM_STATES[stateName];
+    if (!type) throw new Error(`Unknown system state "${stateName}".`);
+    const { handle } = this;
+    const REQUEST_ID = this.nextId(REQUEST, `system state ${stateName}`);
+    return new Promise((resolve, reject) => {
+      const done = () => {
+        untrack();
+        handle.off("systemState", handleSystemState);
+        this.releaseId(REQUEST, REQUEST_ID);
+      };
+      const handleSystemState = ({ requestID, dataInteger, dataString }) => {
+        if (requestID !== REQUEST_ID) return;
+        done();
+        resolve(type === `string` ? dataString : dataInteger !== 0);
+      };
+      handle.on("systemState", handleSystemState);
+      const sendId = handle.requestSystemState(REQUEST_ID, stateName);
+      const untrack = this.trackRequest([[sendId, {}]], (err) => {
+        done();
+        reject(err);
+      });
+    });
+  }
+
+  /**
+   * Use the user's aircraft's title for spawned aircraft that
+   * were not given a title of their own.
+   *
+   * @param {*} title
+   * @returns a promise for the title to use
+   */
+  getSpawnTitle(title) {
+    if (title !== undefined) return Promise.resolve(title);
+    return this.get(`TITLE`).then(({ TITLE }) => TITLE);
+  }
+
+  /**
+   * Create a sim object using one of SimConnect's AI creation calls,
+   * and wait for SimConnect to tell us which id it assigned to it.
+   *
+   * @param {*} title the object's container title, for error reporting
+   * @param {*} create function that gets called with a request id, and returns the send id of the creation packet
+   * @returns a promise for the new object's id, which rejects with a SimConnectException (e.g. CREATE_OBJECT_FAILED) if the object could not be created
+   */
+  createSimObject(title, create) {
+    const { handle } = this;
+    const REQUEST_ID = this.nextId(REQUEST, `create ${title}`);
+    return new Promise((resolve, reject) => {
+      const done = () => {
+        untrack();
+        handle.off("assignedObjectID", handleAssignedObjectID);
+        this.releaseId(REQUEST, REQUEST_ID);
+      };
+      const handleAssignedObjectID = ({ requestID, objectID }) => {
+        if (requestID !== REQUEST_ID) return;
+        done();
+        resolve(objectID);
+      };
+      handle.on("assignedObjectID", handleAssignedObjectID);
+      const sent = [[create(REQUEST_ID), { simObject: title }]];
+      const untrack = this.trackRequest(sent, (err) => {
+        done();
+        reject(err);
+      });
+    });
+  }
+
+  /**
+   * Send an AI request for an existing sim object. These get no
+   * reply from SimConnect, unless something goes wrong.
+   *
+   * @param {*} objectId the sim object's id
+   * @param {*} purpose what the request is for, see getActiveIds()
+   * @param {*} send function that gets called with a request id, and returns the send id of the packet
+   * @returns a promise that resolves once SimConnect has handled the request, or rejects with a SimConnectException
+   */
+  sendObjectRequest(objectId, purpose, send) {
+    const REQUEST_ID = this.nextId(REQUEST, purpose);
+    const sent = [[send(REQUEST_ID), { simObject: objectId }]];
+    return this.confirmSent(sent).finally(() =>
+      this.releaseId(REQUEST, REQUEST_ID)
+    );
+  }
+
+  /**
+   * Spawn a (non-ATC) AI aircraft. The position is an object of the form
+   * { latitude, longitude, altitude, heading?, pitch?, bank? }, in degrees
+   * and feet, and the speed is in knots. If no title is given, the user's
+   * aircraft's title gets used.
+   *
+   *   const objectId = await api.spawnAircraft({
+   *     title: `Cessna Skyhawk G1000 Asobo`,
+   *     tailNumber: `N1234`,
+   *     position: { latitude: 48.8, longitude: -123.2, altitude: 2500, heading: 90 },
+   *     speed: 100,
+   *   });
+   *
+   * @param {*} options a { title?, tailNumber?, position, onGround?, speed? } object
+   * @returns a promise for the new aircraft's object id, which rejects with a SimConnectException if the aircraft could not be created
+   * @throws
+   */
+  spawnAircraft(options) {
+    if (!this.connected) throw new NotConnectedError();
+    const { title, tailNumber = ``, position, onGround, speed } = options;
+    const initPosition = toInitPosition(position, onGround, speed);
+    return this.getSpawnTitle(title).then((title) =>
+      this.createSimObject(title, (REQUEST_ID) =>
+        this.handle.aICreateNonATCAircraft(
+          title,
+          tailNumber,
+          initPosition,
+          REQUEST_ID
+        )
+      )
+    );
+  }
+
+  /**
+   * Spawn an ATC-controlled AI aircraft, parked at an airport. If no
+   * title is given, the user's aircraft's title gets used.
+   *
+   * @param {*} icao the airport's ICAO code
+   * @param {*} options (optional) a { title?, tailNumber? } object
+   * @returns a promise for the new aircraft's object id, which rejects with a SimConnectException if the aircraft could not be created
+   * @throws
+   */
+  spawnParkedAircraft(icao, options = {}) {
+    if (!this.connected) throw new NotConnectedError();
+    const { title, tailNumber = `` } = options;
+    return this.getSpawnTitle(title).then((title) =>
+      this.createSimObject(title, (REQUEST_ID) =>
+        this.handle.aICreateParkedATCAircraft(
+          title,
+          tailNumber,
+          icao,
+          REQUEST_ID
+        )
+      )
+    );
+  }
+
+  /**
+   * Spawn a sim object that isn't an aircraft, e.g. a ground vehicle
+   * or a boat. The position takes the same form as for spawnAircraft(),
+   * with an optional onGround flag.
+   *
+   * @param {*} title the object's container title
+   * @param {*} position a { latitude, longitude, altitude, heading?, pitch?, bank?, onGround? } object
+   * @returns a promise for the new object's id, which rejects with a SimConnectException if the object could not be created
+   * @throws
+   */
+  spawnSimObject(title, position) {
+    if (!this.connected) throw new NotConnectedError();
+    const initPosition = toInitPosition(position, position?.onGround);
+    return this.createSimObject(title, (REQUEST_ID) =>
+      this.handle.aICreateSimulatedObject(title, initPosition, REQUEST_ID)
+    );
+  }
+
+  /**
+   * Remove a sim object that was spawned by this client.
+   *
+   * @param {*} objectId the object's id
+   * @returns a promise that resolves once SimConnect has handled the removal, or rejects with a SimConnectException
+   * @throws
+   */
+  removeObject(objectId) {
+    if (!this.connected) throw new NotConnectedError();
+    return this.sendObjectRequest(
+      objectId,
+      `remove object ${objectId}`,
+      (REQUEST_ID) => this.handle.aIRemoveObject(objectId, REQUEST_ID)
+    );
+  }
+
+  /**
+   * Give an AI aircraft a flight plan to follow. Note that SimConnect
+   * wants the path to the .PLN file without its extension.
+   *
+   * @param {*} objectId the aircraft's object id
+   * @param {*} planPath the path to the flight plan, without extension
+   * @returns a promise that resolves once SimConnect has handled the request, or rejects with a SimConnectException, e.g. LOAD_FLIGHTPLAN_FAILED
+   * @throws a RangeError if the path is too long
+   */
+  setObjectFlightPlan(objectId, planPath) {
+    if (!this.connected) throw new NotConnectedError();
+    if (planPath.length > MAX_FLIGHT_PLAN_PATH_LENGTH) {
+      throw new RangeError(
+        `Flight plan paths can be at most ${MAX_FLIGHT_PLAN_PATH_LENGTH} characters, not ${planPath.length}.`
+      );
+    }
+    return this.sendObjectRequest(
+      objectId,
+      `set flight plan for object ${objectId}`,
+      (REQUEST_ID) =>
+        this.handle.aISetAircraftFlightPlan(objectId, planPath, REQUEST_ID)
+    );
+  }
+
+  /**
+   * Call a handler with the result of get(...propNames) every interval
+   * milliseconds. Errors, such as a RequestTimeoutError for a slow reply,
+   * or an error thrown by the handler, get logged without stopping the
+   * schedule, since nothing else is around to catch them.
+   *
+   * @param {*} handler function that gets called with the result of get()
+   * @param {*} interval the number of milliseconds between calls
+   * @param  {...any} propNames the simvars to get, as passed to get()
+   * @returns a corresponding arg-less function that stops the schedule
    */
   schedule(handler, interval, ...propNames) {
-    if (!this.connected) throw new Error(MSFS_NOT_CONNECTED);
-    let running = true;
+    if (!this.connected) throw new NotConnectedError();
+    const schedule = { running: true };
     const run = async () => {
-      handler(await this.get(...propNames));
-      if (running) setTimeout(run, interval);
+      if (!schedule.running) return;
+      try {
+        handler(await this.get(...propNames));
+      } catch (e) {
+        // If we lost our connection, restore() will restart us
+        // once we're reconnected.
+        if (!this.connected) return;
+        console.warn(`Scheduled call failed:`, e);
+      }
+      if (schedule.running) schedule.timer = setTimeout(run, interval);
+    };
+    schedule.stop = () => {
+      schedule.running = false;
+      clearTimeout(schedule.timer);
+    };
+    schedule.restart = () => {
+      clearTimeout(schedule.timer);
+      run();
     };
+    this.schedules.add(schedule);
     run();
-    return () => (running = false);
+    return () => {
+      schedule.stop();
+      this.schedules.delete(schedule);
+    };
+  }
+
+  /**
+   * Subscribe to one or more simconnect variables. Rather than polling,
+   * this registers a single data definition and has SimConnect push new
+   * values to us every `period`, until unsubscribed. The options object
+   * takes the following form:
+   *
+   * {
+   *   period: "SIM_FRAME", "VISUAL_FRAME", or "SECOND", defaults to "SIM_FRAME"
+   *   changedOnly: only send values that changed since the last update, defaults to false
+   *   interval: number of periods to skip between updates, defaults to 0
+   *   objectId: the sim object to get values for, defaults to the user's aircraft
+   * }
+   *
+   * @param {*} propNames a single simvar name or { name, units } object, or an array of these
+   * @param {*} options (optional) subscription options
+   * @param {*} handler function that gets called with the updated values
+   * @returns a corresponding arg-less unsubscribe function
+   * @throws
+   */
+  subscribe(propNames, options = {}, handler) {
+    if (!this.connected) throw new NotConnectedError();
+    if (typeof options === `function`) {
+      handler = options;
+      options = {};
+    }
+    const { period = `SIM_FRAME` } = options;
+    if (![`SIM_FRAME`, `VISUAL_FRAME`, `SECOND`].includes(period)) {
+      throw new Error(`Cannot subscribe: "${period}" is not a valid period.`);
+    }
+    const requests = [propNames].flat().map(toRequest);
+    const subscription = { requests, options, handler };
+    this.startSubscription(subscription);
+    this.subscriptions.add(subscription);
+    return () => {
+      if (!this.subscriptions.delete(subscription)) return;
+      subscription.stop();
+    };
+  }
+
+  /**
+   * Register a subscription's data definition and data request with
+   * SimConnect. This is also used to restore subscriptions after a
+   * reconnect, in which case the subscription keeps its original id and
+   * units, even if the unit profile changed in the mean time.
+   *
+   * @param {*} subscription a { requests, options, handler } object
+   * @throws
+   */
+  startSubscription(subscription) {
+    const { requests, options, handler } = subscription;
+    const { period = `SIM_FRAME`, changedOnly = false, interval = 0 } = options;
+    const { objectId = SimConnectConstants.OBJECT_ID_USER } = options;
+    const PERIOD = SimConnectPeriod[period];
+
+    const { handle } = this;
+    const propNames = requests.map(({ name }) => name);
+    const defs = (subscription.defs ??= this.getDefinitions(requests));
+    const purpose = `subscribe ${propNames.join(`, `)}`;
+    const DATA_ID = (subscription.DATA_ID ??= this.nextId(DEFINITION, purpose));
+    this.addDataDefinitions(DATA_ID, propNames, defs);
+    const REQUEST_ID = (subscription.REQUEST_ID ??= this.nextId(
+      REQUEST,
+      purpose
+    ));
+
+    // In "changed only" mode we ask for tagged data, so that we only
+    // get the values that actually changed, as (datum id, value) pairs.
+    const flags = changedOnly
+      ? DataRequestFlag.DATA_REQUEST_FLAG_CHANGED |
+        DataRequestFlag.DATA_REQUEST_FLAG_TAGGED
+      : DataRequestFlag.DATA_REQUEST_FLAG_DEFAULT;
+
+    const handleDataRequest = ({ requestID, data, defineCount }) => {
+      if (requestID !== REQUEST_ID) return;
+      const result = {};
+      if (changedOnly) {
+        for (let i = 0; i < defineCount; i++) {
+          const pos = data.readInt32();
+          result[codeSafe(propNames[pos])] = defs[pos].read(data);
+        }
+      } else {
+        propNames.forEach((propName, pos) => {
+          result[codeSafe(propName)] = defs[pos].read(data);
+        });
+      }
+      handler(result);
+    };
+
+    handle.on("simObjectData", handleDataRequest);
+    handle.requestDataOnSimObject(
+      REQUEST_ID,
+      DATA_ID,
+      objectId,
+      PERIOD,
+      flags,
+      0,
+      interval,
+      0
+    );
+
+    subscription.stop = () => {
+      handle.off("simObjectData", handleDataRequest);
+      if (this.connected && handle === this.handle) {
+        handle.requestDataOnSimObject(
+          REQUEST_ID,
+          DATA_ID,
+          objectId,
+          SimConnectPeriod.NEVER
+        );
+        handle.clearDataDefinition(DATA_ID);
+      }
+      this.releaseId(DEFINITION, DATA_ID);
+      this.releaseId(REQUEST, REQUEST_ID);
+    };
   }
 }
@@ -0,0 +1,101 @@
+/**
+ * A flight data recorder, capturing a set of simvars and every system event
+ * that the API receives, with timestamps, into a gzipped NDJSON file:
+ *
+ * - the first line is a header: { version, simvars, started }
+ * - simvar lines are of the form { t, simvars }, containing only changed values
+ * - event lines are of the form { t, event, data }
+ *
+ * where `t` is the number of milliseconds since the recording started.
+ */
+import fs from "node:fs";
+import zlib from "node:zlib";
+import { toRequest } from "../simvars/index.js";
+
+export const RECORDING_VERSION = 1;
+
+/**
+ * Records simvars using a subscription, and system events using
+ * the API's system event taps, until stopped.
+ */
+export class FlightRecorder {
+  /**
+   * @param {*} api a connected MSFS_API instance
+   * @param {*} simvars the list of simvars to record, by name or as { name, units } objects
+   * @param {*} options (optional) { period, changedOnly } subscription options, defaults to { period: "SIM_FRAME", changedOnly: true }
+   */
+  constructor(api, simvars, options = {}) {
+    this.api = api;
+    this.requests = simvars.map(toRequest);
+    this.simvars = this.requests.map(({ name }) => name);
+    this.options = { period: `SIM_FRAME`, changedOnly: true, ...options };
+    this.recording = false;
+  }
+
+  /**
+   * Start recording to the indicated file.
+   *
+   * @param {*} filePath where to write the (gzipped) recording
+   * @returns a promise that resolves once recording has started, or rejects if the file could not be opened
+   */
+  async start(filePath) {
+    if (this.recording) throw new Error(`Recorder is already recording`);
+    const { api, simvars, requests, options } = this;
+    this.recording = true;
+    const file = fs.createWriteStream(filePath);
+    try {
+      await new Promise((resolve, reject) => {
+        file.once(`open`, resolve);
+        file.once(`error`, reject);
+      });
+    } catch (e) {
+      this.recording = false;
+      throw e;
+    }
+
+    // Writing can still fail later on, e.g. when the disk is full. Nothing
+    // is waiting on the recording until stop() gets called, so hold on to
+    // the error until then, rather than it being an unhandled rejection.
+    this.error = undefined;
+    this.output = zlib.createGzip();
+    this.done = new Promise((resolve, reject) => {
+      file.on(`finish`, resolve);
+      file.on(`error`, reject);
+      this.output.pipe(file);
+    }).catch((e) => (this.error = e));
+
+    const started = Date.now();
+    const write = (entry) => {
+      const t = Date.now() - started;
+      this.output.write(JSON.stringify({ t, ...entry }) + `\n`);
+    };
+    this.output.write(
+      JSON.stringify({ version: RECORDING_VERSION, simvars, started }) + `\n`
+    );
+
+    const tap = (event, data) => write({ event, data });
+    api.systemEventTaps.add(tap);
+    const unsubscribe = api.subscribe(requests, options, (values) =>
+      write({ simvars: values })
+    );
+
+    this.cleanup = () => {
+      api.systemEventTaps.delete(tap);
+      unsubscribe();
+    };
+  }
+
+  /**
+   * Stop recording.
+   *
+   * @returns a promise that resolves once the recording has been fully written to disk, or rejects with the error that writing failed with.
+   */
+  async stop() {
+    if (!this.recording) return;
+    this.recording = false;
+    this.cleanup();
+    this.output.end();
+    await this.done;
+    if (this.error) throw this.error;
+  }
+}
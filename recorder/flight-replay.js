@@ -0,0 +1,225 @@
+/**
+ * Replays a recording made with the FlightRecorder, acting as a stand-in for
+ * an MSFS_API instance: get(), on(), schedule() and subscribe() are answered
+ * from the recording, played back at 1x or accelerated speed. Since there is
+ * no sim to talk to, set() and trigger() are not supported.
+ */
+import fs from "node:fs";
+import zlib from "node:zlib";
+import { NotConnectedError, UnknownSimVarError } from "../errors.js";
+import { RECORDING_VERSION } from "./flight-recorder.js";
+import { toRequest, parseGetArgs, codeSafe } from "../simvars/index.js";
+
+// Simvars can be asked for the same ways the API allows, but values are
+// always replayed in the units that they were recorded in.
+// The replay only has the user's aircraft, so get() options are ignored.
+const toKey = (request) => codeSafe(request.name);
+
+/**
+ * An MSFS_API-compatible replay of a recorded flight.
+ */
+export class FlightReplay {
+  /**
+   * @param {*} filePath the recording to replay
+   * @param {*} options (optional) { speed, onEnd } where speed is the playback speed multiplier (defaults to 1), and onEnd is called when the replay reaches the end of the recording.
+   */
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.speed = options.speed ?? 1;
+    this.onEnd = options.onEnd ?? (() => {});
+    this.eventListeners = {};
+    this.subscriptions = new Set();
+    this.schedules = new Set();
+  }
+
+  /**
+   * Load the recording and start playback. This takes the same
+   * `onConnect` option as MSFS_API's connect function.
+   *
+   * @param {*} opts
+   */
+  async connect(opts = {}) {
+    const json = zlib.gunzipSync(fs.readFileSync(this.filePath)).toString();
+    const [header, ...entries] = json
+      .split(`\n`)
+      .filter((line) => line.trim())
+      .map((line) => JSON.parse(line));
+    if (header.version !== RECORDING_VERSION) {
+      throw new Error(`Unsupported recording version ${header.version}`);
+    }
+    this.header = header;
+    this.entries = entries;
+    this.position = 0;
+    this.time = 0;
+
+    // Make sure every simvar has a value from the start, by seeding
+    // the state with the first recorded value for each simvar.
+    this.state = {};
+    [...entries].reverse().forEach((entry) => {
+      if (entry.simvars) Object.assign(this.state, entry.simvars);
+    });
+
+    this.connected = true;
+    this.play();
+    opts.onConnect?.(this);
+  }
+
+  /**
+   * Stop playback, along with any schedules.
+   */
+  stop() {
+    clearTimeout(this.timer);
+    this.schedules.forEach((schedule) => schedule.stop());
+    this.schedules.clear();
+    this.connected = false;
+  }
+
+  play() {
+    const { entries } = this;
+    const entry = entries[this.position];
+    if (!entry) return this.onEnd();
+    const delay = (entry.t - this.time) / this.speed;
+    this.timer = setTimeout(() => {
+      this.time = entry.t;
+      while (entries[this.position]?.t <= this.time) {
+        this.apply(entries[this.position++]);
+      }
+      this.play();
+    }, delay);
+  }
+
+  apply(entry) {
+    if (entry.simvars) {
+      Object.assign(this.state, entry.simvars);
+      this.subscriptions.forEach((notify) => notify(entry.simvars));
+    }
+    if (entry.event) {
+      const listeners = this.eventListeners[entry.event];
+      listeners?.forEach((handler) => handler(entry.data));
+    }
+  }
+
+  /**
+   * Add an event listener, using the same event definitions as MSFS_API.
+   *
+   * @param {*} eventDefinition from SystemEvents or SimEvents, or a sim event name
+   * @param {*} eventHandler function that gets called when the event occurs in the recording
+   * @returns a corresponding arg-less `off()` function
+   */
+  on(eventDefinition, eventHandler) {
+    if (!this.connected) throw new NotConnectedError();
+    const eventName =
+      typeof eventDefinition === `string`
+        ? eventDefinition
+        : eventDefinition.name;
+    (this.eventListeners[eventName] ??= []).push(eventHandler);
+    return () => this.off(eventName, eventHandler);
+  }
+
+  /**
+   * Remove an event listener.
+   *
+   * @param {*} eventName
+   * @param {*} eventHandler
+   */
+  off(eventName, eventHandler) {
+    const listeners = this.eventListeners[eventName] ?? [];
+    const pos = listeners.findIndex((h) => h === eventHandler);
+    if (pos > -1) listeners.splice(pos, 1);
+  }
+
+  /**
+   * Get one or more recorded simvar values, at the current playback time.
+   *
+   * @param  {...any} propNames simvar names, or { name, units } objects, optionally followed by get() options
+   * @returns
+   */
+  async get(...propNames) {
+    if (!this.connected) throw new NotConnectedError();
+    const { requests } = parseGetArgs(propNames);
+    const result = {};
+    requests.forEach((request) => {
+      const key = toKey(request);
+      if (!(key in this.state)) {
+        throw new UnknownSimVarError(request.name);
+      }
+      result[key] = this.state[key];
+    });
+    return result;
+  }
+
+  /**
+   * Periodically call `handler` with the result of `get(...propNames)`,
+   * with `interval` being in recording time, not wall clock time. Just
+   * like for MSFS_API, errors get logged without stopping the schedule.
+   *
+   * @param {*} handler
+   * @param {*} interval
+   * @param  {...any} propNames
+   * @returns a corresponding arg-less `off()` function
+   */
+  schedule(handler, interval, ...propNames) {
+    if (!this.connected) throw new NotConnectedError();
+    const schedule = { running: true };
+    const run = async () => {
+      if (!schedule.running || !this.connected) return;
+      try {
+        handler(await this.get(...propNames));
+      } catch (e) {
+        console.warn(`Scheduled call failed:`, e);
+      }
+      if (schedule.running) {
+        schedule.timer = setTimeout(run, interval / this.speed);
+      }
+    };
+    schedule.stop = () => {
+      schedule.running = false;
+      clearTimeout(schedule.timer);
+    };
+    this.schedules.add(schedule);
+    run();
+    return () => {
+      schedule.stop();
+      this.schedules.delete(schedule);
+    };
+  }
+
+  /**
+   * Call `handler` whenever any of the indicated simvars change in the recording.
+   * This takes the same arguments as MSFS_API's subscribe function, but only
+   * the `changedOnly` option has any effect.
+   *
+   * @param {*} propNames
+   * @param {*} options
+   * @param {*} handler
+   * @returns a corresponding arg-less `unsubscribe()` function
+   */
+  subscribe(propNames, options = {}, handler) {
+    if (!this.connected) throw new NotConnectedError();
+    if (typeof options === `function`) {
+      handler = options;
+      options = {};
+    }
+    const keys = [propNames].flat().map((prop) => toKey(toRequest(prop)));
+    const notify = (changed) => {
+      if (!keys.some((key) => key in changed)) return;
+      const result = {};
+      keys.forEach((key) => {
+        if (!options.changedOnly || key in changed) {
+          result[key] = this.state[key];
+        }
+      });
+      handler(result);
+    };
+    this.subscriptions.add(notify);
+    return () => this.subscriptions.delete(notify);
+  }
+
+  set() {
+    throw new Error(`Cannot set SimVars during a replay.`);
+  }
+
+  trigger() {
+    throw new Error(`Cannot trigger events during a replay.`);
+  }
+}
@@ -0,0 +1,186 @@
+// See https://docs.flightsimulator.com/html/Programming_Tools/Event_IDs/Aircraft_Autopilot_Flight_Assist_Events.htm
+
+import { define, param } from "./simevent-utils.js";
+
+// parameter types
+import {
+  Degrees,
+  Feet,
+  Knots,
+  FeetPerMinute,
+  OnOff,
+  Index,
+} from "./simevent-utils.js";
+
+// The autopilot has several reference "slots", e.g. for the
+// selected and managed altitudes, and these events can target them.
+const AltitudeSlot = param(`altitude reference slot index`, 0);
+const VerticalSpeedSlot = param(`vertical speed reference slot index`, 0);
+
+const AUTOPILOT = {
+  AP_MASTER: define(`Toggle the autopilot`),
+  AUTOPILOT_OFF: define(`Turn the autopilot off`),
+  AUTOPILOT_ON: define(`Turn the autopilot on`),
+  AUTOPILOT_DISENGAGE_SET: define(`Disengage the autopilot`, OnOff),
+  AUTOPILOT_DISENGAGE_TOGGLE: define(`Toggle the autopilot disengage bar`),
+  AUTOPILOT_PANEL_OFF: define(`Turn the autopilot panel off`),
+  AUTOPILOT_PANEL_ON: define(`Turn the autopilot panel on`),
+  YAW_DAMPER_TOGGLE: define(`Toggle the yaw damper`),
+  YAW_DAMPER_ON: define(`Turn the yaw damper on`),
+  YAW_DAMPER_OFF: define(`Turn the yaw damper off`),
+  YAW_DAMPER_SET: define(`Set the yaw damper on or off`, OnOff),
+  AP_WING_LEVELER: define(`Toggle the wing leveler`),
+  AP_WING_LEVELER_ON: define(`Turn the wing leveler on`),
+  AP_WING_LEVELER_OFF: define(`Turn the wing leveler off`),
+  AP_PITCH_LEVELER: define(`Toggle the pitch leveler`),
+  AP_PITCH_LEVELER_ON: define(`Turn the pitch leveler on`),
+  AP_PITCH_LEVELER_OFF: define(`Turn the pitch leveler off`),
+  AP_FLIGHT_LEVEL_CHANGE: define(`Toggle flight level change mode`),
+  AP_FLIGHT_LEVEL_CHANGE_ON: define(`Turn flight level change mode on`),
+  AP_FLIGHT_LEVEL_CHANGE_OFF: define(`Turn flight level change mode off`),
+};
+
+const HEADING = {
+  AP_HDG_HOLD: define(`Toggle heading hold mode`),
+  AP_HDG_HOLD_ON: define(`Turn heading hold mode on`),
+  AP_HDG_HOLD_OFF: define(`Turn heading hold mode off`),
+  AP_PANEL_HEADING_HOLD: define(`Toggle heading hold mode (panel)`),
+  AP_PANEL_HEADING_ON: define(`Turn heading hold mode on (panel)`),
+  AP_PANEL_HEADING_OFF: define(`Turn heading hold mode off (panel)`),
+  AP_PANEL_HEADING_SET: define(`Set heading hold mode (panel)`, OnOff),
+  HEADING_BUG_INC: define(`Increment the heading bug`),
+  HEADING_BUG_DEC: define(`Decrement the heading bug`),
+  HEADING_BUG_SET: define(`Set the heading bug`, Degrees),
+  HEADING_BUG_SELECT: define(`Select the heading bug for use with +/-`),
+  AP_HEADING_BUG_SET: define(`Set the autopilot heading bug`, Degrees),
+  AP_HDG_HOLD_HEADING_SET: define(`Set the heading hold reference`, Degrees),
+  AP_BANK_HOLD: define(`Toggle bank hold mode`),
+  AP_BANK_HOLD_ON: define(`Turn bank hold mode on`),
+  AP_BANK_HOLD_OFF: define(`Turn bank hold mode off`),
+  AP_MAX_BANK_INC: define(`Increment the autopilot max bank angle`),
+  AP_MAX_BANK_DEC: define(`Decrement the autopilot max bank angle`),
+  AP_MAX_BANK_SET: define(
+    `Set the autopilot max bank angle, by index`,
+    param(`index into the aircraft's list of max bank angles`, 0)
+  ),
+};
+
+const ALTITUDE = {
+  AP_ALT_HOLD: define(`Toggle altitude hold mode`),
+  AP_ALT_HOLD_ON: define(`Turn altitude hold mode on`),
+  AP_ALT_HOLD_OFF: define(`Turn altitude hold mode off`),
+  AP_PANEL_ALTITUDE_HOLD: define(`Toggle altitude hold mode (panel)`),
+  AP_PANEL_ALTITUDE_ON: define(`Turn altitude hold mode on (panel)`),
+  AP_PANEL_ALTITUDE_OFF: define(`Turn altitude hold mode off (panel)`),
+  AP_PANEL_ALTITUDE_SET: define(`Set altitude hold mode (panel)`, OnOff),
+  AP_ALT_VAR_INC: define(`Increment the altitude reference`),
+  AP_ALT_VAR_DEC: define(`Decrement the altitude reference`),
+  AP_ALT_VAR_SET_ENGLISH: define(
+    `Set the altitude reference`,
+    Feet,
+    AltitudeSlot
+  ),
+  AP_ALT_VAR_SET_METRIC: define(
+    `Set the altitude reference`,
+    param(`meters`, -600, 30000),
+    AltitudeSlot
+  ),
+  AP_ALT_HOLD_SET: define(`Set the altitude reference`, Feet),
+  AP_VS_HOLD: define(`Toggle vertical speed hold mode`),
+  AP_VS_ON: define(`Turn vertical speed hold mode on`),
+  AP_VS_OFF: define(`Turn vertical speed hold mode off`),
+  AP_PANEL_VS_HOLD: define(`Toggle vertical speed hold mode (panel)`),
+  AP_PANEL_VS_ON: define(`Turn vertical speed hold mode on (panel)`),
+  AP_PANEL_VS_OFF: define(`Turn vertical speed hold mode off (panel)`),
+  AP_PANEL_VS_SET: define(`Set vertical speed hold mode (panel)`, OnOff),
+  AP_VS_VAR_INC: define(`Increment the vertical speed reference`),
+  AP_VS_VAR_DEC: define(`Decrement the vertical speed reference`),
+  AP_VS_VAR_SET_ENGLISH: define(
+    `Set the vertical speed reference`,
+    FeetPerMinute,
+    VerticalSpeedSlot
+  ),
+  AP_VS_VAR_SET_METRIC: define(
+    `Set the vertical speed reference`,
+    param(`meters per minute`, -6000, 6000),
+    VerticalSpeedSlot
+  ),
+  AP_VS_SET: define(`Set the vertical speed reference`, FeetPerMinute),
+  AP_PITCH_REF_INC_UP: define(`Increment the pitch reference`),
+  AP_PITCH_REF_INC_DN: define(`Decrement the pitch reference`),
+  AP_PITCH_REF_SELECT: define(`Select the pitch reference for use with +/-`),
+  AP_ATT_HOLD: define(`Toggle attitude hold mode`),
+  AP_ATT_HOLD_ON: define(`Turn attitude hold mode on`),
+  AP_ATT_HOLD_OFF: define(`Turn attitude hold mode off`),
+};
+
+const SPEED = {
+  AP_AIRSPEED_HOLD: define(`Toggle airspeed hold mode`),
+  AP_AIRSPEED_ON: define(`Turn airspeed hold mode on`),
+  AP_AIRSPEED_OFF: define(`Turn airspeed hold mode off`),
+  AP_AIRSPEED_SET: define(`Set airspeed hold mode`, OnOff),
+  AP_PANEL_SPEED_HOLD: define(`Toggle airspeed hold mode (panel)`),
+  AP_PANEL_SPEED_ON: define(`Turn airspeed hold mode on (panel)`),
+  AP_PANEL_SPEED_OFF: define(`Turn airspeed hold mode off (panel)`),
+  AP_PANEL_SPEED_SET: define(`Set airspeed hold mode (panel)`, OnOff),
+  AP_SPD_VAR_INC: define(`Increment the airspeed reference`),
+  AP_SPD_VAR_DEC: define(`Decrement the airspeed reference`),
+  AP_SPD_VAR_SET: define(`Set the airspeed reference`, Knots),
+  AP_MACH_HOLD: define(`Toggle mach hold mode`),
+  AP_MACH_ON: define(`Turn mach hold mode on`),
+  AP_MACH_OFF: define(`Turn mach hold mode off`),
+  AP_MACH_SET: define(`Set mach hold mode`, OnOff),
+  AP_PANEL_MACH_HOLD: define(`Toggle mach hold mode (panel)`),
+  AP_MACH_VAR_INC: define(`Increment the mach reference`),
+  AP_MACH_VAR_DEC: define(`Decrement the mach reference`),
+  AP_MACH_VAR_SET: define(
+    `Set the mach reference`,
+    param(`mach number times 100`, 0, 500)
+  ),
+  AUTO_THROTTLE_ARM: define(`Toggle the autothrottle arming switch`),
+  AUTO_THROTTLE_TO_GA: define(`Toggle takeoff/go-around mode`),
+  AP_N1_HOLD: define(`Toggle N1 hold mode`),
+  AP_N1_REF_INC: define(`Increment the N1 reference`),
+  AP_N1_REF_DEC: define(`Decrement the N1 reference`),
+  AP_N1_REF_SET: define(`Set the N1 reference`, param(`percent`, 0, 150)),
+};
+
+const NAVIGATION = {
+  AP_NAV1_HOLD: define(`Toggle nav hold mode`),
+  AP_NAV1_HOLD_ON: define(`Turn nav hold mode on`),
+  AP_NAV1_HOLD_OFF: define(`Turn nav hold mode off`),
+  AP_NAV_SELECT_SET: define(
+    `Set the nav radio that the autopilot follows`,
+    param(`1 for NAV1, 2 for NAV2`, 1, 2)
+  ),
+  AP_APR_HOLD: define(`Toggle approach hold mode`),
+  AP_APR_HOLD_ON: define(`Turn approach hold mode on`),
+  AP_APR_HOLD_OFF: define(`Turn approach hold mode off`),
+  AP_LOC_HOLD: define(`Toggle localizer hold mode`),
+  AP_LOC_HOLD_ON: define(`Turn localizer hold mode on`),
+  AP_LOC_HOLD_OFF: define(`Turn localizer hold mode off`),
+  AP_BC_HOLD: define(`Toggle backcourse mode`),
+  AP_BC_HOLD_ON: define(`Turn backcourse mode on`),
+  AP_BC_HOLD_OFF: define(`Turn backcourse mode off`),
+  AP_ALT_HOLD_GS: define(`Toggle glideslope hold mode`),
+  AP_AVIONICS_MANAGED_TOGGLE: define(`Toggle managed (FMS) mode`),
+  TOGGLE_GPS_DRIVES_NAV1: define(`Toggle GPS drives nav 1`),
+  FLIGHT_DIRECTOR_ON: define(`Turn the flight director on`),
+  TOGGLE_FLIGHT_DIRECTOR: define(
+    `Toggle a flight director`,
+    param(`flight director index`, 0)
+  ),
+  SYNC_FLIGHT_DIRECTOR_PITCH: define(`Sync the flight director to the pitch`),
+  AP_SPEED_SLOT_INDEX_SET: define(`Set the speed reference slot`, Index),
+  AP_ALTITUDE_SLOT_INDEX_SET: define(`Set the altitude reference slot`, Index),
+  AP_HEADING_SLOT_INDEX_SET: define(`Set the heading reference slot`, Index),
+  AP_VS_SLOT_INDEX_SET: define(`Set the vertical speed reference slot`, Index),
+};
+
+export const AircraftAutopilotEvents = {
+  ...AUTOPILOT,
+  ...HEADING,
+  ...ALTITUDE,
+  ...SPEED,
+  ...NAVIGATION,
+};
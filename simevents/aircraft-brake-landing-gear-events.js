@@ -0,0 +1,47 @@
+// See https://docs.flightsimulator.com/html/Programming_Tools/Event_IDs/Aircraft_Brake_Landing_Gear_Events.htm
+
+import { define } from "./simevent-utils.js";
+
+// parameter types
+import { Axis, Position, OnOff } from "./simevent-utils.js";
+
+const BRAKES = {
+  BRAKES: define(`Increment brake pressure`),
+  BRAKES_LEFT: define(`Increment left brake pressure`),
+  BRAKES_RIGHT: define(`Increment right brake pressure`),
+  AXIS_LEFT_BRAKE_SET: define(`Set left brake position`, Axis),
+  AXIS_RIGHT_BRAKE_SET: define(`Set right brake position`, Axis),
+  PARKING_BRAKES: define(`Toggle parking brake on or off`),
+  PARKING_BRAKE_SET: define(`Set the parking brake`, OnOff),
+  ANTISKID_BRAKES_TOGGLE: define(`Toggle anti-skid braking`),
+  SET_AUTOBRAKE_CONTROL: define(`Set the autobrake switch position`, Position),
+  INCREASE_AUTOBRAKE_CONTROL: define(`Increment the autobrake switch`),
+  DECREASE_AUTOBRAKE_CONTROL: define(`Decrement the autobrake switch`),
+  TOGGLE_LEFT_BRAKE_FAILURE: define(`Toggle left brake failure`),
+  TOGGLE_RIGHT_BRAKE_FAILURE: define(`Toggle right brake failure`),
+  TOGGLE_TOTAL_BRAKE_FAILURE: define(`Toggle brake failure (both)`),
+};
+
+const LANDING_GEAR = {
+  GEAR_TOGGLE: define(`Toggle gear handle`),
+  GEAR_UP: define(`Move gear handle up`),
+  GEAR_DOWN: define(`Move gear handle down`),
+  GEAR_SET: define(`Set gear handle position up (0) or down (1)`, OnOff),
+  GEAR_PUMP: define(`Apply gear pump pressure`),
+  GEAR_EMERGENCY_HANDLE_TOGGLE: define(`Toggle the emergency gear handle`),
+  TOGGLE_GEAR_HANDLE_FAILURE: define(`Toggle gear handle failure`),
+  TOGGLE_LEFT_GEAR_FAILURE: define(`Toggle left gear failure`),
+  TOGGLE_RIGHT_GEAR_FAILURE: define(`Toggle right gear failure`),
+  TOGGLE_CENTER_GEAR_FAILURE: define(`Toggle center gear failure`),
+  TOGGLE_TAILWHEEL_LOCK: define(`Toggle tail wheel lock`),
+  TOGGLE_WATER_RUDDER: define(`Toggle water rudders`),
+  STEERING_SET: define(`Set the nose wheel steering position`, Axis),
+  TOGGLE_ALTERNATE_STATIC: define(`Toggle the alternate static source`),
+  TOW_PLANE_RELEASE: define(`Release the tow rope`),
+  TOW_PLANE_REQUEST: define(`Request a tow plane`),
+};
+
+export const AircraftBrakeLandingGearEvents = {
+  ...BRAKES,
+  ...LANDING_GEAR,
+};
@@ -0,0 +1,107 @@
+// See https://docs.flightsimulator.com/html/Programming_Tools/Event_IDs/Aircraft_Electrical_Events.htm
+
+import { define, param } from "./simevent-utils.js";
+
+// parameter types
+import { Index, OnOff } from "./simevent-utils.js";
+
+const POWER = {
+  TOGGLE_MASTER_BATTERY: define(`Toggle the master battery switch`, Index),
+  MASTER_BATTERY_ON: define(`Turn the master battery switch on`, Index),
+  MASTER_BATTERY_OFF: define(`Turn the master battery switch off`, Index),
+  MASTER_BATTERY_SET: define(`Set the master battery switch`, OnOff),
+  TOGGLE_MASTER_ALTERNATOR: define(`Toggle the master alternator switch`),
+  TOGGLE_ALTERNATOR1: define(`Toggle alternator 1`),
+  TOGGLE_ALTERNATOR2: define(`Toggle alternator 2`),
+  TOGGLE_ALTERNATOR3: define(`Toggle alternator 3`),
+  TOGGLE_ALTERNATOR4: define(`Toggle alternator 4`),
+  ALTERNATOR_ON: define(`Turn an alternator on`, Index),
+  ALTERNATOR_OFF: define(`Turn an alternator off`, Index),
+  ALTERNATOR_SET: define(`Set the alternator switches`, OnOff),
+  TOGGLE_MASTER_BATTERY_ALTERNATOR: define(
+    `Toggle the master battery and alternator switches`
+  ),
+  TOGGLE_ELECTRICAL_FAILURE: define(`Toggle electrical failure`),
+  TOGGLE_EXTERNAL_POWER: define(`Toggle external power`, Index),
+  SET_EXTERNAL_POWER: define(`Set external power`, OnOff),
+  APU_STARTER: define(`Start the APU`),
+  APU_OFF_SWITCH: define(`Turn the APU off`),
+  APU_GENERATOR_SWITCH_TOGGLE: define(`Toggle the APU generator switch`),
+  APU_GENERATOR_SWITCH_SET: define(`Set the APU generator switch`, OnOff),
+  APU_BLEED_AIR_SOURCE_TOGGLE: define(`Toggle the APU bleed air source`),
+  APU_BLEED_AIR_SOURCE_SET: define(`Set the APU bleed air source`, OnOff),
+  ELECTRICAL_CIRCUIT_TOGGLE: define(
+    `Toggle an electrical circuit`,
+    param(`circuit index`, 0)
+  ),
+  ELECTRICAL_BUS_TO_BUS_CONNECTION_TOGGLE: define(
+    `Toggle a bus to bus connection`,
+    param(`bus index`, 0)
+  ),
+  AVIONICS_MASTER_SET: define(`Set the avionics master switch`, OnOff),
+  AVIONICS_MASTER_1_ON: define(`Turn avionics master switch 1 on`),
+  AVIONICS_MASTER_1_OFF: define(`Turn avionics master switch 1 off`),
+  AVIONICS_MASTER_2_ON: define(`Turn avionics master switch 2 on`),
+  AVIONICS_MASTER_2_OFF: define(`Turn avionics master switch 2 off`),
+  TOGGLE_AVIONICS_MASTER: define(`Toggle the avionics master switch`),
+};
+
+const LIGHTS = {
+  ALL_LIGHTS_TOGGLE: define(`Toggle all lights`),
+  STROBES_TOGGLE: define(`Toggle strobe lights`),
+  STROBES_ON: define(`Turn strobe lights on`),
+  STROBES_OFF: define(`Turn strobe lights off`),
+  STROBES_SET: define(`Set strobe lights`, OnOff),
+  PANEL_LIGHTS_TOGGLE: define(`Toggle panel lights`),
+  PANEL_LIGHTS_ON: define(`Turn panel lights on`),
+  PANEL_LIGHTS_OFF: define(`Turn panel lights off`),
+  PANEL_LIGHTS_SET: define(`Set panel lights`, OnOff),
+  LANDING_LIGHTS_TOGGLE: define(`Toggle landing lights`),
+  LANDING_LIGHTS_ON: define(`Turn landing lights on`),
+  LANDING_LIGHTS_OFF: define(`Turn landing lights off`),
+  LANDING_LIGHTS_SET: define(`Set landing lights`, OnOff),
+  LANDING_LIGHT_UP: define(`Rotate landing light up`),
+  LANDING_LIGHT_DOWN: define(`Rotate landing light down`),
+  LANDING_LIGHT_LEFT: define(`Rotate landing light left`),
+  LANDING_LIGHT_RIGHT: define(`Rotate landing light right`),
+  LANDING_LIGHT_HOME: define(`Return landing light to default position`),
+  TOGGLE_BEACON_LIGHTS: define(`Toggle beacon lights`),
+  BEACON_LIGHTS_ON: define(`Turn beacon lights on`),
+  BEACON_LIGHTS_OFF: define(`Turn beacon lights off`),
+  BEACON_LIGHTS_SET: define(`Set beacon lights`, OnOff),
+  TOGGLE_TAXI_LIGHTS: define(`Toggle taxi lights`),
+  TAXI_LIGHTS_ON: define(`Turn taxi lights on`),
+  TAXI_LIGHTS_OFF: define(`Turn taxi lights off`),
+  TAXI_LIGHTS_SET: define(`Set taxi lights`, OnOff),
+  TOGGLE_LOGO_LIGHTS: define(`Toggle logo lights`),
+  LOGO_LIGHTS_SET: define(`Set logo lights`, OnOff),
+  TOGGLE_WING_LIGHTS: define(`Toggle wing lights`),
+  WING_LIGHTS_ON: define(`Turn wing lights on`),
+  WING_LIGHTS_OFF: define(`Turn wing lights off`),
+  WING_LIGHTS_SET: define(`Set wing lights`, OnOff),
+  TOGGLE_NAV_LIGHTS: define(`Toggle navigation lights`),
+  NAV_LIGHTS_ON: define(`Turn navigation lights on`),
+  NAV_LIGHTS_OFF: define(`Turn navigation lights off`),
+  NAV_LIGHTS_SET: define(`Set navigation lights`, OnOff),
+  TOGGLE_RECOGNITION_LIGHTS: define(`Toggle recognition lights`),
+  RECOGNITION_LIGHTS_SET: define(`Set recognition lights`, OnOff),
+  TOGGLE_CABIN_LIGHTS: define(`Toggle cabin lights`),
+  CABIN_LIGHTS_ON: define(`Turn cabin lights on`),
+  CABIN_LIGHTS_OFF: define(`Turn cabin lights off`),
+  CABIN_LIGHTS_SET: define(`Set cabin lights`, OnOff),
+  TOGGLE_GLARESHIELD_LIGHTS: define(`Toggle glareshield lights`),
+  GLARESHIELD_LIGHTS_ON: define(`Turn glareshield lights on`),
+  GLARESHIELD_LIGHTS_OFF: define(`Turn glareshield lights off`),
+  GLARESHIELD_LIGHTS_SET: define(`Set glareshield lights`, OnOff),
+  TOGGLE_PEDESTRAL_LIGHTS: define(`Toggle pedestal lights`),
+  PEDESTRAL_LIGHTS_SET: define(`Set pedestal lights`, OnOff),
+  LIGHT_POTENTIOMETER_SET: define(
+    `Set a light potentiometer`,
+    param(`potentiometer index`, 0)
+  ),
+};
+
+export const AircraftElectricalEvents = {
+  ...POWER,
+  ...LIGHTS,
+};
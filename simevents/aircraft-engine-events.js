@@ -0,0 +1,163 @@
+// See https://docs.flightsimulator.com/html/Programming_Tools/Event_IDs/Aircraft_Engine_Events.htm
+
+import { define, param } from "./simevent-utils.js";
+
+// parameter types
+import { Axis, Position, OnOff } from "./simevent-utils.js";
+
+const THROTTLE = {
+  THROTTLE_FULL: define(`Set throttles max`),
+  THROTTLE_INCR: define(`Increment throttles`),
+  THROTTLE_INCR_SMALL: define(`Increment throttles small`),
+  THROTTLE_DECR: define(`Decrement throttles`),
+  THROTTLE_DECR_SMALL: define(`Decrease throttles small`),
+  THROTTLE_CUT: define(`Set throttles to idle`),
+  THROTTLE_10: define(`Set throttles to 10%`),
+  THROTTLE_20: define(`Set throttles to 20%`),
+  THROTTLE_30: define(`Set throttles to 30%`),
+  THROTTLE_40: define(`Set throttles to 40%`),
+  THROTTLE_50: define(`Set throttles to 50%`),
+  THROTTLE_60: define(`Set throttles to 60%`),
+  THROTTLE_70: define(`Set throttles to 70%`),
+  THROTTLE_80: define(`Set throttles to 80%`),
+  THROTTLE_90: define(`Set throttles to 90%`),
+  THROTTLE_SET: define(`Set throttles exactly`, Position),
+  AXIS_THROTTLE_SET: define(`Set throttles, with -16383 being idle`, Axis),
+  INCREASE_THROTTLE: define(`Increment throttles`),
+  DECREASE_THROTTLE: define(`Decrement throttles`),
+  THROTTLE_REVERSE_THRUST_TOGGLE: define(`Toggle reverse thrust`),
+  THROTTLE_REVERSE_THRUST_HOLD: define(`Hold reverse thrust`, OnOff),
+};
+
+const MIXTURE = {
+  MIXTURE_RICH: define(`Set mixture levers to max rich`),
+  MIXTURE_INCR: define(`Increment mixture levers`),
+  MIXTURE_INCR_SMALL: define(`Increment mixture levers small`),
+  MIXTURE_DECR: define(`Decrement mixture levers`),
+  MIXTURE_DECR_SMALL: define(`Decrement mixture levers small`),
+  MIXTURE_LEAN: define(`Set mixture levers to max lean`),
+  MIXTURE_SET: define(`Set mixture levers exactly`, Position),
+  MIXTURE_SET_BEST: define(`Set mixture levers to current best power setting`),
+  AXIS_MIXTURE_SET: define(`Set mixture levers, with -16383 being lean`, Axis),
+};
+
+const PROPELLER = {
+  PROP_PITCH_HI: define(`Set prop pitch max`),
+  PROP_PITCH_INCR: define(`Increment prop pitch`),
+  PROP_PITCH_INCR_SMALL: define(`Increment prop pitch small`),
+  PROP_PITCH_DECR: define(`Decrement prop pitch`),
+  PROP_PITCH_DECR_SMALL: define(`Decrement prop pitch small`),
+  PROP_PITCH_LO: define(`Set prop pitch min`),
+  PROP_PITCH_SET: define(`Set prop pitch exactly`, Position),
+  AXIS_PROPELLER_SET: define(
+    `Set propeller levers, with -16383 being min`,
+    Axis
+  ),
+  TOGGLE_FEATHER_SWITCHES: define(`Toggle propeller feather switches`),
+  TOGGLE_AUTOFEATHER_ARM: define(`Turn auto-feather arming switch on or off`),
+};
+
+const STARTING = {
+  ENGINE_AUTO_START: define(`Triggers auto-start`),
+  ENGINE_AUTO_SHUTDOWN: define(`Triggers auto-shutdown`),
+  ENGINE: define(
+    `Set engine for subsequent engine commands`,
+    param(`engine index, or 0 for all engines`, 0, 4)
+  ),
+  ALL_ENGINES: define(`Set all engines for subsequent engine commands`),
+  SELECT_1: define(`Select engine 1 for subsequent commands`),
+  SELECT_2: define(`Select engine 2 for subsequent commands`),
+  SELECT_3: define(`Select engine 3 for subsequent commands`),
+  SELECT_4: define(`Select engine 4 for subsequent commands`),
+  MAGNETO: define(`Set magnetos for the selected engine(s)`),
+  MAGNETO_OFF: define(`Set all magnetos off`),
+  MAGNETO_RIGHT: define(`Set all magnetos right`),
+  MAGNETO_LEFT: define(`Set all magnetos left`),
+  MAGNETO_BOTH: define(`Set all magnetos on`),
+  MAGNETO_START: define(`Set all magnetos to start`),
+  MAGNETO_INCR: define(`Increase magneto switch positions`),
+  MAGNETO_DECR: define(`Decrease magneto switch positions`),
+  MAGNETO_SET: define(
+    `Set magneto switch positions`,
+    param(`0 for off, 1 for right, 2 for left, 3 for both, 4 for start`, 0, 4)
+  ),
+  TOGGLE_STARTER: define(`Toggle starter on the selected engine(s)`),
+  TOGGLE_ALL_STARTERS: define(`Toggle starters`),
+  SET_STARTER_HELD: define(`Hold or release the starter`, OnOff),
+  ENGINE_PRIMER: define(`Trigger the engine primer`),
+  TOGGLE_PRIMER: define(`Toggle the primer`),
+  ANTI_ICE_ON: define(`Turn engine anti-ice switches on`),
+  ANTI_ICE_OFF: define(`Turn engine anti-ice switches off`),
+  ANTI_ICE_SET: define(`Set engine anti-ice switches`, OnOff),
+  ANTI_ICE_TOGGLE: define(`Toggle engine anti-ice switches`),
+  TOGGLE_FUELTANK_FAILURE: define(`Toggle fuel tank failure`),
+  CARB_HEAT_TOGGLE: define(`Toggle carburetor heat`),
+  CARB_HEAT_SET: define(`Set carburetor heat`, OnOff),
+  INC_COWL_FLAPS: define(`Increment cowl flap levers`),
+  DEC_COWL_FLAPS: define(`Decrement cowl flap levers`),
+};
+
+// Most engine events also exist for each of the (up to four) engines.
+const PER_ENGINE = {};
+[1, 2, 3, 4].forEach((n) =>
+  Object.assign(PER_ENGINE, {
+    [`THROTTLE${n}_FULL`]: define(`Set throttle ${n} max`),
+    [`THROTTLE${n}_INCR`]: define(`Increment throttle ${n}`),
+    [`THROTTLE${n}_INCR_SMALL`]: define(`Increment throttle ${n} small`),
+    [`THROTTLE${n}_DECR`]: define(`Decrement throttle ${n}`),
+    [`THROTTLE${n}_CUT`]: define(`Set throttle ${n} to idle`),
+    [`THROTTLE${n}_SET`]: define(`Set throttle ${n} exactly`, Position),
+    [`AXIS_THROTTLE${n}_SET`]: define(
+      `Set throttle ${n}, with -16383 being idle`,
+      Axis
+    ),
+    [`MIXTURE${n}_RICH`]: define(`Set mixture lever ${n} to max rich`),
+    [`MIXTURE${n}_INCR`]: define(`Increment mixture lever ${n}`),
+    [`MIXTURE${n}_INCR_SMALL`]: define(`Increment mixture lever ${n} small`),
+    [`MIXTURE${n}_DECR`]: define(`Decrement mixture lever ${n}`),
+    [`MIXTURE${n}_DECR_SMALL`]: define(`Decrement mixture lever ${n} small`),
+    [`MIXTURE${n}_LEAN`]: define(`Set mixture lever ${n} to max lean`),
+    [`MIXTURE${n}_SET`]: define(`Set mixture lever ${n} exactly`, Position),
+    [`AXIS_MIXTURE${n}_SET`]: define(
+      `Set mixture lever ${n}, with -16383 being lean`,
+      Axis
+    ),
+    [`PROP_PITCH${n}_HI`]: define(`Set prop pitch ${n} max`),
+    [`PROP_PITCH${n}_INCR`]: define(`Increment prop pitch ${n}`),
+    [`PROP_PITCH${n}_INCR_SMALL`]: define(`Increment prop pitch ${n} small`),
+    [`PROP_PITCH${n}_DECR`]: define(`Decrement prop pitch ${n}`),
+    [`PROP_PITCH${n}_DECR_SMALL`]: define(`Decrement prop pitch ${n} small`),
+    [`PROP_PITCH${n}_LO`]: define(`Set prop pitch ${n} min`),
+    [`PROP_PITCH${n}_SET`]: define(`Set prop pitch ${n} exactly`, Position),
+    [`AXIS_PROPELLER${n}_SET`]: define(
+      `Set propeller ${n}, with -16383 being min`,
+      Axis
+    ),
+    [`TOGGLE_STARTER${n}`]: define(`Toggle starter on engine ${n}`),
+    [`TOGGLE_PRIMER${n}`]: define(`Toggle engine ${n} primer`),
+    [`ANTI_ICE_TOGGLE_ENG${n}`]: define(`Toggle engine ${n} anti-ice switch`),
+    [`ANTI_ICE_SET_ENG${n}`]: define(`Set engine ${n} anti-ice switch`, OnOff),
+    [`MAGNETO${n}_OFF`]: define(`Set engine ${n} magnetos off`),
+    [`MAGNETO${n}_RIGHT`]: define(`Toggle engine ${n} right magneto`),
+    [`MAGNETO${n}_LEFT`]: define(`Toggle engine ${n} left magneto`),
+    [`MAGNETO${n}_BOTH`]: define(`Set engine ${n} magnetos on`),
+    [`MAGNETO${n}_START`]: define(`Set engine ${n} magnetos to start`),
+    [`MAGNETO${n}_INCR`]: define(`Increase engine ${n} magneto switch`),
+    [`MAGNETO${n}_DECR`]: define(`Decrease engine ${n} magneto switch`),
+    [`TOGGLE_ENGINE${n}_FAILURE`]: define(`Toggle engine ${n} failure`),
+    [`TOGGLE_FUEL_VALVE_ENG${n}`]: define(`Toggle engine ${n} fuel valve`),
+    [`COWLFLAP${n}_SET`]: define(`Set cowl flap ${n} exactly`, Position),
+    [`TURBINE_IGNITION_SWITCH_SET${n}`]: define(
+      `Set turbine ${n} ignition switch`,
+      param(`0 for off, 1 for auto, 2 for on`, 0, 2)
+    ),
+  })
+);
+
+export const AircraftEngineEvents = {
+  ...THROTTLE,
+  ...MIXTURE,
+  ...PROPELLER,
+  ...STARTING,
+  ...PER_ENGINE,
+};
@@ -0,0 +1,86 @@
+// See https://docs.flightsimulator.com/html/Programming_Tools/Event_IDs/Aircraft_Flight_Control_Events.htm
+
+import { define, param } from "./simevent-utils.js";
+
+// parameter types
+import { Axis, Position, OnOff } from "./simevent-utils.js";
+
+const PRIMARY_CONTROLS = {
+  AXIS_ELEVATOR_SET: define(`Set elevator position`, Axis),
+  ELEVATOR_SET: define(`Set elevator position`, Axis),
+  ELEV_UP: define(`Increment elevator up`),
+  ELEV_DOWN: define(`Increment elevator down`),
+  CENTER_AILER_RUDDER: define(`Center aileron and rudder positions`),
+  AXIS_AILERONS_SET: define(`Set aileron position`, Axis),
+  AILERON_SET: define(`Set aileron position`, Axis),
+  AILERONS_LEFT: define(`Increment ailerons left`),
+  AILERONS_RIGHT: define(`Increment ailerons right`),
+  AXIS_RUDDER_SET: define(`Set rudder position`, Axis),
+  RUDDER_SET: define(`Set rudder position`, Axis),
+  RUDDER_LEFT: define(`Increment rudder left`),
+  RUDDER_RIGHT: define(`Increment rudder right`),
+  RUDDER_CENTER: define(`Center rudder position`),
+  RUDDER_AXIS_PLUS: define(`Increment rudder position`),
+  RUDDER_AXIS_MINUS: define(`Decrement rudder position`),
+  AXIS_SPOILER_SET: define(`Set spoiler position`, Axis),
+  SPOILERS_TOGGLE: define(`Toggle spoilers`),
+  SPOILERS_ON: define(`Fully extend spoilers`),
+  SPOILERS_OFF: define(`Fully retract spoilers`),
+  SPOILERS_SET: define(`Set spoiler position`, Position),
+  SPOILERS_ARM_TOGGLE: define(`Toggle arm state of spoilers`),
+  SPOILERS_ARM_ON: define(`Arm spoilers`),
+  SPOILERS_ARM_OFF: define(`Disarm spoilers`),
+  SPOILERS_ARM_SET: define(`Set the arm state of spoilers`, OnOff),
+};
+
+const FLAPS = {
+  FLAPS_UP: define(`Fully retract flaps`),
+  FLAPS_1: define(`Set flap handle to the first extension position`),
+  FLAPS_2: define(`Set flap handle to the second extension position`),
+  FLAPS_3: define(`Set flap handle to the third extension position`),
+  FLAPS_DOWN: define(`Fully extend flaps`),
+  FLAPS_INCR: define(`Increment flap handle position`),
+  FLAPS_DECR: define(`Decrement flap handle position`),
+  FLAPS_SET: define(`Set flap handle to closest increment`, Position),
+  AXIS_FLAPS_SET: define(`Set flap handle to closest increment`, Axis),
+  FLAPS_CONTINUOUS_SET: define(`Set flaps to a specific position`, Position),
+  FLAPS_CONTINUOUS_INCR: define(`Increment flaps`),
+  FLAPS_CONTINUOUS_DECR: define(`Decrement flaps`),
+  TOGGLE_FLAPS_FAILURE: define(`Toggle flaps failure`),
+};
+
+const TRIM = {
+  ELEV_TRIM_DN: define(`Increment elevator trim down`),
+  ELEV_TRIM_UP: define(`Increment elevator trim up`),
+  ELEVATOR_TRIM_SET: define(`Set elevator trim position`, Axis),
+  AXIS_ELEV_TRIM_SET: define(`Set elevator trim position`, Axis),
+  AILERON_TRIM_LEFT: define(`Increment aileron trim left`),
+  AILERON_TRIM_RIGHT: define(`Increment aileron trim right`),
+  AILERON_TRIM_SET: define(
+    `Set aileron trim position, in percent`,
+    param(`percent, from -100 to 100`, -100, 100)
+  ),
+  RUDDER_TRIM_LEFT: define(`Increment rudder trim left`),
+  RUDDER_TRIM_RIGHT: define(`Increment rudder trim right`),
+  RUDDER_TRIM_RESET: define(`Reset rudder trim`),
+  RUDDER_TRIM_SET: define(
+    `Set rudder trim position, in percent`,
+    param(`percent, from -100 to 100`, -100, 100)
+  ),
+  AXIS_RUDDER_TRIM_SET: define(`Set rudder trim position`, Axis),
+};
+
+const FAILURES = {
+  TOGGLE_AILERON_FAILURE: define(`Toggle aileron failure`),
+  TOGGLE_ELEVATOR_FAILURE: define(`Toggle elevator failure`),
+  TOGGLE_RUDDER_FAILURE: define(`Toggle rudder failure`),
+  TOGGLE_LEFT_AILERON_FAILURE: define(`Toggle left aileron failure`),
+  TOGGLE_RIGHT_AILERON_FAILURE: define(`Toggle right aileron failure`),
+};
+
+export const AircraftFlightControlEvents = {
+  ...PRIMARY_CONTROLS,
+  ...FLAPS,
+  ...TRIM,
+  ...FAILURES,
+};
@@ -0,0 +1,67 @@
+// See https://docs.flightsimulator.com/html/Programming_Tools/Event_IDs/Aircraft_Fuel_System_Events.htm
+
+import { define, param } from "./simevent-utils.js";
+
+// parameter types
+import { Index, OnOff } from "./simevent-utils.js";
+
+const SELECTORS = {
+  FUEL_SELECTOR_OFF: define(`Turn fuel selector 1 off`),
+  FUEL_SELECTOR_ALL: define(`Set fuel selector 1 to all`),
+  FUEL_SELECTOR_LEFT: define(`Set fuel selector 1 to left (auxiliary first)`),
+  FUEL_SELECTOR_RIGHT: define(`Set fuel selector 1 to right (auxiliary first)`),
+  FUEL_SELECTOR_LEFT_MAIN: define(`Set fuel selector 1 to left main`),
+  FUEL_SELECTOR_RIGHT_MAIN: define(`Set fuel selector 1 to right main`),
+  FUEL_SELECTOR_CENTER: define(`Set fuel selector 1 to center`),
+  FUEL_SELECTOR_SET: define(
+    `Set fuel selector 1`,
+    param(`a FUEL TANK SELECTOR enum value`, 0, 22)
+  ),
+  FUEL_SELECTOR_2_OFF: define(`Turn fuel selector 2 off`),
+  FUEL_SELECTOR_2_ALL: define(`Set fuel selector 2 to all`),
+  FUEL_SELECTOR_2_LEFT: define(`Set fuel selector 2 to left`),
+  FUEL_SELECTOR_2_RIGHT: define(`Set fuel selector 2 to right`),
+  FUEL_SELECTOR_2_SET: define(
+    `Set fuel selector 2`,
+    param(`a FUEL TANK SELECTOR enum value`, 0, 22)
+  ),
+  CROSS_FEED_TOGGLE: define(`Toggle the crossfeed valve`),
+  CROSS_FEED_OPEN: define(`Open the crossfeed valve`),
+  CROSS_FEED_OFF: define(`Close the crossfeed valve`),
+  CROSS_FEED_LEFT_TO_RIGHT: define(`Crossfeed from left to right`),
+  CROSS_FEED_RIGHT_TO_LEFT: define(`Crossfeed from right to left`),
+};
+
+const PUMPS_AND_VALVES = {
+  FUEL_PUMP: define(`Toggle the electric fuel pump`),
+  TOGGLE_ELECT_FUEL_PUMP: define(`Toggle the electric fuel pump`),
+  TOGGLE_ELECT_FUEL_PUMP1: define(`Toggle electric fuel pump 1`),
+  TOGGLE_ELECT_FUEL_PUMP2: define(`Toggle electric fuel pump 2`),
+  TOGGLE_ELECT_FUEL_PUMP3: define(`Toggle electric fuel pump 3`),
+  TOGGLE_ELECT_FUEL_PUMP4: define(`Toggle electric fuel pump 4`),
+  ELECT_FUEL_PUMP1_SET: define(`Set electric fuel pump 1`, OnOff),
+  ELECT_FUEL_PUMP2_SET: define(`Set electric fuel pump 2`, OnOff),
+  FUELSYSTEM_PUMP_TOGGLE: define(`Toggle a fuel system pump`, Index),
+  FUELSYSTEM_PUMP_ON: define(`Turn a fuel system pump on`, Index),
+  FUELSYSTEM_PUMP_OFF: define(`Turn a fuel system pump off`, Index),
+  FUELSYSTEM_PUMP_SET: define(`Set a fuel system pump`, Index),
+  FUELSYSTEM_VALVE_TOGGLE: define(`Toggle a fuel system valve`, Index),
+  FUELSYSTEM_VALVE_OPEN: define(`Open a fuel system valve`, Index),
+  FUELSYSTEM_VALVE_CLOSE: define(`Close a fuel system valve`, Index),
+  FUELSYSTEM_TRIGGER_TOGGLE: define(`Toggle a fuel system trigger`, Index),
+  FUELSYSTEM_TRIGGER_ON: define(`Turn a fuel system trigger on`, Index),
+  FUELSYSTEM_TRIGGER_OFF: define(`Turn a fuel system trigger off`, Index),
+  TOGGLE_FUEL_DUMP: define(`Toggle fuel dumping`),
+  SET_FUEL_DUMP: define(`Set fuel dumping`, OnOff),
+  ADD_FUEL_QUANTITY: define(
+    `Add fuel to the aircraft`,
+    param(`fuel to add, as a fraction of capacity times 65535`, 0, 65535)
+  ),
+  REPAIR_AND_REFUEL: define(`Fully repair and refuel the aircraft`),
+  REQUEST_FUEL_KEY: define(`Request a fuel truck`),
+};
+
+export const AircraftFuelEvents = {
+  ...SELECTORS,
+  ...PUMPS_AND_VALVES,
+};
@@ -0,0 +1,85 @@
+// See https://docs.flightsimulator.com/html/Programming_Tools/Event_IDs/Aircraft_Misc_Events.htm
+
+import { define, param } from "./simevent-utils.js";
+
+// parameter types
+import { Index, OnOff } from "./simevent-utils.js";
+
+const ANTI_ICE = {
+  PITOT_HEAT_TOGGLE: define(`Toggle pitot heat switch`),
+  PITOT_HEAT_ON: define(`Turn pitot heat switch on`),
+  PITOT_HEAT_OFF: define(`Turn pitot heat switch off`),
+  PITOT_HEAT_SET: define(`Set pitot heat switch`, OnOff),
+  TOGGLE_STRUCTURAL_DEICE: define(`Toggle structural deice switch`),
+  TOGGLE_PROPELLER_DEICE: define(`Toggle propeller deice switch`),
+  WINDSHIELD_DEICE_TOGGLE: define(`Toggle windshield deice`),
+  WINDSHIELD_DEICE_ON: define(`Turn windshield deice on`),
+  WINDSHIELD_DEICE_OFF: define(`Turn windshield deice off`),
+  WINDSHIELD_DEICE_SET: define(`Set windshield deice`, OnOff),
+  TOGGLE_PITOT_BLOCKAGE: define(`Toggle blocked pitot tube`),
+  TOGGLE_STATIC_PORT_BLOCKAGE: define(`Toggle blocked static port`),
+};
+
+const DOORS_AND_CABIN = {
+  TOGGLE_AIRCRAFT_EXIT: define(`Toggle the primary door open or closed`),
+  TOGGLE_AIRCRAFT_EXIT_FAST: define(`Toggle the primary door, instantly`),
+  SELECT_1_EXIT: define(`Select exit 1 for TOGGLE_AIRCRAFT_EXIT`),
+  CABIN_NO_SMOKING_ALERT_SWITCH_TOGGLE: define(`Toggle the no smoking sign`),
+  CABIN_SEATBELTS_ALERT_SWITCH_TOGGLE: define(`Toggle the seatbelts sign`),
+  TOGGLE_TAIL_HOOK_HANDLE: define(`Toggle the tail hook`),
+  SET_TAIL_HOOK_HANDLE: define(
+    `Set the tail hook`,
+    param(`0 for up, 1 for down`, 0, 1)
+  ),
+  TOGGLE_WING_FOLD: define(`Toggle the wing folding`),
+  SET_WING_FOLD: define(
+    `Set the wing folding`,
+    param(`0 for unfolded, 1 for folded`, 0, 1)
+  ),
+  TOGGLE_WATER_BALLAST_VALVE: define(`Toggle the water ballast valve`),
+  TOGGLE_PUSHBACK: define(`Toggle pushback`),
+  KEY_TUG_HEADING: define(
+    `Set the pushback heading`,
+    param(`heading in degrees times 11930465`, 0)
+  ),
+  KEY_TUG_SPEED: define(`Set the pushback speed`, param(`feet per second`)),
+  SMOKE_TOGGLE: define(`Toggle smoke system`),
+  SMOKE_ON: define(`Turn smoke system on`),
+  SMOKE_OFF: define(`Turn smoke system off`),
+  SMOKE_SET: define(`Set smoke system`, OnOff),
+  TOGGLE_JETWAY: define(`Toggle the jetway`),
+  REQUEST_CATERING: define(`Request a catering truck`),
+  REQUEST_LUGGAGE: define(`Request a luggage truck`),
+  REQUEST_POWER_SUPPLY: define(`Request a ground power unit`),
+};
+
+const INSTRUMENTS = {
+  GYRO_DRIFT_INC: define(`Increment the heading indicator`),
+  GYRO_DRIFT_DEC: define(`Decrement the heading indicator`),
+  GYRO_DRIFT_SET: define(`Set the heading indicator drift`, param(`degrees`)),
+  HEADING_GYRO_SET: define(`Set the heading indicator to 0 drift error`),
+  ATTITUDE_BARS_POSITION_UP: define(`Increment the attitude indicator`),
+  ATTITUDE_BARS_POSITION_DOWN: define(`Decrement the attitude indicator`),
+  ATTITUDE_CAGE_BUTTON: define(`Cage the attitude indicator at level flight`),
+  EGT_INC: define(`Increment the EGT bug`),
+  EGT_DEC: define(`Decrement the EGT bug`),
+  EGT_SET: define(`Set the EGT bug`, param(`percent`, 0, 100)),
+  TRUE_AIRSPEED_CAL_INC: define(`Increment the airspeed indicator`),
+  TRUE_AIRSPEED_CAL_DEC: define(`Decrement the airspeed indicator`),
+  TRUE_AIRSPEED_CAL_SET: define(
+    `Set the airspeed indicator calibration`,
+    param(`temperature in celsius`)
+  ),
+  TOGGLE_VACUUM_FAILURE: define(`Toggle vacuum system failure`),
+  TOGGLE_HYDRAULIC_FAILURE: define(`Toggle hydraulic system failure`),
+  HYDRAULIC_SWITCH_TOGGLE: define(`Toggle a hydraulic switch`, Index),
+  CHRONO_START: define(`Start the chronometer`),
+  CHRONO_STOP: define(`Stop the chronometer`),
+  CHRONO_RESET: define(`Reset the chronometer`),
+};
+
+export const AircraftMiscEvents = {
+  ...ANTI_ICE,
+  ...DOORS_AND_CABIN,
+  ...INSTRUMENTS,
+};
@@ -0,0 +1,186 @@
+// See https://docs.flightsimulator.com/html/Programming_Tools/Event_IDs/Aircraft_Radio_Navigation_Events.htm
+
+import { define, param } from "./simevent-utils.js";
+
+// parameter types
+import {
+  Degrees,
+  FrequencyHz,
+  FrequencyBCD16,
+  OnOff,
+} from "./simevent-utils.js";
+
+const COM = {
+  COM_RADIO: define(`Select COM 1 for use with +/-`),
+  COM_STBY_RADIO_SET: define(`Set COM 1 standby frequency`, FrequencyBCD16),
+  COM_STBY_RADIO_SET_HZ: define(`Set COM 1 standby frequency`, FrequencyHz),
+  COM_RADIO_SET: define(`Set COM 1 active frequency`, FrequencyBCD16),
+  COM_RADIO_SET_HZ: define(`Set COM 1 active frequency`, FrequencyHz),
+  COM_STBY_RADIO_SWAP: define(`Swap COM 1 active and standby frequencies`),
+  COM_RADIO_WHOLE_INC: define(`Increment COM 1 by one MHz`),
+  COM_RADIO_WHOLE_DEC: define(`Decrement COM 1 by one MHz`),
+  COM_RADIO_FRACT_INC: define(`Increment COM 1 by 25 KHz`),
+  COM_RADIO_FRACT_DEC: define(`Decrement COM 1 by 25 KHz`),
+  COM_RADIO_FRACT_INC_CARRY: define(`Increment COM 1 by 25 KHz, with carry`),
+  COM_RADIO_FRACT_DEC_CARRY: define(`Decrement COM 1 by 25 KHz, with carry`),
+  COM2_RADIO_SET: define(`Set COM 2 active frequency`, FrequencyBCD16),
+  COM2_RADIO_SET_HZ: define(`Set COM 2 active frequency`, FrequencyHz),
+  COM2_STBY_RADIO_SET: define(`Set COM 2 standby frequency`, FrequencyBCD16),
+  COM2_STBY_RADIO_SET_HZ: define(`Set COM 2 standby frequency`, FrequencyHz),
+  COM2_RADIO_SWAP: define(`Swap COM 2 active and standby frequencies`),
+  COM2_RADIO_WHOLE_INC: define(`Increment COM 2 by one MHz`),
+  COM2_RADIO_WHOLE_DEC: define(`Decrement COM 2 by one MHz`),
+  COM2_RADIO_FRACT_INC: define(`Increment COM 2 by 25 KHz`),
+  COM2_RADIO_FRACT_DEC: define(`Decrement COM 2 by 25 KHz`),
+  COM3_RADIO_SET_HZ: define(`Set COM 3 active frequency`, FrequencyHz),
+  COM3_STBY_RADIO_SET_HZ: define(`Set COM 3 standby frequency`, FrequencyHz),
+  COM3_RADIO_SWAP: define(`Swap COM 3 active and standby frequencies`),
+  COM1_TRANSMIT_SELECT: define(`Select COM 1 for transmitting`),
+  COM2_TRANSMIT_SELECT: define(`Select COM 2 for transmitting`),
+  COM_RECEIVE_ALL_TOGGLE: define(`Toggle receiving on all COM radios`),
+  COM1_RECEIVE_SELECT: define(`Set COM 1 receive`, OnOff),
+  COM2_RECEIVE_SELECT: define(`Set COM 2 receive`, OnOff),
+  COM1_VOLUME_SET: define(`Set COM 1 volume`, param(`percent`, 0, 100)),
+  COM2_VOLUME_SET: define(`Set COM 2 volume`, param(`percent`, 0, 100)),
+};
+
+const NAV = {
+  NAV1_RADIO_SET: define(`Set NAV 1 active frequency`, FrequencyBCD16),
+  NAV1_RADIO_SET_HZ: define(`Set NAV 1 active frequency`, FrequencyHz),
+  NAV1_STBY_SET: define(`Set NAV 1 standby frequency`, FrequencyBCD16),
+  NAV1_STBY_SET_HZ: define(`Set NAV 1 standby frequency`, FrequencyHz),
+  NAV1_RADIO_SWAP: define(`Swap NAV 1 active and standby frequencies`),
+  NAV1_RADIO_WHOLE_INC: define(`Increment NAV 1 by one MHz`),
+  NAV1_RADIO_WHOLE_DEC: define(`Decrement NAV 1 by one MHz`),
+  NAV1_RADIO_FRACT_INC: define(`Increment NAV 1 by 25 KHz`),
+  NAV1_RADIO_FRACT_DEC: define(`Decrement NAV 1 by 25 KHz`),
+  NAV2_RADIO_SET: define(`Set NAV 2 active frequency`, FrequencyBCD16),
+  NAV2_RADIO_SET_HZ: define(`Set NAV 2 active frequency`, FrequencyHz),
+  NAV2_STBY_SET: define(`Set NAV 2 standby frequency`, FrequencyBCD16),
+  NAV2_STBY_SET_HZ: define(`Set NAV 2 standby frequency`, FrequencyHz),
+  NAV2_RADIO_SWAP: define(`Swap NAV 2 active and standby frequencies`),
+  NAV2_RADIO_WHOLE_INC: define(`Increment NAV 2 by one MHz`),
+  NAV2_RADIO_WHOLE_DEC: define(`Decrement NAV 2 by one MHz`),
+  NAV2_RADIO_FRACT_INC: define(`Increment NAV 2 by 25 KHz`),
+  NAV2_RADIO_FRACT_DEC: define(`Decrement NAV 2 by 25 KHz`),
+  VOR1_SET: define(`Set OBS 1`, Degrees),
+  VOR1_OBI_INC: define(`Increment OBS 1`),
+  VOR1_OBI_DEC: define(`Decrement OBS 1`),
+  VOR2_SET: define(`Set OBS 2`, Degrees),
+  VOR2_OBI_INC: define(`Increment OBS 2`),
+  VOR2_OBI_DEC: define(`Decrement OBS 2`),
+  RADIO_VOR1_IDENT_TOGGLE: define(`Toggle NAV 1 ident`),
+  RADIO_VOR2_IDENT_TOGGLE: define(`Toggle NAV 2 ident`),
+  TOGGLE_DME: define(`Toggle DME between NAV 1 and NAV 2`),
+};
+
+const ADF = {
+  ADF_SET: define(`Set ADF 1 frequency`, FrequencyBCD16),
+  ADF_COMPLETE_SET: define(`Set ADF 1 frequency`, FrequencyHz),
+  ADF_ACTIVE_SET: define(`Set ADF 1 active frequency`, FrequencyHz),
+  ADF_STBY_SET: define(`Set ADF 1 standby frequency`, FrequencyHz),
+  ADF1_RADIO_SWAP: define(`Swap ADF 1 active and standby frequencies`),
+  ADF_100_INC: define(`Increment ADF 1 by 100 KHz`),
+  ADF_100_DEC: define(`Decrement ADF 1 by 100 KHz`),
+  ADF_10_INC: define(`Increment ADF 1 by 10 KHz`),
+  ADF_10_DEC: define(`Decrement ADF 1 by 10 KHz`),
+  ADF_1_INC: define(`Increment ADF 1 by 1 KHz`),
+  ADF_1_DEC: define(`Decrement ADF 1 by 1 KHz`),
+  ADF_CARD_INC: define(`Increment ADF 1 card`),
+  ADF_CARD_DEC: define(`Decrement ADF 1 card`),
+  ADF_CARD_SET: define(`Set ADF 1 card`, Degrees),
+  ADF2_COMPLETE_SET: define(`Set ADF 2 frequency`, FrequencyHz),
+  ADF2_ACTIVE_SET: define(`Set ADF 2 active frequency`, FrequencyHz),
+  ADF2_RADIO_SWAP: define(`Swap ADF 2 active and standby frequencies`),
+  RADIO_ADF_IDENT_TOGGLE: define(`Toggle ADF 1 ident`),
+  RADIO_ADF2_IDENT_TOGGLE: define(`Toggle ADF 2 ident`),
+};
+
+const TRANSPONDER = {
+  XPNDR_SET: define(
+    `Set the transponder code`,
+    param(`the squawk code in BCD16 (e.g. 0x1200 for 1200)`, 0, 0x7777)
+  ),
+  XPNDR_1000_INC: define(`Increment the first digit of the transponder code`),
+  XPNDR_1000_DEC: define(`Decrement the first digit of the transponder code`),
+  XPNDR_100_INC: define(`Increment the second digit of the transponder code`),
+  XPNDR_100_DEC: define(`Decrement the second digit of the transponder code`),
+  XPNDR_10_INC: define(`Increment the third digit of the transponder code`),
+  XPNDR_10_DEC: define(`Decrement the third digit of the transponder code`),
+  XPNDR_1_INC: define(`Increment the fourth digit of the transponder code`),
+  XPNDR_1_DEC: define(`Decrement the fourth digit of the transponder code`),
+  XPNDR_IDENT_ON: define(`Turn transponder ident on`),
+  XPNDR_IDENT_OFF: define(`Turn transponder ident off`),
+  XPNDR_IDENT_SET: define(`Set transponder ident`, OnOff),
+  XPNDR_IDENT_TOGGLE: define(`Toggle transponder ident`),
+  XPNDR_STATE_SET: define(
+    `Set the transponder mode`,
+    param(`0 for off, 1 for standby, 2 for test, 3 for on, 4 for alt`, 0, 4)
+  ),
+};
+
+const GPS = {
+  GPS_POWER_BUTTON: define(`Toggle GPS power`),
+  GPS_NEAREST_BUTTON: define(`Select the GPS nearest page`),
+  GPS_DIRECTTO_BUTTON: define(`Press the GPS direct-to button`),
+  GPS_MENU_BUTTON: define(`Press the GPS menu button`),
+  GPS_CLEAR_BUTTON: define(`Press the GPS clear button`),
+  GPS_ENTER_BUTTON: define(`Press the GPS enter button`),
+  GPS_ACTIVATE_BUTTON: define(`Press the GPS activate button`),
+  GPS_ZOOMIN_BUTTON: define(`Zoom the GPS map in`),
+  GPS_ZOOMOUT_BUTTON: define(`Zoom the GPS map out`),
+  GPS_GROUP_KNOB_INC: define(`Increment the GPS group knob`),
+  GPS_GROUP_KNOB_DEC: define(`Decrement the GPS group knob`),
+  GPS_PAGE_KNOB_INC: define(`Increment the GPS page knob`),
+  GPS_PAGE_KNOB_DEC: define(`Decrement the GPS page knob`),
+};
+
+// The G1000 PFD and MFD have the same buttons, knobs, and softkeys.
+const G1000 = {};
+[`PFD`, `MFD`].forEach((display) => {
+  const key = (name) => `G1000_${display}_${name}`;
+  Object.assign(G1000, {
+    [key(`DIRECTTO_BUTTON`)]: define(`Press the ${display} direct-to button`),
+    [key(`MENU_BUTTON`)]: define(`Press the ${display} menu button`),
+    [key(`FLIGHTPLAN_BUTTON`)]: define(
+      `Press the ${display} flight plan button`
+    ),
+    [key(`PROCEDURE_BUTTON`)]: define(`Press the ${display} procedure button`),
+    [key(`CLEAR_BUTTON`)]: define(`Press the ${display} clear button`),
+    [key(`ENTER_BUTTON`)]: define(`Press the ${display} enter button`),
+    [key(`CURSOR_BUTTON`)]: define(`Press the ${display} cursor button`),
+    [key(`ZOOMIN_BUTTON`)]: define(`Zoom the ${display} map in`),
+    [key(`ZOOMOUT_BUTTON`)]: define(`Zoom the ${display} map out`),
+    [key(`GROUP_KNOB_INC`)]: define(`Increment the ${display} group knob`),
+    [key(`GROUP_KNOB_DEC`)]: define(`Decrement the ${display} group knob`),
+    [key(`PAGE_KNOB_INC`)]: define(`Increment the ${display} page knob`),
+    [key(`PAGE_KNOB_DEC`)]: define(`Decrement the ${display} page knob`),
+  });
+  for (let n = 1; n <= 12; n++) {
+    G1000[key(`SOFTKEY${n}`)] = define(`Press ${display} softkey ${n}`);
+  }
+});
+
+const MARKERS = {
+  MARKER_SOUND_TOGGLE: define(`Toggle marker beacon sound`),
+  RADIO_DME1_IDENT_TOGGLE: define(`Toggle DME 1 ident`),
+  RADIO_DME2_IDENT_TOGGLE: define(`Toggle DME 2 ident`),
+  KOHLSMAN_INC: define(`Increment the altimeter setting`),
+  KOHLSMAN_DEC: define(`Decrement the altimeter setting`),
+  KOHLSMAN_SET: define(
+    `Set the altimeter setting`,
+    param(`millibars times 16`, 14000, 17600)
+  ),
+  BAROMETRIC: define(`Set the altimeter to the current air pressure`),
+  BAROMETRIC_STD_PRESSURE: define(`Set the altimeter to standard pressure`),
+};
+
+export const AircraftRadioNavigationEvents = {
+  ...COM,
+  ...NAV,
+  ...ADF,
+  ...TRANSPONDER,
+  ...GPS,
+  ...G1000,
+  ...MARKERS,
+};
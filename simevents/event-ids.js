@@ -1,5 +0,0 @@
-// See https://docs.flightsimulator.com/html/Programming_Tools/Event_IDs/Event_IDs.htm
-
-`
-  There is no point in duplicating the list here, it's huge, and doesn't really contribute to better code.
-`
\ No newline at end of file
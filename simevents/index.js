@@ -0,0 +1,124 @@
+// See https://docs.flightsimulator.com/html/Programming_Tools/Event_IDs/Event_IDs.htm
+
+import { AircraftAutopilotEvents } from "./aircraft-autopilot-events.js";
+import { AircraftBrakeLandingGearEvents } from "./aircraft-brake-landing-gear-events.js";
+import { AircraftElectricalEvents } from "./aircraft-electrical-events.js";
+import { AircraftEngineEvents } from "./aircraft-engine-events.js";
+import { AircraftFlightControlEvents } from "./aircraft-flight-control-events.js";
+import { AircraftFuelEvents } from "./aircraft-fuel-events.js";
+import { AircraftMiscEvents } from "./aircraft-misc-events.js";
+import { AircraftRadioNavigationEvents } from "./aircraft-radio-navigation-events.js";
+import { MiscellaneousEvents } from "./miscellaneous-events.js";
+import { suggestNames } from "../suggestions.js";
+import { InvalidEventValueError, UnknownSimEventError } from "../errors.js";
+import { param } from "./simevent-utils.js";
+
+// Values that the catalog doesn't describe still need to be numbers.
+const AnyNumber = param(`a number`);
+
+const CATEGORIES = {
+  autopilot: AircraftAutopilotEvents,
+  "brakes and landing gear": AircraftBrakeLandingGearEvents,
+  electrical: AircraftElectricalEvents,
+  engine: AircraftEngineEvents,
+  "flight controls": AircraftFlightControlEvents,
+  fuel: AircraftFuelEvents,
+  misc: AircraftMiscEvents,
+  radio: AircraftRadioNavigationEvents,
+  simulation: MiscellaneousEvents,
+};
+
+const SimEvents = {};
+
+Object.entries(CATEGORIES).forEach(([category, events]) =>
+  Object.entries(events).forEach(([key, value]) => {
+    value.name = key;
+    value.category = category;
+    SimEvents[key] = value;
+  })
+);
+
+// Event names are case-insensitive, so we use a Proxy
+// to make sure that lowercase names resolve too.
+const proxy = new Proxy(SimEvents, {
+  get(target, prop) {
+    if (typeof prop === `string`) prop = prop.toUpperCase();
+    return target[prop];
+  },
+});
+
+export { proxy as SimEvents };
+
+/**
+ * Custom events, as used by add-on aircraft, have a period in their
+ * name, or are "#" followed by a number, and aren't in the catalog.
+ * Events that MSFS knows about, but that aren't in the catalog (yet),
+ * can be explicitly passed through using a "K:" prefix, e.g. "K:NEW_EVENT".
+ *
+ * @param {*} name
+ * @returns
+ */
+export function isCustomEvent(name) {
+  return name.includes(`.`) || name.startsWith(`#`) || /^K:/i.test(name);
+}
+
+/**
+ * Get the name that SimConnect knows an event by, i.e. without the "K:"
+ * prefix that marks uncatalogued events, and in uppercase, since event
+ * names are case-insensitive. Add-on events keep their names as-is.
+ *
+ * @param {*} name the SimEvent name
+ * @returns
+ */
+export function toSimEventName(name) {
+  if (name.includes(`.`) || name.startsWith(`#`)) return name;
+  return name.replace(/^K:/i, ``).toUpperCase();
+}
+
+/**
+ * Find the SimEvents in the catalog whose names are closest to
+ * a name that isn't in the catalog, for "did you mean" hints.
+ *
+ * @param {*} name the (unknown) SimEvent name
+ * @param {*} count the maximum number of suggestions
+ * @returns a list of SimEvent names, best match first
+ */
+export function suggestSimEvents(name, count = 3) {
+  return suggestNames(name, Object.keys(SimEvents), { count });
+}
+
+/**
+ * Look up an event in the catalog.
+ *
+ * @param {*} name the SimEvent name
+ * @returns the event's definition, or undefined for custom events
+ * @throws an UnknownSimEventError if the event is neither in the catalog, nor a custom event
+ */
+export function findSimEvent(name) {
+  if (isCustomEvent(name)) return;
+  const event = proxy[name];
+  if (!event) throw new UnknownSimEventError(name, suggestSimEvents(name));
+  return event;
+}
+
+/**
+ * Make sure that an event exists, and that its values are within the
+ * range that the event's parameters allow. Values that the catalog does
+ * not describe, including all values for custom events, just have to
+ * be numbers.
+ *
+ * @param {*} name the SimEvent name
+ * @param {*} values the values the event will be triggered with
+ * @throws an UnknownSimEventError or InvalidEventValueError
+ */
+export function validateSimEvent(name, values) {
+  const event = findSimEvent(name);
+  const params = event?.params ?? [];
+  values.forEach((value, pos) => {
+    const param = params[pos] ?? AnyNumber;
+    const { min = -Infinity, max = Infinity } = param;
+    if (!Number.isFinite(value) || value < min || value > max) {
+      throw new InvalidEventValueError(event?.name ?? name, value, param);
+    }
+  });
+}
@@ -0,0 +1,111 @@
+// See https://docs.flightsimulator.com/html/Programming_Tools/Event_IDs/Miscellaneous_Events.htm
+
+import { define, param } from "./simevent-utils.js";
+
+// parameter types
+import { OnOff, Axis } from "./simevent-utils.js";
+
+const SIMULATION = {
+  PAUSE_TOGGLE: define(`Toggle pause`),
+  PAUSE_ON: define(`Turn pause on`),
+  PAUSE_OFF: define(`Turn pause off`),
+  PAUSE_SET: define(`Set pause`, OnOff),
+  SIM_RATE: define(`Select the sim rate for use with +/-`),
+  SIM_RATE_INCR: define(`Increase the sim rate`),
+  SIM_RATE_DECR: define(`Decrease the sim rate`),
+  SIM_RATE_SET: define(
+    `Set the sim rate`,
+    param(`sim rate times 256 (e.g. 512 for 2x)`, 1, 128 * 256)
+  ),
+  SIM_RESET: define(`Reset the flight`),
+  SITUATION_RESET: define(`Reset the flight`),
+  SITUATION_SAVE: define(`Save the current situation`),
+  SOUND_TOGGLE: define(`Toggle the sound`),
+  SOUND_ON: define(`Turn the sound on`),
+  SOUND_OFF: define(`Turn the sound off`),
+  CLOCK_HOURS_SET: define(
+    `Set the hours of the sim clock`,
+    param(`hours`, 0, 23)
+  ),
+  CLOCK_MINUTES_SET: define(
+    `Set the minutes of the sim clock`,
+    param(`minutes`, 0, 59)
+  ),
+  CLOCK_SECONDS_ZERO: define(`Set the seconds of the sim clock to zero`),
+  ZULU_HOURS_SET: define(
+    `Set the hours of the zulu time`,
+    param(`hours`, 0, 23)
+  ),
+  ZULU_MINUTES_SET: define(
+    `Set the minutes of the zulu time`,
+    param(`minutes`, 0, 59)
+  ),
+  ZULU_DAY_SET: define(`Set the day of the zulu date`, param(`day`, 1, 366)),
+  ZULU_YEAR_SET: define(`Set the year of the zulu date`, param(`year`, 0)),
+  FREEZE_LATITUDE_LONGITUDE_TOGGLE: define(`Toggle latitude/longitude freeze`),
+  FREEZE_LATITUDE_LONGITUDE_SET: define(`Set latitude/longitude freeze`, OnOff),
+  FREEZE_ALTITUDE_TOGGLE: define(`Toggle altitude freeze`),
+  FREEZE_ALTITUDE_SET: define(`Set altitude freeze`, OnOff),
+  FREEZE_ATTITUDE_TOGGLE: define(`Toggle attitude freeze`),
+  FREEZE_ATTITUDE_SET: define(`Set attitude freeze`, OnOff),
+  TOGGLE_AIRCRAFT_LABELS: define(`Toggle aircraft labels`),
+  CAPTURE_SCREENSHOT: define(`Capture a screenshot`),
+  TOGGLE_FLIGHT_LOGGING: define(`Toggle flight logging`),
+};
+
+const SLEW = {
+  SLEW_TOGGLE: define(`Toggle slew mode`),
+  SLEW_OFF: define(`Turn slew mode off`),
+  SLEW_ON: define(`Turn slew mode on`),
+  SLEW_SET: define(`Set slew mode`, OnOff),
+  SLEW_RESET: define(`Stop slew and reset pitch, bank, and heading to zero`),
+  SLEW_ALTIT_UP_FAST: define(`Slew upward fast`),
+  SLEW_ALTIT_UP_SLOW: define(`Slew upward slow`),
+  SLEW_ALTIT_FREEZE: define(`Stop vertical slew`),
+  SLEW_ALTIT_DN_SLOW: define(`Slew downward slow`),
+  SLEW_ALTIT_DN_FAST: define(`Slew downward fast`),
+  SLEW_AHEAD_PLUS: define(`Increase forward slew`),
+  SLEW_AHEAD_MINUS: define(`Decrease forward slew`),
+  SLEW_LEFT: define(`Slew to the left`),
+  SLEW_RIGHT: define(`Slew to the right`),
+  SLEW_FREEZE: define(`Stop all slew`),
+  AXIS_SLEW_AHEAD_SET: define(`Set the forward slew rate`, Axis),
+  AXIS_SLEW_SIDEWAYS_SET: define(`Set the sideways slew rate`, Axis),
+  AXIS_SLEW_HEADING_SET: define(`Set the slew heading rate`, Axis),
+  AXIS_SLEW_ALT_SET: define(`Set the slew altitude rate`, Axis),
+  AXIS_SLEW_BANK_SET: define(`Set the slew bank rate`, Axis),
+  AXIS_SLEW_PITCH_SET: define(`Set the slew pitch rate`, Axis),
+};
+
+const VIEWS = {
+  VIEW_COCKPIT_FORWARD: define(`Switch to the forward cockpit view`),
+  VIEW_VIRTUAL_COCKPIT_FORWARD: define(`Switch to the virtual cockpit view`),
+  VIEW_MODE: define(`Cycle through the view modes`),
+  VIEW_MODE_REV: define(`Cycle through the view modes, in reverse`),
+  VIEW_RESET: define(`Reset the view`),
+  VIEW_ZOOM_SET: define(`Set the view zoom`, param(`zoom times 64`, 0)),
+  ZOOM_IN: define(`Zoom the view in`),
+  ZOOM_OUT: define(`Zoom the view out`),
+  ZOOM_1X: define(`Reset the view zoom`),
+  EYEPOINT_UP: define(`Move the eyepoint up`),
+  EYEPOINT_DOWN: define(`Move the eyepoint down`),
+  EYEPOINT_RESET: define(`Reset the eyepoint`),
+  CHASE_VIEW_TOGGLE: define(`Toggle the chase view`),
+};
+
+const PANELS_AND_ATC = {
+  ATC: define(`Toggle the ATC window`),
+  ATC_MENU_OPEN: define(`Open the ATC menu`),
+  ATC_MENU_CLOSE: define(`Close the ATC menu`),
+};
+[1, 2, 3, 4, 5, 6, 7, 8, 9, 0].forEach((n) => {
+  PANELS_AND_ATC[`ATC_MENU_${n}`] = define(`Select ATC menu option ${n}`);
+  if (n) PANELS_AND_ATC[`PANEL_${n}`] = define(`Toggle panel window ${n}`);
+});
+
+export const MiscellaneousEvents = {
+  ...SIMULATION,
+  ...SLEW,
+  ...VIEWS,
+  ...PANELS_AND_ATC,
+};
@@ -0,0 +1,41 @@
+/**
+ * Define an event. Events can take up to five values, with each
+ * (optional) parameter describing the value at that position.
+ *
+ * @param {*} desc what the event does
+ * @param  {...any} params the event's parameters, if it takes any values
+ * @returns
+ */
+export function define(desc, ...params) {
+  return { desc, params };
+}
+
+/**
+ * Describe the value that an event takes. Events that don't take a
+ * value are defined without a parameter. The min and max are optional,
+ * and are used to validate the values passed to trigger().
+ *
+ * @param {*} desc what the value means
+ * @param {*} min (optional) the smallest allowed value
+ * @param {*} max (optional) the largest allowed value
+ * @returns
+ */
+export function param(desc, min, max) {
+  return { desc, min, max };
+}
+
+// Common parameters
+export const Axis = param(`axis position, from -16383 to 16383`, -16383, 16383);
+export const Position = param(`position, from 0 to 16383`, 0, 16383);
+export const OnOff = param(`0 for off, 1 for on`, 0, 1);
+export const Degrees = param(`degrees, from 0 to 360`, 0, 360);
+export const Feet = param(`feet`, -2000, 100000);
+export const Knots = param(`knots`, 0, 2000);
+export const FeetPerMinute = param(`feet per minute`, -20000, 20000);
+export const FrequencyHz = param(`frequency in Hz`, 0);
+export const FrequencyBCD16 = param(
+  `frequency in BCD16, without the leading 1 (e.g. 0x2345 for 123.45)`,
+  0,
+  0xffff
+);
+export const Index = param(`index, starting at 1`, 1);
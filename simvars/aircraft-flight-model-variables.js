@@ -10,6 +10,7 @@ import {
   Bool,
   Knots,
   Feet,
+  FeetPerSecond,
   Number,
   Degrees,
   Enum,
@@ -50,17 +51,17 @@ const GENERAL = {
   ),
   "DESIGN SPEED CLIMB": define(
     `This design constant represents the optimal climb speed for the aircraft. It is derived from the climb_speed setting in the [REFERENCE SPEEDS] section of the flightmodel.cfg. Default value is -1.`,
-    Feet,
+    FeetPerSecond,
     Float64
   ),
   "DESIGN SPEED MIN ROTATION": define(
     `This design constant represents the minimum speed required for aircraft rotation. It is derived from the rotation_speed_min setting in the [REFERENCE SPEEDS] section of the flightmodel.cfg. Default value is -1.`,
-    Feet,
+    FeetPerSecond,
     Float64
   ),
   "DESIGN SPEED VC": define(
     `This design constant represents the aircraft ideal cruising speed. It is derived from the cruise_speed setting in the [REFERENCE SPEEDS] section of the flightmodel.cfg. The default value is computed an internal function that uses the estimated cruise altitude and estimated cruise percent power, according of the engine type, the number of engines, the density, the wing area and some drag parameters. Normally this value is set in the CFG file and the default value is never used.`,
-    Feet,
+    FeetPerSecond,
     Float64
   ),
   "DESIGN SPEED VS0": define(
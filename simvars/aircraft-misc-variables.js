@@ -3,7 +3,16 @@
 import { define } from "./simvar-utils.js";
 
 // data types
-import { Int32, SInt32, Float64, SFloat64, String128 } from "./simvar-utils.js";
+import {
+  Int32,
+  SInt32,
+  Float64,
+  SFloat64,
+  String128,
+  LatLonAlt,
+  XYZ,
+  SXYZ,
+} from "./simvar-utils.js";
 
 // data units
 import {
@@ -19,6 +28,7 @@ import {
   Celsius,
   Mach,
   FeetPerSecond,
+  RadiansPerSecond,
   RadiansPerSecondSquared,
 } from "./simvar-utils.js";
 
@@ -261,48 +271,54 @@ const AIRCRAFT_POSITION_DIRECTION_AND_SPEED = {
   ),
 };
 
-/**
-
-THIS ONE'S GOING TO NEED A SECOND LOOK, BECAUSE OF XYZ NIFTINESS
-
 const AIRCRAFT_STRUCTS = {
-    "EYEPOINT POSITION": define(
-        `The eyepoint position relative to the reference datum position for the aircraft. SIMCONNECT_DATA_XYZ feet`,
-    ),
-    "STRUC AIRSPEED HOLD PID CONSTS": define(
-        `Returns the various airspeed PID constants. This is generally only used for AI controlled aircraft and boats, although it may be useful when working with RTCs and the user aircraft. PID_STRUCT`,
-    ),
-    "STRUC HEADING HOLD PID CONSTS": define(
-        `Returns the various airspeed PID constants. This is generally only used for AI controlled aircraft and boats, although it may be useful when working with RTCs and the user aircraft. PID_STRUCT`,
-    ),
-    "STRUCT BODY ROTATION ACCELERATION 	": define(
-        ` body rotation acceleration. SIMCONNECT_DATA_XYZ radians per second`,
-    ),
-    "STRUCT BODY ROTATION VELOCITY": define(
-        `The body rotation velocity. SIMCONNECT_DATA_XYZ radians per second`,
-    ),
-    "STRUCT BODY VELOCITY": define(
-        `The object body velocity. SIMCONNECT_DATA_XYZ feet per second`,
-    ),
-    "STRUCT ENGINE POSITION:index": define(
-        `The position of the indexed engine relative to the Datum Reference Point for the aircraft. SIMCONNECT_DATA_XYZ feet.`,
-    ),
-    "STRUCT EYEPOINT DYNAMIC ANGLE": define(
-        `The angle of the eyepoint view. Zero, zero, zero is straight ahead. SIMCONNECT_DATA_XYZ radians`,
-    ),
-    "STRUCT EYEPOINT DYNAMIC OFFSET": define(
-        `A variable offset away from the EYEPOINT POSITION. SIMCONNECT_DATA_XYZ feet`,
-    ),
-    "STRUCT LATLONALT": define(
-        `Returns the latitude, longitude and altitude of the user aircraft. 	SIMCONNECT_DATA_LATLONALT`,
-    ),
-    "STRUCT LATLONALTPBH": define(
-        `Returns the pitch, bank and heading of the user aircraft. 	SIMCONNECT_DATA_LATLONALT`,
-    ),
+  "EYEPOINT POSITION": define(
+    `The eyepoint position relative to the reference datum position for the aircraft.`,
+    Feet,
+    XYZ
+  ),
+  // Note: the PID_STRUCT type used by "STRUC AIRSPEED HOLD PID CONSTS" and
+  // "STRUC HEADING HOLD PID CONSTS" has no corresponding SimConnect data type,
+  // so these cannot be requested through a data definition. The same goes
+  // for "STRUCT LATLONALTPBH", which combines a LATLONALT with a pitch, bank,
+  // and heading, and so matches neither the LATLONALT nor the XYZ layout.
+  "STRUCT BODY ROTATION ACCELERATION": define(
+    `The body rotation acceleration.`,
+    RadiansPerSecondSquared,
+    XYZ
+  ),
+  "STRUCT BODY ROTATION VELOCITY": define(
+    `The body rotation velocity.`,
+    RadiansPerSecond,
+    XYZ
+  ),
+  "STRUCT BODY VELOCITY": define(
+    `The object body velocity.`,
+    FeetPerSecond,
+    XYZ
+  ),
+  "STRUCT ENGINE POSITION:index": define(
+    `The position of the indexed engine relative to the Datum Reference Point for the aircraft.`,
+    Feet,
+    XYZ
+  ),
+  "STRUCT EYEPOINT DYNAMIC ANGLE": define(
+    `The angle of the eyepoint view. Zero, zero, zero is straight ahead.`,
+    Radians,
+    SXYZ
+  ),
+  "STRUCT EYEPOINT DYNAMIC OFFSET": define(
+    `A variable offset away from the EYEPOINT POSITION.`,
+    Feet,
+    SXYZ
+  ),
+  "STRUCT LATLONALT": define(
+    `Returns the latitude, longitude and altitude of the user aircraft.`,
+    NullUnit,
+    LatLonAlt
+  ),
 };
 
-**/
-
 const AIRSPEED = {
   "AIRCRAFT WIND X": define(
     `Wind component in aircraft lateral (X) axis`,
@@ -370,7 +386,7 @@ const TEMPERATURE = {
 export const AircraftMiscVariables = {
   ...AIRCRAFT_STATES,
   ...AIRCRAFT_POSITION_DIRECTION_AND_SPEED,
-  //  ...AIRCRAFT_STRUCTS,
+  ...AIRCRAFT_STRUCTS,
   ...AIRSPEED,
   ...TEMPERATURE,
 };
@@ -9,6 +9,7 @@ import {
   SFloat64,
   String32,
   SString32,
+  LatLonAlt,
 } from "./simvar-utils.js";
 
 // data units
@@ -43,10 +44,11 @@ const ADF = {
   "ADF AVAILABLE:index": define(`True if ADF is available`, Bool, Int32),
   "ADF CARD": define(`ADF compass rose setting`, Degrees, Float64),
   "ADF IDENT": define(`ICAO code`, NullUnit, String32),
-  //   "ADF LATLONALT:index": define(
-  //     desc:`Returns the latitude, longitude and altitude of the station the radio equipment is currently tuned to, or zeros if the radio is not tuned to any ADF station. Index of 1 or 2 for ADF 1 and ADF 2.`,
-  //     units:`SIMCONNECT_DATA_LATLONALT`,
-  //   ),
+  "ADF LATLONALT:index": define(
+    `Returns the latitude, longitude and altitude of the station the radio equipment is currently tuned to, or zeros if the radio is not tuned to any ADF station. Index of 1 or 2 for ADF 1 and ADF 2.`,
+    NullUnit,
+    LatLonAlt
+  ),
   "ADF NAME:index": define(`Descriptive name`, NullUnit, String32),
   "ADF RADIAL:index": define(
     `Current direction from NDB station`,
@@ -288,21 +290,21 @@ const COM = {
     NullUnit,
     String32
   ),
-  // "COM ACTIVE LATLONALT:index": define(
-  //   `See documentation`,
-  //   units: `struct`,
-  //   ...dataType(`LatLonAlt`),
-  // },
+  "COM ACTIVE LATLONALT:index": define(
+    `See documentation`,
+    NullUnit,
+    LatLonAlt
+  ),
   "COM AVAILABLE:index": define(
     `True if COM1, COM2 or COM3 is available (depending on the index, either 1, 2, or 3)`,
     Bool,
     Int32
   ),
-  // "COM LATLONALT:index": define(
-  //   `Not currently used in the simulation.`,
-  //   units: `struct`,
-  //   ...dataType(`LatLonAlt`),
-  // },
+  "COM LATLONALT:index": define(
+    `Not currently used in the simulation.`,
+    NullUnit,
+    LatLonAlt
+  ),
   "COM RECEIVE:index": define(
     `Whether or not the plane is receiving on the indexed com channel or not (either 1, 2, or 3 for the index).`,
     Bool,
@@ -644,11 +646,11 @@ const HSI = {
 
 const MARKERS = {
   "INNER MARKER": define(`Inner marker state.`, Bool, SInt32),
-  // "INNER MARKER LATLONALT": define(
-  //   `Returns the latitude, longitude and altitude of the inner marker of an approach to a runway, if the aircraft is within the required proximity, otherwise it will return zeros.`,
-  //   units: `struct`,
-  //   ...dataType(`LatLonAlt`),
-  // },
+  "INNER MARKER LATLONALT": define(
+    `Returns the latitude, longitude and altitude of the inner marker of an approach to a runway, if the aircraft is within the required proximity, otherwise it will return zeros.`,
+    NullUnit,
+    LatLonAlt
+  ),
   "MARKER AVAILABLE": define(`True if Marker is available.`, Bool, Int32),
   "MARKER BEACON SENSITIVITY HIGH": define(
     `Whether or not the Marker Beacon is in High Sensitivity mode.`,
@@ -663,17 +665,17 @@ const MARKERS = {
   ),
   "MARKER SOUND": define(`Marker audio flag.`, Bool, Int32),
   "MIDDLE MARKER": define(`Middle marker state.`, Bool, SInt32),
-  // "MIDDLE MARKER LATLONALT": define(
-  //   `Returns the latitude, longitude and altitude of the middle marker.`,
-  //   units: `struct`,
-  //   ...dataType(`LatLonAlt`),
-  // },
+  "MIDDLE MARKER LATLONALT": define(
+    `Returns the latitude, longitude and altitude of the middle marker.`,
+    NullUnit,
+    LatLonAlt
+  ),
   "OUTER MARKER": define(`Outer marker state.`, Bool, SInt32),
-  // "OUTER MARKER LATLONALT": define(
-  //   `Returns the latitude, longitude and altitude of the outer marker.`,
-  //   units: `struct`,
-  //   ...dataType(`LatLonAlt`),
-  // },
+  "OUTER MARKER LATLONALT": define(
+    `Returns the latitude, longitude and altitude of the outer marker.`,
+    NullUnit,
+    LatLonAlt
+  ),
 };
 
 const NAV = {
@@ -725,11 +727,11 @@ const NAV = {
   ),
   "NAV DME": define(`DME distance.`, NM, Float64),
   "NAV DMESPEED": define(`DME speed.`, Knots, Float64),
-  // "NAV DME LATLONALT:index": define(
-  //   `Returns the DME station.`,
-  //   units: `struct`,
-  //   ...dataType(`LatLonAlt`),
-  // },
+  "NAV DME LATLONALT:index": define(
+    `Returns the DME station.`,
+    NullUnit,
+    LatLonAlt
+  ),
   "NAV FREQUENCY": define(`Localizer course frequency`, Hz, Float64),
   "NAV GLIDE SLOPE": define(
     `The glide slope gradient. The value returned is an integer value formed as sin(slope) * 65536 * 2`,
@@ -752,16 +754,16 @@ const NAV = {
     Int32
   ),
   "NAV GS FLAG": define(`Glideslope flag.`, Bool, Int32),
-  // "NAV GS LATLONALT:index": define(
-  //   `Returns the glide slope.`,
-  //   units: `struct`,
-  //   ...dataType(`LatLonAlt`),
-  // },
-  // "NAV GS LLAF64": define(
-  //   `Nav GS latitude, longitude, altitude.`,
-  //   units: `struct`,
-  //   ...dataType(`LatLonAlt`),
-  // },
+  "NAV GS LATLONALT:index": define(
+    `Returns the glide slope.`,
+    NullUnit,
+    LatLonAlt
+  ),
+  "NAV GS LLAF64": define(
+    `Nav GS latitude, longitude, altitude.`,
+    NullUnit,
+    LatLonAlt
+  ),
   "NAV HAS CLOSE DME": define(
     `Flag if found a close station with a DME.`,
     Bool,
@@ -835,16 +837,16 @@ const NAV = {
   ),
   "NAV VOLUME": define(`The volume of the Nav radio.`, Percent, Float64),
   "NAV VOR DISTANCE": define(`Distance of the VOR beacon.`, Meters, Float64),
-  // "NAV VOR LATLONALT:index": define(
-  //   `Returns the VOR station latitude, longitude and altitude.`,
-  //   units: `struct`,
-  //   ...dataType(`LatLonAlt`),
-  // },
-  // "NAV VOR LLAF64": define(
-  //   `Nav VOR latitude, longitude, altitude.`,
-  //   units: `struct`,
-  //   ...dataType(`LatLonAlt`),
-  // },
+  "NAV VOR LATLONALT:index": define(
+    `Returns the VOR station latitude, longitude and altitude.`,
+    NullUnit,
+    LatLonAlt
+  ),
+  "NAV VOR LLAF64": define(
+    `Nav VOR latitude, longitude, altitude.`,
+    NullUnit,
+    LatLonAlt
+  ),
 };
 
 const TACAN = {
@@ -898,11 +900,11 @@ const TACAN = {
     NullUnit,
     String32
   ),
-  // "TACAN STATION LATLONALT:index": define(
-  //   `Retrieves the latitude, longitude and altitude of the Tacan station.`,
-  //   units: `struct`,
-  //   ...dataType(`LatLonAlt`),
-  // },
+  "TACAN STATION LATLONALT:index": define(
+    `Retrieves the latitude, longitude and altitude of the Tacan station.`,
+    NullUnit,
+    LatLonAlt
+  ),
   "TACAN STATION RADIAL:index": define(
     `The radial between the Tacan station and the aircraft.`,
     Degrees,
@@ -10,6 +10,7 @@ import {
   SFloat64,
   String32,
   SString32,
+  SPBH,
 } from "./simvar-utils.js";
 
 // data units
@@ -414,11 +415,11 @@ const LIGHTS = {
     Bool,
     Int32
   ),
-  // "LANDING LIGHT PBH": define(
-  //   `Landing light pitch bank and heading.`,
-  //   units: `SIMCONNECT_DATA_XYZ structure`,
-  //   TODO: figure out how to read XYZ datastructure
-  // },
+  "LANDING LIGHT PBH": define(
+    `Landing light pitch bank and heading.`,
+    Degrees,
+    SPBH
+  ),
   "LIGHT BEACON": define(`Light switch state.`, Bool, SInt32),
   "LIGHT BEACON ON": define(
     `Returns true if the target beacon light is functioning or if the switch is ON. Use beacon lightdef index.`,
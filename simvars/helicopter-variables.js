@@ -3,7 +3,7 @@
 import { define } from "./simvar-utils.js";
 
 // data types
-import { Int32, SInt32, Float64, SFloat64 } from "./simvar-utils.js";
+import { Int32, SInt32, Float64, SFloat64, XYZ } from "./simvar-utils.js";
 
 // data units
 import {
@@ -127,10 +127,11 @@ const ROTORS = {
     Rankine,
     Float64
   ),
-  //   "STRUCT ROTOR POSITION:index": define(
-  //     `The position of the indexed rotor.`,
-  //     units: `SIMCONNECT_DATA_XYZ`,
-  //   ),
+  "STRUCT ROTOR POSITION:index": define(
+    `The position of the indexed rotor.`,
+    Feet,
+    XYZ
+  ),
   "TAIL ROTOR BLADE PITCH PCT": define(
     `The pitch position of the tailrotor blades.`,
     PercentOver100,
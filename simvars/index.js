@@ -16,7 +16,8 @@ import { HelicopterVariables } from "./helicopter-variables.js";
 import { ServiceVariables } from "./services-variables.js";
 import { WASMGaugeAPITokenVariables } from "./wasm-gauge-api-token-variables.js";
 import { EnvironmentVariables } from "./environment-variables.js";
-
+import { SFloat64 } from "./simvar-utils.js";
+import { editDistance, suggestNames } from "../suggestions.js";
 
 const SimVars = {
   ...AircraftAutopilotAssistantVariables,
@@ -51,3 +52,119 @@ const proxy = new Proxy(SimVars, {
 });
 
 export { proxy as SimVars };
+
+/**
+ * Find the SimVars in the catalog whose names are closest to
+ * a name that isn't in the catalog, for "did you mean" hints.
+ *
+ * @param {*} name the (unknown) SimVar name
+ * @param {*} count the maximum number of suggestions
+ * @returns a list of SimVar names, best match first
+ */
+export function suggestSimVars(name, count = 3) {
+  return suggestNames(name, Object.keys(SimVars), {
+    count,
+    // Indexed simvars are suggested by their base name, and names
+    // that contain what was asked for count as close matches.
+    normalize: (s) => s.replaceAll(`_`, ` `).toUpperCase().replace(/:.*/, ``),
+    distance: (a, b) => (b.includes(a) ? 1 : editDistance(a, b)),
+  });
+}
+
+/**
+ * Variables in other namespaces than A:, such as the L: (local) variables
+ * that most third-party aircraft use for their state, are not in the
+ * catalog. SimConnect can still access them by name, e.g. "L:MY_VAR".
+ * Namespace prefixes are case-insensitive, so "l:MY_VAR" works too.
+ *
+ * @param {*} name
+ * @returns
+ */
+export function isNamespacedVar(name) {
+  return /^[A-Z]:/i.test(name) && !/^A:/i.test(name);
+}
+
+/**
+ * Results are keyed by simvar name, with underscores instead of spaces,
+ * so that they can be used as plain property names.
+ *
+ * @param {*} name a simvar name
+ * @returns
+ */
+export function codeSafe(name) {
+  return name.replaceAll(` `, `_`);
+}
+
+/**
+ * Simvars can be requested by name, or as { name, units } objects. An "A:"
+ * prefix is optional, and variables in other namespaces keep their names
+ * as-is, other than that their prefix gets uppercased.
+ *
+ * @param {*} prop a simvar name, or a { name, units } object
+ * @returns a { name, units } object, with a catalog or namespaced name
+ */
+export function toRequest(prop) {
+  let { name, units } = typeof prop === `string` ? { name: prop } : prop;
+  if (isNamespacedVar(name)) {
+    return { name: name[0].toUpperCase() + name.slice(1), units };
+  }
+  name = name.replace(/^A:/i, ``);
+  return { name: name.replaceAll(`_`, ` `), units };
+}
+
+// The options that get() takes as an (optional) last argument.
+const GET_OPTIONS = [`objectId`, `timeout`];
+
+const isNameless = (arg) =>
+  typeof arg === `object` && arg !== null && !(`name` in arg);
+
+/**
+ * Split get() arguments into simvar requests and options. Simvars can be
+ * passed by name, as { name, units } objects, or as a name followed by a
+ * { units } object, e.g. get("L:MY_VAR", { units: "percent" }), and the
+ * last argument can be a nameless { objectId, timeout } options object.
+ *
+ * @param {*} args the arguments that get() was called with
+ * @returns a { requests, options } object
+ * @throws if an options object has keys that get() doesn't know
+ */
+export function parseGetArgs(args) {
+  const requests = [];
+  let options = {};
+  const unknownKeys = (arg, known) =>
+    Object.keys(arg).filter((key) => !known.includes(key));
+  args.forEach((arg, pos) => {
+    if (!isNameless(arg)) return requests.push(toRequest(arg));
+    // A { units } object belongs to the simvar name right before it.
+    const previous = args[pos - 1];
+    if (`units` in arg && typeof previous === `string`) {
+      const unknown = unknownKeys(arg, [`units`]);
+      if (unknown.length) {
+        throw new Error(`Unknown simvar request key(s): ${unknown.join(`, `)}`);
+      }
+      requests[requests.length - 1] = toRequest({ ...arg, name: previous });
+      return;
+    }
+    const unknown = unknownKeys(arg, GET_OPTIONS);
+    if (unknown.length) {
+      throw new Error(`Unknown get() option(s): ${unknown.join(`, `)}`);
+    }
+    if (pos !== args.length - 1) {
+      throw new Error(`get() options have to be the last argument.`);
+    }
+    options = arg;
+  });
+  return { requests, options };
+}
+
+/**
+ * Build a definition for a namespaced variable on the fly. These are
+ * always settable numbers, in whatever units they were asked for.
+ *
+ * @param {*} name the variable name, including its namespace, e.g. "L:MY_VAR"
+ * @param {*} units (optional) the units to use, defaults to "number"
+ * @returns
+ */
+export function defineNamespacedVar(name, units = `number`) {
+  return { name, desc: `namespaced variable`, units, ...SFloat64 };
+}
@@ -10,6 +10,7 @@ import {
   SFloat64,
   String32,
   String128,
+  XYZ,
 } from "./simvar-utils.js";
 
 // data units
@@ -160,7 +161,7 @@ const AMBIENT_WEATHER = {
   "STRUCT AMBIENT WIND": define(
     `X (latitude), Y (vertical) and Z (longitude) components of the wind.`,
     FeetPerSecond,
-    Float64
+    XYZ
   ),
 };
 
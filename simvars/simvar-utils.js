@@ -1,10 +1,28 @@
 import { SimConnectDataType } from "node-simconnect";
+import { NotSettableError } from "../errors.js";
 
 export const SETTABLE = true;
 
+// The number of bytes each data type takes up. Variable length
+// types like StringV don't have a fixed size, and so aren't listed.
+const DATA_SIZES = {
+  Int32: 4,
+  Int64: 8,
+  Float32: 4,
+  Float64: 8,
+  String8: 8,
+  String32: 32,
+  String64: 64,
+  String128: 128,
+  String256: 256,
+  String260: 260,
+};
+
 export function dataType(typeName, settable = false) {
   return {
     data_type: SimConnectDataType[typeName.toUpperCase()],
+    typeName,
+    size: DATA_SIZES[typeName],
     read: (data) => data[`read${typeName}`](),
     write: settable
       ? function (buffer, value) {
@@ -14,7 +32,39 @@ export function dataType(typeName, settable = false) {
           return buffer;
         }
       : function () {
-          throw new Error(`SimVar "${this.name}" is not settable`);
+          throw new NotSettableError(this.name);
+        },
+    settable,
+  };
+}
+
+export function structType(typeName, fields, settable = false, fieldUnits) {
+  return {
+    data_type: SimConnectDataType[typeName.toUpperCase()],
+    size: fields.length * 8,
+    fields,
+    fieldUnits,
+    read: (data) => {
+      const result = {};
+      fields.forEach((field) => (result[field] = data.readFloat64()));
+      return result;
+    },
+    write: settable
+      ? function (buffer, value) {
+          fields.forEach((field) => {
+            if (typeof value?.[field] !== `number`) {
+              throw new Error(
+                `SimVar "${this.name}" requires a { ${fields.join(
+                  `, `
+                )} } object`
+              );
+            }
+            buffer.writeFloat64(value[field]);
+          });
+          return buffer;
+        }
+      : function () {
+          throw new NotSettableError(this.name);
         },
     settable,
   };
@@ -38,6 +88,31 @@ export const String128 = dataType(`String128`);
 export const String256 = dataType(`String256`);
 export const StringV = dataType(`StringV`);
 
+// Struct data types. Note that SimConnect has no dedicated PBH type, but
+// a pitch/bank/heading triplet is the same 3x float64 layout as an XYZ.
+// Also note that LATLONALT values always use degrees and meters, rather
+// than the units that the simvar was requested with.
+const LLA_FIELDS = [`latitude`, `longitude`, `altitude`];
+const LLA_UNITS = {
+  latitude: `degrees`,
+  longitude: `degrees`,
+  altitude: `meters`,
+};
+const XYZ_FIELDS = [`x`, `y`, `z`];
+const PBH_FIELDS = [`pitch`, `bank`, `heading`];
+
+export const LatLonAlt = structType(`LatLonAlt`, LLA_FIELDS, false, LLA_UNITS);
+export const SLatLonAlt = structType(
+  `LatLonAlt`,
+  LLA_FIELDS,
+  SETTABLE,
+  LLA_UNITS
+);
+export const XYZ = structType(`XYZ`, XYZ_FIELDS);
+export const SXYZ = structType(`XYZ`, XYZ_FIELDS, SETTABLE);
+export const PBH = structType(`XYZ`, PBH_FIELDS);
+export const SPBH = structType(`XYZ`, PBH_FIELDS, SETTABLE);
+
 // Specific unit types
 export const Bool = { units: `bool` };
 export const Knots = { units: `knots` };
@@ -0,0 +1,307 @@
+/**
+ * Unit conversion for simvar values. SimConnect can convert numeric simvars
+ * to any unit in the same "family" itself, as long as we pass the unit we want
+ * to addToDataDefinition, but struct values (LATLONALT, XYZ, PBH) are always
+ * sent in their native units, so those we have to convert ourselves.
+ *
+ * Unit names are SimConnect unit names, and are matched case-insensitively.
+ */
+
+// Every unit family has a base unit, with each unit in that family expressed
+// as [toBase, fromBase] functions (or as a single scaling factor).
+const UNIT_FAMILIES = {
+  length: {
+    meters: 1,
+    centimeters: 0.01,
+    millimeters: 0.001,
+    kilometers: 1000,
+    feet: 0.3048,
+    inches: 0.0254,
+    miles: 1609.344,
+    "nautical miles": 1852,
+  },
+  angle: {
+    radians: 1,
+    degrees: Math.PI / 180,
+  },
+  speed: {
+    "meters per second": 1,
+    "feet per second": 0.3048,
+    "feet per minute": 0.3048 / 60,
+    knots: 1852 / 3600,
+    "kilometers per hour": 1000 / 3600,
+    "miles per hour": 1609.344 / 3600,
+  },
+  angularSpeed: {
+    "radians per second": 1,
+    "degrees per second": Math.PI / 180,
+  },
+  pressure: {
+    pascals: 1,
+    kilopascal: 1000,
+    millibars: 100,
+    "inches of mercury": 3386.389,
+    "pounds per square inch": 6894.757,
+    "millimeters of water": 9.80665,
+  },
+  temperature: {
+    kelvin: 1,
+    celsius: [(v) => v + 273.15, (v) => v - 273.15],
+    fahrenheit: [(v) => (v + 459.67) / 1.8, (v) => v * 1.8 - 459.67],
+    rankine: 1 / 1.8,
+  },
+  weight: {
+    kilograms: 1,
+    pounds: 0.45359237,
+    slugs: 14.593903,
+  },
+  volume: {
+    liters: 1,
+    gallons: 3.785411784,
+  },
+};
+
+// SimConnect accepts a number of alternative spellings for its units.
+const ALIASES = {
+  meter: `meters`,
+  m: `meters`,
+  foot: `feet`,
+  ft: `feet`,
+  inch: `inches`,
+  in: `inches`,
+  mile: `miles`,
+  "nautical mile": `nautical miles`,
+  nmile: `nautical miles`,
+  nmiles: `nautical miles`,
+  radian: `radians`,
+  degree: `degrees`,
+  knot: `knots`,
+  kph: `kilometers per hour`,
+  mph: `miles per hour`,
+  "m/s": `meters per second`,
+  "ft/min": `feet per minute`,
+  pascal: `pascals`,
+  pa: `pascals`,
+  millibar: `millibars`,
+  mbar: `millibars`,
+  hectopascals: `millibars`,
+  inhg: `inches of mercury`,
+  psi: `pounds per square inch`,
+  lbs: `pounds`,
+  kg: `kilograms`,
+  liter: `liters`,
+  gallon: `gallons`,
+};
+
+const normalize = (units) => {
+  const name = units.toLowerCase();
+  return ALIASES[name] ?? name;
+};
+
+/**
+ * Find the family and conversion functions for a unit.
+ *
+ * @param {*} units a SimConnect unit name
+ * @returns { family, toBase, fromBase }, or undefined if we don't know this unit
+ */
+function findUnit(units) {
+  if (!units) return;
+  const name = normalize(units);
+  for (const [family, list] of Object.entries(UNIT_FAMILIES)) {
+    const unit = list[name];
+    if (unit === undefined) continue;
+    if (typeof unit === `number`) {
+      return { family, toBase: (v) => v * unit, fromBase: (v) => v / unit };
+    }
+    const [toBase, fromBase] = unit;
+    return { family, toBase, fromBase };
+  }
+}
+
+/**
+ * Check whether two units are the same unit.
+ *
+ * @param {*} a
+ * @param {*} b
+ * @returns
+ */
+export function sameUnit(a, b) {
+  if (!a || !b) return a === b;
+  return normalize(a) === normalize(b);
+}
+
+/**
+ * Check whether we know how to convert between two units.
+ *
+ * @param {*} from
+ * @param {*} to
+ * @returns
+ */
+export function canConvert(from, to) {
+  const a = findUnit(from);
+  const b = findUnit(to);
+  return !!a && !!b && a.family === b.family;
+}
+
+/**
+ * Convert a value from one unit to another.
+ *
+ * @param {*} value
+ * @param {*} from
+ * @param {*} to
+ * @returns the converted value
+ * @throws if the units cannot be converted into each other
+ */
+export function convert(value, from, to) {
+  if (sameUnit(from, to)) return value;
+  if (!canConvert(from, to)) {
+    throw new Error(`Cannot convert "${from}" to "${to}".`);
+  }
+  return findUnit(to).fromBase(findUnit(from).toBase(value));
+}
+
+/**
+ * Unit profiles map the units that simvars are defined in to the units you'd
+ * rather work with. Units that are not in a profile are left as they are.
+ */
+const TO_DEGREES = {
+  radians: `degrees`,
+  "radians per second": `degrees per second`,
+};
+
+export const UnitProfiles = {
+  metric: {
+    ...TO_DEGREES,
+    feet: `meters`,
+    inches: `centimeters`,
+    miles: `kilometers`,
+    "nautical miles": `kilometers`,
+    knots: `kilometers per hour`,
+    "feet per second": `meters per second`,
+    "feet per minute": `meters per second`,
+    "miles per hour": `kilometers per hour`,
+    "inches of mercury": `millibars`,
+    "pounds per square inch": `kilopascal`,
+    rankine: `celsius`,
+    fahrenheit: `celsius`,
+    pounds: `kilograms`,
+    slugs: `kilograms`,
+    gallons: `liters`,
+  },
+  imperial: {
+    ...TO_DEGREES,
+    meters: `feet`,
+    centimeters: `inches`,
+    kilometers: `miles`,
+    "nautical miles": `miles`,
+    knots: `miles per hour`,
+    "kilometers per hour": `miles per hour`,
+    "meters per second": `feet per second`,
+    millibars: `inches of mercury`,
+    kilopascal: `pounds per square inch`,
+    rankine: `fahrenheit`,
+    celsius: `fahrenheit`,
+    kelvin: `fahrenheit`,
+    kilograms: `pounds`,
+    slugs: `pounds`,
+    liters: `gallons`,
+  },
+  aviation: {
+    ...TO_DEGREES,
+    meters: `feet`,
+    kilometers: `nautical miles`,
+    miles: `nautical miles`,
+    "kilometers per hour": `knots`,
+    "miles per hour": `knots`,
+    "meters per second": `knots`,
+    millibars: `inches of mercury`,
+    rankine: `celsius`,
+    fahrenheit: `celsius`,
+    kelvin: `celsius`,
+    kilograms: `pounds`,
+    slugs: `pounds`,
+    liters: `gallons`,
+  },
+};
+
+/**
+ * Find the unit that a profile wants a value in, if any.
+ *
+ * @param {*} profile a unit profile object
+ * @param {*} units the unit that a value is defined in
+ * @returns the profile's unit, or undefined
+ */
+export function getProfileUnit(profile, units) {
+  if (!profile || !units) return;
+  return profile[normalize(units)];
+}
+
+/**
+ * Build a version of a simvar definition that works in the requested units,
+ * or in the units that the profile asks for, if no specific units were
+ * requested. Numeric values are converted by SimConnect, so for those we
+ * only need to change the definition's units. Struct values get converted
+ * client-side, field by field.
+ *
+ * @param {*} def a simvar definition from the SimVars catalog
+ * @param {*} units (optional) the requested units
+ * @param {*} profile (optional) a unit profile object
+ * @returns a simvar definition
+ * @throws if the requested units cannot be used for this simvar
+ */
+export function withUnits(def, units, profile) {
+  if (!def) return def;
+
+  if (!def.fields) {
+    const target = units ?? getProfileUnit(profile, def.units);
+    if (!target || sameUnit(target, def.units)) return def;
+    const from = findUnit(def.units);
+    const to = findUnit(target);
+    if (!def.units || (from && to && from.family !== to.family)) {
+      throw new Error(
+        `Cannot use units "${target}" for SimVar "${def.name}" (${def.units}).`
+      );
+    }
+    return { ...def, units: target };
+  }
+
+  // Struct values: figure out the unit for each field.
+  const fieldUnit = (field) => def.fieldUnits?.[field] ?? def.units;
+  if (
+    units &&
+    !def.fields.some((field) => canConvert(fieldUnit(field), units))
+  ) {
+    throw new Error(`Cannot use units "${units}" for SimVar "${def.name}".`);
+  }
+
+  const conversions = def.fields
+    .map((field) => {
+      const from = fieldUnit(field);
+      const to =
+        units && canConvert(from, units)
+          ? units
+          : getProfileUnit(profile, from);
+      return { field, from, to };
+    })
+    .filter(({ from, to }) => to && !sameUnit(from, to));
+  if (!conversions.length) return def;
+
+  const convertFields = (value, forward) => {
+    const result = { ...value };
+    conversions.forEach(({ field, from, to }) => {
+      if (typeof result[field] !== `number`) return;
+      result[field] = forward
+        ? convert(result[field], from, to)
+        : convert(result[field], to, from);
+    });
+    return result;
+  };
+
+  return {
+    ...def,
+    read: (data) => convertFields(def.read(data), true),
+    write: function (buffer, value) {
+      return def.write.call(this, buffer, convertFields(value, false));
+    },
+  };
+}
@@ -15,6 +15,7 @@ import fs from "node:fs";
 import zlib from "node:zlib";
 import { Protocol, open } from "node-simconnect";
 import { getDistanceBetweenPoints as dist } from "./utils.js";
+import { IdNamespaces } from "../id-allocator.js";
 import {
   RUNWAY_SURFACES,
   RUNWAY_NUMBER,
@@ -51,24 +52,20 @@ const SPECIAL_VARS = [ALL_AIRPORTS, NEARBY_AIRPORTS, AIRPORT];
 
 const AIRPORT_TYPE = SIMCONNECT_FACILITY_LIST_TYPE_AIRPORT;
 
-const nextId = (function () {
-  const startId = 100;
-  let id = startId;
-  return () => {
-    if (id > 900) {
-      id = startId;
-    }
-    return id++;
-  };
-})();
+const { REQUEST, FACILITY } = IdNamespaces;
 
 /**
  * ...docs go here...
  */
 export async function getAirportHandler(api, handle) {
   const TYPE = SIMCONNECT_FACILITY_LIST_TYPE_AIRPORT;
-  const IN_RANGE = api.nextId();
-  const OUT_OF_RANGE = api.nextId();
+  const IN_RANGE = api.nextId(REQUEST, `airports in range`);
+  const OUT_OF_RANGE = api.nextId(REQUEST, `airports out of range`);
+  const release = () => {
+    api.releaseId(REQUEST, IN_RANGE);
+    api.releaseId(REQUEST, OUT_OF_RANGE);
+  };
+  handle.on(`close`, release);
   handle.on(`airportList`, ({ requestID: id, airports }) => {
     if (id === IN_RANGE || id === OUT_OF_RANGE) {
       const eventName =
@@ -90,6 +87,8 @@ export async function getAirportHandler(api, handle) {
       return airports.get(varName);
     }
 
+    handler.release = release;
+
     handler.supports = function (name) {
       if (SPECIAL_VARS.includes(name)) return true;
       if (name.startsWith(NEARBY_AIRPORTS)) return true;
@@ -116,8 +115,9 @@ export class AirportHandler {
     this.handle = handle;
     console.log(`registering facility data`);
 
+    const { api } = this;
     const list = [];
-    const requestId = nextId();
+    const requestId = api.nextId(REQUEST, `all airports list`);
     await new Promise((resolve) => {
       const handler = (data) => {
         if (data.requestID === requestId) {
@@ -125,6 +125,7 @@ export class AirportHandler {
           list.push(...airports);
           if (entryNumber >= outOf - 1) {
             handle.off("airportList", handler);
+            api.releaseId(REQUEST, requestId);
             resolve();
           }
         }
@@ -168,13 +169,13 @@ export class AirportHandler {
     console.log(`No airport database found: building a new one.`);
 
     let N = 0;
-    const AHC = 1000;
+    const AHC = api.nextId(FACILITY, `airport details`);
     setDetailFields(handle, AHC);
 
     function getAirportDetails({ icao }) {
       return new Promise((resolve) => {
         const airportData = { icao, runways: [] };
-        const requestID = nextId();
+        const requestID = api.nextId(REQUEST, `airport details for ${icao}`);
 
         const processData = ({ userRequestId: id, type, data }) => {
           if (type === 0) addAirportDetails(data, airportData);
@@ -184,6 +185,7 @@ export class AirportHandler {
         const processDataEnd = ({ userRequestId: id, ...rest }) => {
           handle.off("facilityData", processData);
           handle.off("facilityDataEnd", processDataEnd);
+          api.releaseId(REQUEST, requestID);
           resolve(airportData);
         };
 
@@ -213,6 +215,7 @@ export class AirportHandler {
     });
 
     handle.close();
+    api.releaseId(FACILITY, AHC);
 
     const json = JSON.stringify(this.airports, null, 2);
     const zipped = zlib.gzipSync(Buffer.from(json));
@@ -246,9 +249,10 @@ export class AirportHandler {
    * @returns
    */
   async getAllNearbyAirports(varName) {
+    // Explicitly ask for radians, so that unit profiles don't affect our maths.
     const { PLANE_LATITUDE: lat, PLANE_LONGITUDE: long } = await this.api.get(
-      `PLANE_LATITUDE`,
-      `PLANE_LONGITUDE`
+      { name: `PLANE_LATITUDE`, units: `radians` },
+      { name: `PLANE_LONGITUDE`, units: `radians` }
     );
     const distanceNM = getVarArg(varName) ?? 200;
     const KM = distanceNM * KM_PER_NM;
@@ -0,0 +1,64 @@
+/**
+ * "Did you mean" suggestions for unknown names, shared by the
+ * simvar, SimEvent, and input event lookups, and their errors.
+ */
+
+/**
+ * The number of single-character edits needed to turn one string into another.
+ *
+ * @param {*} a
+ * @param {*} b
+ * @returns
+ */
+export function editDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+    }
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+/**
+ * Find the names that are closest to a name that isn't one of them.
+ * Names are compared after normalizing them, which by default just
+ * uppercases them, and only names that are "close enough", relative
+ * to the length of the unknown name, get suggested.
+ *
+ * @param {*} name the unknown name
+ * @param {*} names the list of known names
+ * @param {*} options (optional) { count, normalize, distance }, with count defaulting to 3, and distance to editDistance
+ * @returns a list of known names, best match first
+ */
+export function suggestNames(name, names, options = {}) {
+  const {
+    count = 3,
+    normalize = (s) => s.toUpperCase(),
+    distance = editDistance,
+  } = options;
+  name = normalize(name);
+  const maxDistance = Math.max(2, Math.floor(name.length / 3));
+  return names
+    .map((key) => ({ key, distance: distance(name, normalize(key)) }))
+    .filter(({ distance }) => distance <= maxDistance)
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, count)
+    .map(({ key }) => key);
+}
+
+/**
+ * Turn a list of suggestions into a " Did you mean ...?" hint that
+ * can be appended to an error message.
+ *
+ * @param {*} suggestions a (possibly empty) list of names
+ * @returns the hint, or an empty string if there are no suggestions
+ */
+export function didYouMean(suggestions) {
+  if (!suggestions.length) return ``;
+  const list = suggestions.map((s) => `"${s}"`).join(`, `);
+  return ` Did you mean ${list}?`;
+}
@@ -1,5 +1,42 @@
 // See https://docs.flightsimulator.com/html/Programming_Tools/SimConnect/API_Reference/Events_And_Data/SimConnect_SubscribeToSystemEvent.htm
 
+import { SimObjectType } from "node-simconnect";
+
+// See SIMCONNECT_RECV_EVENT for the Pause_EX1 flags.
+const PAUSE_FLAGS = {
+  fullPause: 0x1,
+  legacyPause: 0x2,
+  activePause: 0x4,
+  simPause: 0x8,
+};
+
+// See SIMCONNECT_VIEW_SYSTEM_EVENT_DATA.
+const VIEW_FLAGS = {
+  cockpit2D: 0x1,
+  virtualCockpit: 0x2,
+  orthogonal: 0x4,
+};
+
+const readFlags = (flags, value) => {
+  const result = {};
+  Object.entries(flags).forEach(([name, flag]) => {
+    result[name] = (value & flag) !== 0;
+  });
+  return result;
+};
+
+// Events that come with a filename are sent as SIMCONNECT_RECV_EVENT_FILENAME.
+// Some of these also have a system state that holds the current filename,
+// which is listed as the event's "state" in the catalog below.
+const fromFilename = ({ fileName, flags }) => ({ filename: fileName, flags });
+
+// Events for AI objects are sent as SIMCONNECT_RECV_EVENT_OBJECT_ADDREMOVE,
+// with the object's id as data, and its SIMCONNECT_SIMOBJECT_TYPE as type.
+const fromAddRemove = ({ data, type }) => ({
+  objectId: data,
+  objectType: SimObjectType[type],
+});
+
 export const SystemEvents = {
   "1_SEC": {
     name: `1sec`,
@@ -16,6 +53,8 @@ export const SystemEvents = {
   AIRCRAFT_LOADED: {
     name: `AircraftLoaded`,
     desc: `Request a notification when the aircraft flight dynamics file is changed. These files have a .AIR extension. The filename is returned in a SIMCONNECT_RECV_EVENT_FILENAME structure.`,
+    decode: fromFilename,
+    state: `AircraftLoaded`,
   },
   CRASHED: {
     name: `Crashed`,
@@ -32,14 +71,17 @@ export const SystemEvents = {
   FLIGHT_LOADED: {
     name: `FlightLoaded`,
     desc: `Request a notification when a flight is loaded. Note that when a flight is ended, a default flight is typically loaded, so these events will occur when flights and missions are started and finished. The filename of the flight loaded is returned in a SIMCONNECT_RECV_EVENT_FILENAME structure.`,
+    decode: fromFilename,
   },
   FLIGHT_SAVED: {
     name: `FlightSaved`,
     desc: `Request a notification when a flight is saved correctly. The filename of the flight saved is returned in a SIMCONNECT_RECV_EVENT_FILENAME structure.`,
+    decode: fromFilename,
   },
   FLIGHT_PLAN_ACTIVATED: {
     name: `FlightPlanActivated`,
     desc: `Request a notification when a new flight plan is activated. The filename of the activated flight plan is returned in a SIMCONNECT_RECV_EVENT_FILENAME structure.`,
+    decode: fromFilename,
   },
   FLIGHT_PLAN_DEACTIVATED: {
     name: `FlightPlanDeactivated`,
@@ -52,10 +94,12 @@ export const SystemEvents = {
   OBJECT_ADDED: {
     name: `ObjectAdded`,
     desc: `Request a notification when an AI object is added to the simulation. Refer also to the SIMCONNECT_RECV_EVENT_OBJECT_ADDREMOVE structure.`,
+    decode: fromAddRemove,
   },
   OBJECT_REMOVED: {
     name: `ObjectRemoved`,
     desc: `Request a notification when an AI object is removed from the simulation. Refer also to the SIMCONNECT_RECV_EVENT_OBJECT_ADDREMOVE structure.`,
+    decode: fromAddRemove,
   },
   PAUSE: {
     name: `Pause`,
@@ -64,6 +108,10 @@ export const SystemEvents = {
   PAUSE_EX1: {
     name: `Pause_EX1`,
     desc: `Request notifications when the flight is paused or unpaused, and also immediately returns the current pause state with more detail than the regular Pause system event. The state is returned in the dwData parameter, see documentation.`,
+    decode: ({ data }) => ({
+      paused: data !== 0,
+      ...readFlags(PAUSE_FLAGS, data),
+    }),
   },
   PAUSED: {
     name: `Paused`,
@@ -100,5 +148,37 @@ export const SystemEvents = {
   VIEW: {
     name: `View`,
     desc: `Requests a notification when the user aircraft view is changed. This request will also return the current view immediately. A flag is returned in the dwData parameter, one of: SIMCONNECT_VIEW_SYSTEM_EVENT_DATA_COCKPIT_2D SIMCONNECT_VIEW_SYSTEM_EVENT_DATA_COCKPIT_VIRTUAL SIMCONNECT_VIEW_SYSTEM_EVENT_DATA_ORTHOGONAL (the map view).`,
+    decode: ({ data }) => readFlags(VIEW_FLAGS, data),
   },
 };
+
+// System events can be subscribed to by name, so we also need
+// to be able to find their catalog entries by name.
+const byName = {};
+Object.values(SystemEvents).forEach((e) => (byName[e.name.toLowerCase()] = e));
+
+/**
+ * Look up a system event in the catalog, by its SimConnect name.
+ *
+ * @param {*} eventName the SimConnect event name, e.g. `AircraftLoaded`
+ * @returns the event's definition, or undefined if it is not in the catalog
+ */
+export function findSystemEvent(eventName) {
+  return byName[eventName.toLowerCase()];
+}
+
+/**
+ * Turn the data that SimConnect sent for a system event into the value
+ * that gets passed to handlers: a { filename, flags } object for events
+ * that come with a filename, an { objectId, objectType } object for AI
+ * object events, an object of named booleans for Pause_EX1 and View, and
+ * the plain data value for all other events.
+ *
+ * @param {*} eventName the SimConnect event name, e.g. `FlightLoaded`
+ * @param {*} event the RecvEvent (or RecvEventFilename, or RecvEventAddRemove)
+ * @returns
+ */
+export function decodeSystemEvent(eventName, event) {
+  const decode = findSystemEvent(eventName)?.decode;
+  return decode ? decode(event) : event.data;
+}
@@ -1,17 +1,60 @@
-import { SystemEvents, MSFS_API, MSFS_NOT_CONNECTED } from "../msfs-api.js";
+import fs from "node:fs";
+import os from "node:os";
+import {
+  SystemEvents,
+  SimEvents,
+  MSFS_API,
+  NotConnectedError,
+  UnknownSimVarError,
+  UnknownSimEventError,
+  UnknownInputEventError,
+  InvalidEventValueError,
+  CalculatorCodeError,
+  SimConnectException,
+  RequestTimeoutError,
+  ConnectionLostError,
+  IdExhaustedError,
+  IdNamespaces,
+} from "../msfs-api.js";
+import { IdAllocator } from "../id-allocator.js";
 import { SimVars } from "../simvars/index.js";
+import { Float64 } from "../simvars/simvar-utils.js";
+import { FakeSimConnect } from "../fake-simconnect/index.js";
+import { FlightRecorder } from "../recorder/flight-recorder.js";
+import { FlightReplay } from "../recorder/flight-replay.js";
+import { TrafficManager } from "../traffic/traffic-manager.js";
+import { AircraftProfile } from "../aircraft/aircraft-profile.js";
+
+import path from "node:path";
+import url from "node:url";
+const __dirname = url.fileURLToPath(new URL(".", import.meta.url));
+const AIRPORT_DB_LOCATION = path.join(__dirname, `..`, `airport.db.gz`);
+
+// Run with --offline to test against the SimConnect stand-in rather than MSFS.
+const OFFLINE = process.argv.includes(`--offline`);
 
 const api = new MSFS_API();
 
+// The stand-in, and its address, when running in offline mode.
+let standIn, standInAddress;
+
 /**
  * ...docs go here...
  */
 (async function tryConnect() {
   console.log(`Testing call prevention prior to connection`);
   await testAPriori();
+  console.log(`Testing id allocation`);
+  testIdAllocator();
+  const opts = {};
+  if (OFFLINE) {
+    console.log(`Starting SimConnect stand-in`);
+    Object.assign(opts, await startStandIn());
+  }
   console.log(`Awaiting connection`);
   api.connect({
-    autoReconnect: true,
+    ...opts,
+    autoReconnect: !OFFLINE,
     retries: Infinity,
     retryInterval: 5,
     onConnect: connect,
@@ -20,20 +63,136 @@ const api = new MSFS_API();
   });
 })();
 
+/**
+ * Start a SimConnect stand-in with the plane sitting
+ * on the apron at a (very small) test airport.
+ */
+async function startStandIn() {
+  const latitude = 48.8;
+  const longitude = -123.2;
+  const radians = (deg) => (deg / 180) * Math.PI;
+  const airport = {
+    icao: `TEST`,
+    latitude,
+    longitude,
+    altitude: 100,
+    declination: 16,
+    name: `Test Airport`,
+    name64: `Test Airport`,
+    region: `TS`,
+    runways: [
+      {
+        latitude,
+        longitude,
+        altitude: 100,
+        heading: 90,
+        length: 1000,
+        width: 30,
+        patternAltitude: 300,
+        slope: 0,
+        slopeTrue: 0,
+        surface: `asphalt`,
+        approach: [
+          {
+            designation: `none`,
+            marking: `9`,
+            ILS: { type: `none`, icao: ``, region: `` },
+          },
+          {
+            designation: `none`,
+            marking: `27`,
+            ILS: { type: `none`, icao: ``, region: `` },
+          },
+        ],
+      },
+    ],
+  };
+
+  const sim = new FakeSimConnect({
+    simvars: {
+      "PLANE LATITUDE": radians(latitude),
+      "PLANE LONGITUDE": radians(longitude),
+      "PLANE ALTITUDE": 100,
+      // LATLONALT structs use degrees and meters.
+      "STRUCT LATLONALT": { latitude, longitude, altitude: 30.48 },
+      "CAMERA STATE": 2,
+      TITLE: `MSFS API Test Aircraft`,
+      "ATC MODEL": `TEST`,
+      "NUMBER OF ENGINES": 1,
+      "IS GEAR WHEELS": 1,
+      "FLAPS NUM HANDLE POSITIONS": 3,
+      "DESIGN SPEED VS0": 40,
+      "DESIGN SPEED VS1": 48,
+      // 120 knots, as this simvar uses feet per second.
+      "DESIGN SPEED VC": 202.537,
+    },
+    events: {
+      TOGGLE_TAILWHEEL_LOCK: (_value, sim) =>
+        sim.setSimVar(
+          `TAILWHEEL LOCK ON`,
+          sim.getSimVar(`TAILWHEEL LOCK ON`) ? 0 : 1
+        ),
+    },
+    airports: [airport],
+    systemState: {
+      AircraftLoaded: `SimObjects\\Airplanes\\MSFS API Test\\aircraft.CFG`,
+    },
+    titles: [`MSFS API Test Aircraft`, `MSFS API Test Truck`],
+    inputEvents: {
+      LIGHTING_LANDING_1: 0,
+      AS1000_PFD_SCRATCHPAD: ``,
+    },
+    // Just enough calculator code to stand in for the companion WASM module.
+    calculator: (code, sim) => {
+      const [, name, units] = code.match(/^\(A:([^,]+), (\w+)\)$/) ?? [];
+      if (!name) throw new Error(`unsupported calculator code`);
+      const value = sim.getSimVar(name);
+      return units === `string` ? `${value}` : value;
+    },
+  });
+
+  // The stand-in's airports are not MSFS's airports, so make sure
+  // we don't leave an airport database behind that's based on them.
+  if (!fs.existsSync(AIRPORT_DB_LOCATION)) {
+    process.on(`exit`, () => fs.rmSync(AIRPORT_DB_LOCATION, { force: true }));
+  }
+
+  const port = await sim.listen();
+  standIn = sim;
+  standInAddress = { host: `127.0.0.1`, port };
+  return standInAddress;
+}
+
 /**
  * ...docs go here...
  */
 async function testAPriori() {
   try {
     await Promise.all(
-      [`on`, `trigger`, `get`, `set`, `schedule`].map(async (fname) => {
+      [
+        `on`,
+        `intercept`,
+        `trigger`,
+        `get`,
+        `set`,
+        `schedule`,
+        `subscribe`,
+        `listInputEvents`,
+        `getInputEvent`,
+        `setInputEvent`,
+        `subscribeInputEvent`,
+        `createClientData`,
+        `setClientData`,
+        `subscribeClientData`,
+        `executeCalculatorCode`,
+      ].map(async (fname) => {
         try {
           await api[fname](`the function input should not matter`);
           throw new Error(
             `"${fname}" was allowed through, despite there not being a connection yet.`
           );
         } catch (e) {
-          if (e.message !== MSFS_NOT_CONNECTED) throw e;
+          if (!(e instanceof NotConnectedError)) throw e;
         }
       })
     );
@@ -42,6 +201,34 @@ async function testAPriori() {
   }
 }
 
+/**
+ * Verify that ids get reused once released, and that
+ * running out of ids results in an IdExhaustedError.
+ */
+function testIdAllocator() {
+  const { REQUEST, DEFINITION } = IdNamespaces;
+  const ids = new IdAllocator({ [REQUEST]: 2 });
+  const first = ids.next(REQUEST, `first`);
+  ids.next(REQUEST, `second`);
+  if (ids.next(DEFINITION) !== first) {
+    throw new Error(`Namespaces should not share ids`);
+  }
+  try {
+    ids.next(REQUEST);
+    throw new Error(`Allocated more ids than the namespace has`);
+  } catch (e) {
+    if (!(e instanceof IdExhaustedError)) throw e;
+  }
+  ids.release(REQUEST, first);
+  if (ids.next(REQUEST, `third`) !== first) {
+    throw new Error(`Released id was not reused`);
+  }
+  const purposes = ids.list()[REQUEST].map(({ purpose }) => purpose);
+  if (purposes.join() !== `third,second`) {
+    throw new Error(`Unexpected active ids: ${purposes}`);
+  }
+}
+
 /**
  * ...docs go here...
  * @param {*} handle
@@ -92,8 +279,20 @@ async function connect(handle) {
   try {
     console.log(`Quick "unknown var" test`);
     await api.get(`PLANE_LONGITUDE`, `NO_THANKS`);
+    throw new Error(`Getting an unknown simvar was allowed!`);
+  } catch (e) {
+    if (!(e instanceof UnknownSimVarError) || e.simvar !== `NO THANKS`) throw e;
+  }
+
+  try {
+    console.log(`Quick "did you mean" test`);
+    await api.get(`PLANE_LATTITUDE`);
+    throw new Error(`Getting a misspelled simvar was allowed!`);
   } catch (e) {
-    if (e.message !== `Cannot get SimVar: "NO THANKS" unknown.`) throw e;
+    if (!(e instanceof UnknownSimVarError)) throw e;
+    if (!e.suggestions.includes(`PLANE LATITUDE`)) throw e;
+    if (!e.message.includes(`Did you mean "PLANE LATITUDE"`)) throw e;
+    console.log(e.message);
   }
 
   runTests(api);
@@ -110,6 +309,55 @@ async function runTests(api) {
   console.log(`Running sim events tests`);
   await testSimEvents(api);
 
+  console.log(`Running input events test`);
+  await testInputEvents(api);
+
+  console.log(`Running namespaced variables test`);
+  await testNamespacedVars(api);
+
+  console.log(`Running system state test`);
+  await testSystemState(api);
+
+  if (OFFLINE) {
+    console.log(`Running client data test`);
+    await testClientData(api);
+
+    console.log(`Running calculator code test`);
+    await testCalculatorCode(api);
+
+    console.log(`Running traffic test`);
+    await testTraffic(api);
+
+    console.log(`Running spawning test`);
+    await testSpawning(api);
+
+    console.log(`Running system event payload test`);
+    await testSystemEventPayloads(api);
+
+    console.log(`Running aircraft profile test`);
+    await testAircraftProfile(api);
+  }
+
+  console.log(`Running unit conversion test`);
+  await testUnits(api);
+
+  console.log(`Running struct simvar test`);
+  await testStructs(api);
+
+  console.log(`Running subscription test`);
+  await testSubscription(api);
+
+  console.log(`Running recording test`);
+  await testRecording(api);
+
+  if (OFFLINE) {
+    console.log(`Running reconnect test`);
+    await testReconnect();
+
+    console.log(`Running request timeout test`);
+    await testRequestTimeouts();
+  }
+
   console.log(`Running interval test`);
   testInterval(api, () => {
     process.exit(0);
@@ -144,6 +392,895 @@ async function testSimEvents(api) {
     throw new Error(`TAILWHEEL_LOCK_ON did not change state!`);
   }
   console.log(`\nSim event trigger passed.\n`);
+
+  await api.trigger(`TOGGLE_TAILWHEEL_LOCK`);
+  const mapped = api
+    .getActiveIds()
+    .event.filter(({ purpose }) => purpose.includes(`TOGGLE_TAILWHEEL_LOCK`));
+  if (mapped.length !== 1) {
+    throw new Error(`TOGGLE_TAILWHEEL_LOCK was mapped ${mapped.length} times`);
+  }
+
+  try {
+    api.trigger(`TOGGLE_TAILWHEEL_LOK`);
+    throw new Error(`trigger was allowed to use an unknown event!`);
+  } catch (e) {
+    if (!(e instanceof UnknownSimEventError)) throw e;
+    if (e.suggestions[0] !== `TOGGLE_TAILWHEEL_LOCK`) {
+      throw new Error(`Expected TOGGLE_TAILWHEEL_LOCK as a suggestion`);
+    }
+  }
+
+  // Events that aren't in the catalog can be sent explicitly, using
+  // the same mapping as the plain name.
+  lock = await api.get(`TAILWHEEL_LOCK_ON`);
+  await api.trigger(`K:TOGGLE_TAILWHEEL_LOCK`);
+  newlock = await api.get(`TAILWHEEL_LOCK_ON`);
+  if (lock.TAILWHEEL_LOCK_ON === newlock.TAILWHEEL_LOCK_ON) {
+    throw new Error(`K:TOGGLE_TAILWHEEL_LOCK did not change state!`);
+  }
+  const remapped = api
+    .getActiveIds()
+    .event.filter(({ purpose }) => purpose.includes(`TOGGLE_TAILWHEEL_LOCK`));
+  if (remapped.length !== 1) {
+    throw new Error(`K:TOGGLE_TAILWHEEL_LOCK got its own mapping`);
+  }
+  try {
+    api.trigger(`ANTI_ICE_SET_ENG1`, 2);
+    throw new Error(`trigger was allowed to use an out of range value!`);
+  } catch (e) {
+    if (!(e instanceof InvalidEventValueError)) throw e;
+  }
+  try {
+    api.trigger(`AXIS_ELEVATOR_SET`, 20000);
+    throw new Error(`trigger was allowed to use an out of range value!`);
+  } catch (e) {
+    if (!(e instanceof InvalidEventValueError)) throw e;
+  }
+  try {
+    api.trigger(`AP_ALT_VAR_SET_ENGLISH`, 4500, -1);
+    throw new Error(`trigger was allowed to use an out of range second value!`);
+  } catch (e) {
+    if (!(e instanceof InvalidEventValueError)) throw e;
+  }
+  console.log(`Sim event validation passed.\n`);
+
+  const received = OFFLINE && new Promise((r) => standIn.once(`event`, r));
+  await api.trigger(`AP_VS_VAR_SET_ENGLISH`, -500.4, 1);
+  if (OFFLINE) {
+    const { values } = await received;
+    if (values.join() !== `-500,1,0,0,0`) {
+      throw new Error(`trigger sent the wrong values: ${values}`);
+    }
+  }
+  console.log(`Sim event with multiple values passed.\n`);
+
+  // An event that could not be sent should not count as a success.
+  const { transmitClientEventEx } = api.handle;
+  api.handle.transmitClientEventEx = () => {
+    throw new Error(`send failed`);
+  };
+  let failed;
+  try {
+    failed = api.trigger(`TOGGLE_TAILWHEEL_LOCK`);
+  } finally {
+    api.handle.transmitClientEventEx = transmitClientEventEx;
+  }
+  try {
+    await failed;
+    throw new Error(`a failed event send was reported as a success!`);
+  } catch (e) {
+    if (e.message !== `send failed`) throw e;
+  }
+  console.log(`Failed sim event send passed.\n`);
+
+  const tailwheelLocked = async () =>
+    (await api.get(`TAILWHEEL_LOCK_ON`)).TAILWHEEL_LOCK_ON;
+
+  lock = await tailwheelLocked();
+  const heard = new Promise((resolve) => {
+    const off = api.on(`TOGGLE_TAILWHEEL_LOCK`, () => {
+      off();
+      // Calling off() more than once should be harmless.
+      off();
+      resolve();
+    });
+  });
+  await api.trigger(`TOGGLE_TAILWHEEL_LOCK`);
+  await heard;
+  newlock = await tailwheelLocked();
+  if (lock === newlock) {
+    throw new Error(`a sim event listener stopped the event from running!`);
+  }
+
+  lock = newlock;
+  const masked = new Promise((resolve) => {
+    const off = api.on(
+      SimEvents.TOGGLE_TAILWHEEL_LOCK,
+      () => {
+        off();
+        resolve();
+      },
+      { mask: true }
+    );
+  });
+  await api.trigger(`TOGGLE_TAILWHEEL_LOCK`);
+  await masked;
+  newlock = await tailwheelLocked();
+  if (lock !== newlock) {
+    throw new Error(`a masking sim event listener did not mask the event!`);
+  }
+
+  await api.trigger(`TOGGLE_TAILWHEEL_LOCK`);
+  newlock = await tailwheelLocked();
+  if (lock === newlock) {
+    throw new Error(`the event was still masked after calling off()!`);
+  }
+
+  // Event names are case-insensitive, and system event names should
+  // resolve to system events rather than getting mapped as sim events.
+  const offLowercase = api.on(`toggle_tailwheel_lock`, () => {});
+  const offPause = api.on(`Pause`, () => {});
+  const purposes = api.getActiveIds().event.map(({ purpose }) => purpose);
+  offLowercase();
+  offPause();
+  if (purposes.filter((p) => /TAILWHEEL_LOCK$/i.test(p)).length !== 1) {
+    throw new Error(`a lowercase event name got its own mapping`);
+  }
+  if (!purposes.includes(`system event Pause`)) {
+    throw new Error(`"Pause" was not resolved to a system event`);
+  }
+  if (purposes.some((p) => /sim event pause/i.test(p))) {
+    throw new Error(`"Pause" was mapped as a sim event`);
+  }
+  console.log(`Sim event listeners passed.\n`);
+
+  let intercepted = 0;
+  const release = api.intercept(`TOGGLE_TAILWHEEL_LOCK`, (_value, forward) => {
+    if (intercepted++) forward();
+  });
+  lock = await tailwheelLocked();
+  await api.trigger(`TOGGLE_TAILWHEEL_LOCK`);
+  if (intercepted !== 1 || (await tailwheelLocked()) !== lock) {
+    throw new Error(`the intercepted event was not swallowed!`);
+  }
+  await api.trigger(`TOGGLE_TAILWHEEL_LOCK`);
+  if (intercepted !== 2 || (await tailwheelLocked()) === lock) {
+    throw new Error(`the intercepted event was not forwarded!`);
+  }
+  release();
+  release();
+  api.off(`NOT_AN_EVENT_WE_LISTEN_TO`, () => {});
+  try {
+    api.intercept(SystemEvents.PAUSE, () => {});
+    throw new Error(`intercept was allowed to use a system event!`);
+  } catch (e) {
+    if (!(e instanceof UnknownSimEventError)) throw e;
+  }
+  console.log(`Sim event interception passed.\n`);
+
+  const { PLANE_ALTITUDE, AIRSPEED_TRUE } = await api.get(
+    `PLANE_ALTITUDE`,
+    `AIRSPEED_TRUE`
+  );
+  await api.setMany({ PLANE_ALTITUDE: PLANE_ALTITUDE + 10, AIRSPEED_TRUE });
+  const updated = await api.get(`PLANE_ALTITUDE`);
+  if (Math.abs(updated.PLANE_ALTITUDE - PLANE_ALTITUDE - 10) > 5) {
+    throw new Error(`setMany did not update PLANE_ALTITUDE!`);
+  }
+  await api.set(`PLANE_ALTITUDE`, PLANE_ALTITUDE);
+
+  try {
+    api.setMany({ PLANE_ALTITUDE, PLANE_LATITUDE: 0, NO_THANKS: 1 });
+    throw new Error(`setMany was allowed to set an unknown simvar!`);
+  } catch (e) {
+    if (!(e instanceof UnknownSimVarError) || e.simvar !== `NO THANKS`) throw e;
+  }
+  console.log(`Batched set passed.\n`);
+}
+
+/**
+ * Input events are aircraft specific, so against MSFS we can only
+ * list them, but against the stand-in we know which ones exist.
+ * @param {*} api
+ */
+async function testInputEvents(api) {
+  const inputEvents = await api.listInputEvents();
+  console.log(`${inputEvents.length} input events for the current aircraft`);
+  if (!OFFLINE) return;
+
+  const name = `LIGHTING_LANDING_1`;
+  const changes = [];
+  const unsubscribe = await api.subscribeInputEvent(name, (value) =>
+    changes.push(value)
+  );
+  await api.setInputEvent(name, 1);
+  if ((await api.getInputEvent(name)) !== 1) {
+    throw new Error(`setInputEvent did not set ${name}!`);
+  }
+  standIn.setInputEvent(name, 0);
+  await api.getInputEvent(name);
+  unsubscribe();
+  if (changes.join() !== `1,0`) {
+    throw new Error(`Unexpected input event changes: ${changes}`);
+  }
+
+  await api.setInputEvent(`AS1000_PFD_SCRATCHPAD`, `KLAX`);
+  if ((await api.getInputEvent(`AS1000_PFD_SCRATCHPAD`)) !== `KLAX`) {
+    throw new Error(`setInputEvent did not set a string input event!`);
+  }
+
+  try {
+    await api.getInputEvent(`LIGHTING_LANDING_2`);
+    throw new Error(`getInputEvent was allowed to use an unknown input event!`);
+  } catch (e) {
+    if (!(e instanceof UnknownInputEventError)) throw e;
+    if (!e.suggestions.includes(name)) throw e;
+  }
+  console.log(`Input events passed.\n`);
+}
+
+/**
+ * L:vars get created when they're first set, so we can use
+ * our own, rather than relying on a specific aircraft's.
+ * @param {*} api
+ */
+async function testNamespacedVars(api) {
+  const name = `L:MSFS_API_TEST_VAR`;
+  await api.set(name, 42);
+  const { [name]: value } = await api.get(name);
+  if (value !== 42) {
+    throw new Error(`Expected ${name} to be 42, not ${value}`);
+  }
+
+  const changed = new Promise((resolve) => {
+    const unsubscribe = api.subscribe([name], (values) => {
+      if (values[name] !== 43) return;
+      unsubscribe();
+      resolve();
+    });
+  });
+  await api.set(name, 43);
+  await changed;
+
+  const { PLANE_ALTITUDE } = await api.get(`A:PLANE_ALTITUDE`);
+  if (typeof PLANE_ALTITUDE !== `number`) {
+    throw new Error(`A: prefixed simvar was not resolved!`);
+  }
+
+  // Prefixes are case-insensitive, and names can be followed by their units.
+  const { [name]: lowercase } = await api.get(`l:MSFS_API_TEST_VAR`);
+  if (lowercase !== 43) {
+    throw new Error(`Expected l:MSFS_API_TEST_VAR to be 43, not ${lowercase}`);
+  }
+  const { PLANE_ALTITUDE: meters } = await api.get(`PLANE_ALTITUDE`, {
+    units: `meters`,
+  });
+  if (Math.abs(meters - PLANE_ALTITUDE * 0.3048) > 1) {
+    throw new Error(`Expected ${PLANE_ALTITUDE} feet, not ${meters} meters`);
+  }
+  try {
+    api.get(name, { unit: `inches` });
+    throw new Error(`get() allowed an unknown option!`);
+  } catch (e) {
+    if (!e.message.startsWith(`Unknown get() option`)) throw e;
+  }
+  console.log(`Namespaced variables passed.\n`);
+}
+
+/**
+ * System states can be asked for at any time,
+ * so only the exact values are offline only.
+ * @param {*} api
+ */
+async function testSystemState(api) {
+  const [aircraft, sim] = await Promise.all([
+    api.getSystemState(`AircraftLoaded`),
+    api.getSystemState(`Sim`),
+  ]);
+  if (typeof aircraft !== `string` || typeof sim !== `boolean`) {
+    throw new Error(`Unexpected system state values: ${aircraft}, ${sim}`);
+  }
+  if (OFFLINE && !aircraft.endsWith(`MSFS API Test\\aircraft.CFG`)) {
+    throw new Error(`Unexpected loaded aircraft: ${aircraft}`);
+  }
+  console.log(`loaded aircraft: ${aircraft}`);
+
+  // Listeners get the current aircraft without having to wait for a change,
+  // with later listeners getting it right away.
+  let off;
+  const first = await new Promise(
+    (resolve) => (off = api.on(SystemEvents.AIRCRAFT_LOADED, resolve))
+  );
+  off();
+  let second;
+  api.on(SystemEvents.AIRCRAFT_LOADED, (data) => (second = data))();
+  if (first.filename !== aircraft || second?.filename !== aircraft) {
+    throw new Error(`AIRCRAFT_LOADED did not get the current aircraft!`);
+  }
+
+  try {
+    api.getSystemState(`Weather`);
+    throw new Error(`An unknown system state was allowed!`);
+  } catch (e) {
+    if (!e.message.startsWith(`Unknown system state`)) throw e;
+  }
+  console.log(`System state passed.\n`);
+}
+
+/**
+ * Client data areas stick around for as long as the sim runs,
+ * so we only create our own against the stand-in.
+ * @param {*} api
+ */
+async function testClientData(api) {
+  const name = `MSFS_API.Test`;
+  const layout = { counter: `Int32`, altitude: Float64 };
+  await api.createClientData(name, layout);
+
+  const updates = [];
+  const received = new Promise((resolve) => {
+    const unsubscribe = api.subscribeClientData(name, layout, (values) => {
+      updates.push(values);
+      if (values.counter !== 2) return;
+      unsubscribe();
+      resolve();
+    });
+  });
+  await api.setClientData(name, { counter: 1, altitude: 1500.5 });
+  const bytes = Buffer.alloc(12);
+  bytes.writeInt32LE(2, 0);
+  bytes.writeDoubleLE(3000, 4);
+  await api.setClientData(name, bytes);
+  await received;
+  const seen = updates.map(({ counter, altitude }) => `${counter}:${altitude}`);
+  if (seen.join() !== `1:1500.5,2:3000`) {
+    throw new Error(`Unexpected client data updates: ${seen}`);
+  }
+  if (standIn.getClientData(name).readInt32LE(0) !== 2) {
+    throw new Error(`setClientData did not update the client data area!`);
+  }
+
+  standIn.createClientData(`MSFS_API.Taken`, 4);
+  try {
+    await api.createClientData(`MSFS_API.Taken`, 4);
+    throw new Error(`Creating an existing client data area was allowed!`);
+  } catch (e) {
+    if (!(e instanceof SimConnectException)) throw e;
+    if (e.exception !== `SIMCONNECT_EXCEPTION_ALREADY_CREATED`) throw e;
+  }
+  console.log(`Client data passed.\n`);
+}
+
+/**
+ * Calculator code needs the companion WASM module, which
+ * only the stand-in can stand in for, so this is offline only.
+ * @param {*} api
+ */
+async function testCalculatorCode(api) {
+  const [altitude, text] = await Promise.all([
+    api.executeCalculatorCode(`(A:PLANE ALTITUDE, feet)`),
+    api.executeCalculatorCode(`(A:PLANE ALTITUDE, string)`),
+  ]);
+  if (altitude.number !== 100) {
+    throw new Error(`Expected an altitude of 100, not ${altitude.number}`);
+  }
+  if (text.string !== `100`) {
+    throw new Error(`Expected a string result of "100", not "${text.string}"`);
+  }
+
+  try {
+    await api.executeCalculatorCode(`1 2 +`);
+    throw new Error(`Unsupported calculator code did not get rejected!`);
+  } catch (e) {
+    if (!(e instanceof CalculatorCodeError)) throw e;
+  }
+
+  // Calls that overlap share the same request area, so they should
+  // get queued rather than overwrite each other, even if one fails.
+  const [first, failed, last] = await Promise.allSettled([
+    api.executeCalculatorCode(`(A:PLANE ALTITUDE, feet)`),
+    api.executeCalculatorCode(`1 2 +`),
+    api.executeCalculatorCode(`(A:PLANE ALTITUDE, string)`),
+  ]);
+  if (first.value?.number !== 100 || last.value?.string !== `100`) {
+    throw new Error(`Overlapping calculator calls did not all get answered`);
+  }
+  if (!(failed.reason instanceof CalculatorCodeError)) {
+    throw new Error(`Expected a CalculatorCodeError, not ${failed.reason}`);
+  }
+  console.log(`Calculator code passed.\n`);
+}
+
+/**
+ * There is no telling what traffic the sim has, so we add
+ * our own AI aircraft to the stand-in, offline only.
+ * @param {*} api
+ */
+async function testTraffic(api) {
+  // Positions are in radians, so this is a few kilometers from the user.
+  const simvars = {
+    "ATC ID": `N1234`,
+    "ATC MODEL": `C172`,
+    "PLANE LATITUDE": standIn.getSimVar(`PLANE LATITUDE`) + 0.001,
+    "PLANE LONGITUDE": standIn.getSimVar(`PLANE LONGITUDE`),
+    "PLANE ALTITUDE": 2500,
+  };
+  const objectId = standIn.addObject({ simvars });
+  // Way more than 200km away, so this one should never show up.
+  standIn.addObject({ simvars: { ...simvars, "PLANE LATITUDE": 0 } });
+
+  const { ATC_ID, PLANE_ALTITUDE } = await api.get(`ATC_ID`, `PLANE_ALTITUDE`, {
+    objectId,
+  });
+  if (ATC_ID !== `N1234` || PLANE_ALTITUDE !== 2500) {
+    throw new Error(`Unexpected AI values: ${ATC_ID}, ${PLANE_ALTITUDE}`);
+  }
+
+  const traffic = new TrafficManager(api, { interval: 50 });
+  const next = (eventName) =>
+    new Promise((resolve) => {
+      const off = traffic.on(eventName, (object) => {
+        off();
+        resolve(object);
+      });
+    });
+
+  const added = next(`added`);
+  traffic.start();
+  const object = await added;
+  if (object.objectId !== objectId || object.atcModel !== `C172`) {
+    throw new Error(`Unexpected traffic: ${JSON.stringify(object)}`);
+  }
+  if (traffic.list().length !== 1) {
+    throw new Error(`Expected one AI aircraft, not ${traffic.list().length}`);
+  }
+
+  const updated = next(`updated`);
+  standIn.setSimVar(`PLANE ALTITUDE`, 3000, objectId);
+  if ((await updated).altitude !== 3000) {
+    throw new Error(`Traffic update did not have the new altitude!`);
+  }
+
+  const removed = next(`removed`);
+  standIn.removeObject(objectId);
+  if ((await removed).objectId !== objectId || traffic.objects.size) {
+    throw new Error(`Traffic was not removed!`);
+  }
+  traffic.stop();
+  console.log(`Traffic passed.\n`);
+}
+
+/**
+ * Spawning objects in the sim leaves them lying around
+ * if anything goes wrong, so this is offline only.
+ * @param {*} api
+ */
+async function testSpawning(api) {
+  const objectId = await api.spawnAircraft({
+    title: `MSFS API Test Aircraft`,
+    tailNumber: `N5678`,
+    position: {
+      latitude: 48.81,
+      longitude: -123.2,
+      altitude: 3000,
+      heading: 90,
+    },
+    speed: 120,
+  });
+  const { ATC_ID, PLANE_HEADING_DEGREES_TRUE: heading } = await api.get(
+    `ATC_ID`,
+    { name: `PLANE HEADING DEGREES TRUE`, units: `degrees` },
+    { objectId }
+  );
+  if (ATC_ID !== `N5678` || Math.round(heading) !== 90) {
+    throw new Error(`Unexpected spawned aircraft: ${ATC_ID}, ${heading}`);
+  }
+
+  await api.setObjectFlightPlan(objectId, `C:\\plans\\test`);
+  if (standIn.getObject(objectId).flightPlan !== `C:\\plans\\test`) {
+    throw new Error(`The flight plan was not set!`);
+  }
+
+  // Without a title, parked aircraft use the user's aircraft's title.
+  const parkedId = await api.spawnParkedAircraft(`TEST`);
+  const parked = standIn.getObject(parkedId);
+  if (parked.simvars.get(`SIM ON GROUND`) !== 1) {
+    throw new Error(`Parked aircraft is not on the ground!`);
+  }
+  const truckId = await api.spawnSimObject(`MSFS API Test Truck`, {
+    latitude: 48.8,
+    longitude: -123.2,
+    onGround: true,
+  });
+
+  const title = `Not A Real Aircraft`;
+  try {
+    await api.spawnAircraft({ title, position: { latitude: 0, longitude: 0 } });
+    throw new Error(`Spawning an unknown aircraft was allowed!`);
+  } catch (e) {
+    if (!(e instanceof SimConnectException)) throw e;
+    if (e.exception !== `SIMCONNECT_EXCEPTION_CREATE_OBJECT_FAILED`) throw e;
+    if (e.simObject !== title) throw e;
+  }
+
+  await Promise.all([objectId, parkedId, truckId].map(api.removeObject, api));
+  if (standIn.getObject(objectId)) {
+    throw new Error(`The spawned aircraft was not removed!`);
+  }
+  try {
+    await api.removeObject(objectId);
+    throw new Error(`Removing an object twice was allowed!`);
+  } catch (e) {
+    if (!(e instanceof SimConnectException)) throw e;
+  }
+  console.log(`Spawning passed.\n`);
+}
+
+/**
+ * We can't make MSFS send system events on demand,
+ * so we let the stand-in send them instead.
+ * @param {*} api
+ */
+async function testSystemEventPayloads(api) {
+  const received = {};
+  const offs = [
+    SystemEvents.FLIGHT_LOADED,
+    SystemEvents.OBJECT_ADDED,
+    SystemEvents.OBJECT_REMOVED,
+    SystemEvents.PAUSE_EX1,
+    SystemEvents.VIEW,
+  ].map((event) => api.on(event, (data) => (received[event.name] = data)));
+  // Wait for the subscriptions to reach the stand-in.
+  await api.get(`PLANE_ALTITUDE`);
+
+  standIn.sendSystemEvent(`FlightLoaded`, { filename: `flights\\test.flt` });
+  const objectId = standIn.addObject({ type: `BOAT` });
+  standIn.removeObject(objectId);
+  standIn.sendSystemEvent(`Pause_EX1`, 0x4);
+  standIn.sendSystemEvent(`View`, 0x2);
+  await api.get(`PLANE_ALTITUDE`);
+  offs.forEach((off) => off());
+
+  const expected = {
+    FlightLoaded: { filename: `flights\\test.flt`, flags: 0 },
+    ObjectAdded: { objectId, objectType: `BOAT` },
+    ObjectRemoved: { objectId, objectType: `BOAT` },
+    Pause_EX1: {
+      paused: true,
+      fullPause: false,
+      legacyPause: false,
+      activePause: true,
+      simPause: false,
+    },
+    View: { cockpit2D: false, virtualCockpit: true, orthogonal: false },
+  };
+  Object.entries(expected).forEach(([name, value]) => {
+    const data = JSON.stringify(received[name]);
+    if (data !== JSON.stringify(value)) {
+      throw new Error(`Unexpected ${name} payload: ${data}`);
+    }
+  });
+  console.log(`System event payloads passed.\n`);
+}
+
+/**
+ * Swapping aircraft requires the stand-in, so this is offline only.
+ * @param {*} api
+ */
+async function testAircraftProfile(api) {
+  const aircraftProfile = new AircraftProfile(api);
+  const nextChange = () =>
+    new Promise((resolve) => {
+      const off = aircraftProfile.onChange((profile) => {
+        off();
+        resolve(profile);
+      });
+    });
+
+  let changed = nextChange();
+  aircraftProfile.start();
+  let profile = await changed;
+  const { engines, gear, flaps, speeds } = profile;
+  if (
+    profile.title !== `MSFS API Test Aircraft` ||
+    engines.count !== 1 ||
+    engines.type !== `piston` ||
+    gear.type !== `wheels` ||
+    gear.retractable ||
+    flaps.positions !== 3 ||
+    speeds.vs0 !== 40 ||
+    Math.round(speeds.vc) !== 120
+  ) {
+    throw new Error(`Unexpected aircraft profile: ${JSON.stringify(profile)}`);
+  }
+
+  changed = nextChange();
+  const removeOverride = aircraftProfile.addOverride(`test aircraft`, {
+    events: { AP_MASTER: `MSFS_API.AP_MASTER` },
+  });
+  aircraftProfile.addOverride(/^Some other aircraft/, {
+    events: { AP_MASTER: `NOT.THIS.ONE` },
+  });
+  await changed;
+  if (aircraftProfile.getEventName(`AP_MASTER`) !== `MSFS_API.AP_MASTER`) {
+    throw new Error(`The aircraft override was not applied!`);
+  }
+  if (
+    aircraftProfile.getVarName(`FLAPS HANDLE INDEX`) !== `FLAPS HANDLE INDEX`
+  ) {
+    throw new Error(`Variables without overrides should keep their name!`);
+  }
+  removeOverride();
+
+  // Pretend the user switched to a twin.
+  const aircraft = `SimObjects\\Airplanes\\MSFS API Twin\\aircraft.CFG`;
+  standIn.setSimVar(`NUMBER OF ENGINES`, 2);
+  changed = nextChange();
+  standIn.sendSystemEvent(`AircraftLoaded`, { filename: aircraft });
+  profile = await changed;
+  aircraftProfile.stop();
+  standIn.setSimVar(`NUMBER OF ENGINES`, 1);
+  if (profile.aircraft !== aircraft || profile.engines.count !== 2) {
+    throw new Error(`The aircraft profile was not refreshed!`);
+  }
+  console.log(`Aircraft profile passed.\n`);
+}
+
+/**
+ * ...docs go here...
+ * @param {*} api
+ */
+async function testUnits(api) {
+  const { PLANE_ALTITUDE: feet, PLANE_LATITUDE: radians } = await api.get(
+    `PLANE_ALTITUDE`,
+    `PLANE_LATITUDE`
+  );
+  const { PLANE_ALTITUDE: meters } = await api.get({
+    name: `PLANE_ALTITUDE`,
+    units: `meters`,
+  });
+  if (Math.abs(feet * 0.3048 - meters) > 10) {
+    throw new Error(`${feet} feet is not ${meters} meters!`);
+  }
+
+  api.setUnitProfile(`aviation`);
+  const { PLANE_LATITUDE: degrees, STRUCT_LATLONALT } = await api.get(
+    `PLANE_LATITUDE`,
+    `STRUCT_LATLONALT`
+  );
+  api.setUnitProfile(undefined);
+  if (Math.abs((radians / Math.PI) * 180 - degrees) > 0.01) {
+    throw new Error(`${radians} radians is not ${degrees} degrees!`);
+  }
+  console.log({ feet, meters, radians, degrees, STRUCT_LATLONALT });
+}
+
+/**
+ * Struct simvars get decoded into objects, and settable ones can be set
+ * using objects of the same shape. Whether the sim actually applies the
+ * values we set is up to the sim, so we only check that offline.
+ * @param {*} api
+ */
+async function testStructs(api) {
+  const { PLANE_LATITUDE, PLANE_LONGITUDE, STRUCT_LATLONALT } = await api.get(
+    { name: `PLANE_LATITUDE`, units: `degrees` },
+    { name: `PLANE_LONGITUDE`, units: `degrees` },
+    `STRUCT_LATLONALT`
+  );
+  const { latitude, longitude, altitude } = STRUCT_LATLONALT;
+  if (
+    !Number.isFinite(altitude) ||
+    Math.abs(latitude - PLANE_LATITUDE) > 0.001 ||
+    Math.abs(longitude - PLANE_LONGITUDE) > 0.001
+  ) {
+    throw new Error(
+      `Bad STRUCT LATLONALT: ${JSON.stringify(STRUCT_LATLONALT)}`
+    );
+  }
+
+  const values = {
+    STRUCT_EYEPOINT_DYNAMIC_OFFSET: { x: 0.5, y: -0.25, z: 1 },
+    LANDING_LIGHT_PBH: { pitch: -10, bank: 0, heading: 5 },
+  };
+  for (const [name, value] of Object.entries(values)) {
+    const { [name]: original } = await api.get(name);
+    const fields = Object.keys(value);
+    if (Object.keys(original).join() !== fields.join()) {
+      throw new Error(`Bad ${name}: ${JSON.stringify(original)}`);
+    }
+    await api.set(name, value);
+    const { [name]: updated } = await api.get(name);
+    await api.set(name, original);
+    if (OFFLINE && fields.some((f) => Math.abs(updated[f] - value[f]) > 1e-6)) {
+      throw new Error(`${name} was set to ${JSON.stringify(updated)}`);
+    }
+  }
+
+  try {
+    api.set(`LANDING_LIGHT_PBH`, 5);
+    throw new Error(`A struct simvar was allowed to be set to a number!`);
+  } catch (e) {
+    if (!e.message.includes(`{ pitch, bank, heading }`)) throw e;
+  }
+  console.log(`Struct simvars passed.\n`);
+}
+
+/**
+ * ...docs go here...
+ * @param {*} api
+ */
+function testSubscription(api) {
+  return new Promise((resolve) => {
+    let updates = 0;
+    const unsubscribe = api.subscribe(
+      [`PLANE_LONGITUDE`, `PLANE_LATITUDE`],
+      { period: `SIM_FRAME` },
+      (data) => {
+        console.log(data);
+        if (++updates === 10) {
+          unsubscribe();
+          resolve();
+        }
+      }
+    );
+  });
+}
+
+/**
+ * ...docs go here...
+ * @param {*} api
+ */
+async function testRecording(api) {
+  const filePath = path.join(os.tmpdir(), `msfs-api-test-recording.gz`);
+  const latitude = { name: `PLANE_LATITUDE`, units: `degrees` };
+  const recorder = new FlightRecorder(api, [`PLANE_ALTITUDE`, latitude]);
+  await recorder.start(filePath);
+  await new Promise((resolve) => setTimeout(resolve, 1000));
+  await recorder.stop();
+
+  const replay = new FlightReplay(filePath, { speed: 10 });
+  await replay.connect();
+  const recorded = await replay.get(`PLANE_ALTITUDE`, latitude, {
+    timeout: 1,
+  });
+  const unsubscribe = replay.subscribe([latitude], () => {});
+  unsubscribe();
+  const live = await api.get(`PLANE_ALTITUDE`, latitude);
+
+  // Scheduling something that wasn't recorded should log, not crash,
+  // and stopping the replay should stop the schedule.
+  const { warn } = console;
+  const warnings = [];
+  console.warn = (...args) => warnings.push(args);
+  replay.schedule(() => {}, 10, `PLANE_HEADING_DEGREES_TRUE`);
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  replay.stop();
+  const logged = warnings.length;
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  console.warn = warn;
+  fs.rmSync(filePath);
+  if (!(warnings[0]?.[1] instanceof UnknownSimVarError)) {
+    throw new Error(`Scheduling an unrecorded simvar did not log an error`);
+  }
+  if (warnings.length !== logged) {
+    throw new Error(`Replay schedule kept running after stop()`);
+  }
+
+  const unwritable = new FlightRecorder(api, [`PLANE_ALTITUDE`]);
+  try {
+    await unwritable.start(path.join(filePath, `nope`, `recording.gz`));
+    throw new Error(`Recording to an unwritable path was allowed!`);
+  } catch (e) {
+    if (e.code !== `ENOENT`) throw e;
+  }
+  if (unwritable.recording) {
+    throw new Error(`Recorder thinks it is recording after failing to start`);
+  }
+  if (recorded.PLANE_ALTITUDE === undefined) {
+    throw new Error(`Recording did not contain PLANE_ALTITUDE`);
+  }
+  if (Math.abs(recorded.PLANE_LATITUDE - live.PLANE_LATITUDE) > 0.1) {
+    throw new Error(`Recorded latitude was not in degrees`);
+  }
+  console.log(`recorded:`, recorded, `live:`, live);
+}
+
+/**
+ * Drop the connection from the stand-in's side, and verify that
+ * the API reconnects and restores its subscriptions.
+ */
+async function testReconnect() {
+  const api = new MSFS_API(`reconnect test`);
+  const lifecycle = [];
+  [`connected`, `disconnected`, `reconnecting`].forEach((name) =>
+    api.on(name, () => lifecycle.push(name))
+  );
+  await new Promise((resolve) =>
+    api.connect({
+      ...standInAddress,
+      autoReconnect: true,
+      retryInterval: 0.1,
+      onConnect: resolve,
+    })
+  );
+
+  let updates = 0;
+  api.subscribe(`PLANE_ALTITUDE`, { period: `SIM_FRAME` }, () => updates++);
+  const reconnected = new Promise((resolve) => api.on(`connected`, resolve));
+  standIn.disconnectClients(`reconnect test`);
+  await reconnected;
+
+  const seen = updates;
+  await new Promise((resolve) => setTimeout(resolve, 500));
+  api.disconnect();
+  if (updates === seen) {
+    throw new Error(`Subscription was not restored after reconnecting`);
+  }
+  if (api.state !== `closed`) {
+    throw new Error(`API is in state "${api.state}" after disconnect()`);
+  }
+  const { definition, request } = api.getActiveIds();
+  if (definition.length || request.length) {
+    throw new Error(`Ids still in use after disconnect()`);
+  }
+  console.log(`lifecycle events:`, lifecycle.join(`, `));
+}
+
+/**
+ * Requests that SimConnect never answers should time out, or be rejected
+ * when the connection gets closed, either way releasing their ids. This
+ * needs a stand-in that can stop answering, so this is offline only.
+ */
+async function testRequestTimeouts() {
+  const appName = `timeout test`;
+  const api = new MSFS_API(appName);
+  await new Promise((resolve) =>
+    api.connect({ ...standInAddress, onConnect: resolve })
+  );
+  const idsInUse = () => {
+    const { definition, request } = api.getActiveIds();
+    return definition.length + request.length;
+  };
+  const before = idsInUse();
+
+  standIn.setUnresponsive(true, appName);
+  const started = Date.now();
+  try {
+    await api.get(`PLANE_ALTITUDE`, { timeout: 0.2 });
+    throw new Error(`get() did not time out!`);
+  } catch (e) {
+    if (!(e instanceof RequestTimeoutError)) throw e;
+    if (e.timeout !== 0.2 || e.simvar !== `PLANE ALTITUDE`) throw e;
+  }
+  if (Date.now() - started > 5000) {
+    throw new Error(`get() ignored its own timeout!`);
+  }
+  if (idsInUse() !== before) {
+    throw new Error(`A timed out get() did not release its ids!`);
+  }
+
+  // A timeout of 0 means "wait forever", unless the connection gets closed.
+  const pending = [
+    api.get(`PLANE_ALTITUDE`, { timeout: 0 }),
+    api.get(`PLANE_LATITUDE`, `PLANE_LONGITUDE`, { timeout: 0 }),
+  ].map((promise) =>
+    promise.then(
+      () => undefined,
+      (e) => e
+    )
+  );
+  standIn.disconnectClients(appName);
+  const errors = await Promise.all(pending);
+  if (!errors.every((e) => e instanceof ConnectionLostError)) {
+    throw new Error(`In-flight get() calls were not rejected: ${errors}`);
+  }
+  // The connection is gone, so any long-lived ids may have been released too.
+  if (idsInUse() > before) {
+    throw new Error(`Rejected get() calls did not release their ids!`);
+  }
+  api.disconnect();
+  console.log(`Request timeouts passed.\n`);
 }
 
 /**
@@ -152,8 +1289,11 @@ async function testSimEvents(api) {
  * @param {*} done
  */
 function testInterval(api, done) {
+  let calls = 0;
   const stop = api.schedule(
     (data) => {
+      // A handler that fails should not end the schedule.
+      if (!calls++) throw new Error(`Intentional schedule handler error`);
       console.log(data);
     },
     500,
@@ -164,6 +1304,7 @@ function testInterval(api, done) {
 
   setTimeout(() => {
     stop();
+    if (calls < 2) throw new Error(`The schedule stopped after an error!`);
     done();
   }, 5000);
 }
@@ -0,0 +1,241 @@
+/**
+ * A traffic manager, keeping a live registry of the AI and multiplayer
+ * objects around the user's aircraft. SimConnect can't tell us when an
+ * object moves, so the registry is refreshed by periodically asking for
+ * the data of every object within a radius, which SimConnect sends as one
+ * message per object, and then comparing the result to what we had.
+ *
+ * Each object in the registry is a plain object of the form:
+ *
+ *   {
+ *     objectId, title, atcId, atcModel, atcType,
+ *     latitude, longitude, heading,  (in degrees)
+ *     altitude,                      (in feet)
+ *     speed,                         (ground speed, in knots)
+ *     onGround,
+ *   }
+ */
+import { SimObjectType } from "node-simconnect";
+import { IdNamespaces } from "../id-allocator.js";
+
+const { DEFINITION, REQUEST } = IdNamespaces;
+
+// The events that can be listened to using on().
+const TRAFFIC_EVENTS = [`added`, `updated`, `removed`];
+
+// See SIMCONNECT_DATA_REQUEST_ON_SIMOBJECT_TYPE: SimConnect
+// won't look for objects any further away than this.
+export const MAX_TRAFFIC_RADIUS = 200000;
+
+// The simvars that we track, per registry field.
+const TRACKED = {
+  title: { name: `TITLE` },
+  atcId: { name: `ATC ID` },
+  atcModel: { name: `ATC MODEL` },
+  atcType: { name: `ATC TYPE` },
+  latitude: { name: `PLANE LATITUDE`, units: `degrees` },
+  longitude: { name: `PLANE LONGITUDE`, units: `degrees` },
+  heading: { name: `PLANE HEADING DEGREES TRUE`, units: `degrees` },
+  altitude: { name: `PLANE ALTITUDE`, units: `feet` },
+  speed: { name: `GROUND VELOCITY`, units: `knots` },
+  onGround: { name: `SIM ON GROUND` },
+  isUser: { name: `IS USER SIM` },
+};
+
+const FIELDS = Object.keys(TRACKED);
+
+const sameObject = (a, b) => FIELDS.every((field) => a[field] === b[field]);
+
+/**
+ * Polls SimConnect for the objects around the user's aircraft, until
+ * stopped, and tells listeners which objects got added, updated, or
+ * removed since the last poll. The user's own aircraft is never listed.
+ */
+export class TrafficManager {
+  /**
+   * @param {*} api an MSFS_API instance
+   * @param {*} options (optional) { radius, type, interval } with radius in meters (defaults to, and is capped at, 200000), type one of "AIRCRAFT" (the default), "HELICOPTER", "BOAT", "GROUND", or "ALL", and interval in milliseconds (defaults to 1000)
+   * @throws if the type is not a known sim object type
+   */
+  constructor(api, options = {}) {
+    const {
+      radius = MAX_TRAFFIC_RADIUS,
+      type = `AIRCRAFT`,
+      interval = 1000,
+    } = options;
+    if (SimObjectType[type] === undefined || type === `USER`) {
+      throw new Error(`Unknown sim object type "${type}".`);
+    }
+    this.api = api;
+    this.radius = Math.min(Math.round(radius), MAX_TRAFFIC_RADIUS);
+    this.type = type;
+    this.interval = interval;
+    this.objects = new Map();
+    this.listeners = {};
+    TRAFFIC_EVENTS.forEach((name) => (this.listeners[name] = []));
+    this.running = false;
+  }
+
+  /**
+   * Listen for changes to the registry:
+   *
+   * - "added" gets called with an object when it first shows up,
+   * - "updated" gets called with an object whenever any of its values change, and
+   * - "removed" gets called with an object's last known values when it disappears.
+   *
+   * @param {*} eventName one of "added", "updated", or "removed"
+   * @param {*} handler
+   * @returns a corresponding arg-less `off()` function
+   * @throws if the event name is not a traffic event
+   */
+  on(eventName, handler) {
+    const listeners = this.listeners[eventName];
+    if (!listeners) throw new Error(`Unknown traffic event "${eventName}".`);
+    listeners.push(handler);
+    return () => this.off(eventName, handler);
+  }
+
+  /**
+   * Stop listening for changes to the registry.
+   *
+   * @param {*} eventName
+   * @param {*} handler
+   */
+  off(eventName, handler) {
+    const listeners = this.listeners[eventName];
+    const pos = listeners?.indexOf(handler) ?? -1;
+    if (pos > -1) listeners.splice(pos, 1);
+  }
+
+  /**
+   * Call all listeners for a traffic event.
+   *
+   * @param {*} eventName
+   * @param {*} object
+   */
+  emit(eventName, object) {
+    this.listeners[eventName].forEach((handler) => handler(object));
+  }
+
+  /**
+   * List every object that is currently in the registry.
+   *
+   * @returns a list of objects
+   */
+  list() {
+    return [...this.objects.values()];
+  }
+
+  /**
+   * Start tracking traffic. The first poll happens right away if the API
+   * is connected, and polls are skipped for as long as it isn't.
+   */
+  start() {
+    if (this.running) return;
+    this.running = true;
+    this.timer = setInterval(() => this.refresh(), this.interval);
+    this.refresh();
+  }
+
+  /**
+   * Stop tracking traffic, releasing the ids that the manager used.
+   * The registry keeps its last known contents.
+   */
+  stop() {
+    if (!this.running) return;
+    this.running = false;
+    clearInterval(this.timer);
+    this.release();
+  }
+
+  /**
+   * Ask SimConnect for the objects around the user's aircraft. Note
+   * that since this uses a fresh data definition after a reconnect,
+   * this also makes sure the manager keeps working across reconnects.
+   */
+  refresh() {
+    const { api } = this;
+    if (!api.connected) return;
+    if (this.handle !== api.handle) {
+      this.release();
+      this.define(api.handle);
+    }
+    this.handle.requestDataOnSimObjectType(
+      this.REQUEST_ID,
+      this.DATA_ID,
+      this.radius,
+      SimObjectType[this.type]
+    );
+  }
+
+  /**
+   * Set up our data definition and data listener on a connection.
+   *
+   * @param {*} handle the API's current SimConnect handle
+   */
+  define(handle) {
+    const { api } = this;
+    const propNames = FIELDS.map((field) => TRACKED[field].name);
+    const defs = api.getDefinitions(Object.values(TRACKED));
+    const purpose = `traffic`;
+    const DATA_ID = api.nextId(DEFINITION, purpose);
+    api.addDataDefinitions(DATA_ID, propNames, defs);
+    const REQUEST_ID = api.nextId(REQUEST, purpose);
+
+    // Results come in as numbered entries, from 1 to outOf, or as a
+    // single "0 out of 0" entry if there are no objects at all.
+    let batch = new Map();
+    const handleData = ({ requestID, objectID, entryNumber, outOf, data }) => {
+      if (requestID !== REQUEST_ID) return;
+      if (entryNumber <= 1) batch = new Map();
+      if (outOf > 0) {
+        const object = { objectId: objectID };
+        FIELDS.forEach((field, pos) => (object[field] = defs[pos].read(data)));
+        if (!object.isUser) {
+          delete object.isUser;
+          batch.set(objectID, object);
+        }
+      }
+      if (entryNumber === outOf) this.update(batch);
+    };
+
+    handle.on("simObjectDataByType", handleData);
+    Object.assign(this, { handle, DATA_ID, REQUEST_ID, handleData });
+  }
+
+  /**
+   * Remove our data definition and data listener, if we have them.
+   */
+  release() {
+    const { api, handle, DATA_ID, REQUEST_ID, handleData } = this;
+    if (!handle) return;
+    handle.off("simObjectDataByType", handleData);
+    // Requests by type are one-off requests, so there is nothing to cancel.
+    if (api.connected && handle === api.handle) {
+      handle.clearDataDefinition(DATA_ID);
+    }
+    api.releaseId(DEFINITION, DATA_ID);
+    api.releaseId(REQUEST, REQUEST_ID);
+    this.handle = undefined;
+  }
+
+  /**
+   * Bring the registry in line with the latest poll results.
+   *
+   * @param {*} latest a Map of objectId/object pairs
+   */
+  update(latest) {
+    const { objects } = this;
+    objects.forEach((object, objectId) => {
+      if (latest.has(objectId)) return;
+      objects.delete(objectId);
+      this.emit(`removed`, object);
+    });
+    latest.forEach((object, objectId) => {
+      const known = objects.get(objectId);
+      objects.set(objectId, object);
+      if (!known) this.emit(`added`, object);
+      else if (!sameObject(known, object)) this.emit(`updated`, object);
+    });
+  }
+}